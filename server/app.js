@@ -0,0 +1,1942 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const path = require('path');
+const http = require('http');
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const cors = require('cors');
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const { loadConfig } = require('./config');
+const { createStorage } = require('./storage');
+const { createMailer } = require('./mailer');
+const { createRateLimiter, rateLimitMiddleware } = require('./rateLimit');
+const { createSocketAdapter } = require('./socketAdapter');
+const { createDataExporter } = require('./dataExport');
+
+const BUILD_DIR = path.join(__dirname, '..', 'build');
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const THUMBNAIL_SIZE = 320;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const MAX_AVATAR_BYTES = 5 * 1024 * 1024;
+const PROFILE_LIMITS = { name: 60, bio: 500, status_text: 100 };
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session row can be found without scanning hashes.
+function issueRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { refreshToken: `${sessionId}.${secret}`, hash: hashToken(secret) };
+}
+
+function clientWantsJson(req) {
+  const accept = (req.headers['accept'] || '').toLowerCase();
+  const ct = (req.headers['content-type'] || '').toLowerCase();
+  if (ct.includes('application/json')) return true;
+  if (accept.includes('application/json')) return true;
+  if (req.headers['x-requested-with'] === 'XMLHttpRequest') return true;
+  return false;
+}
+
+function parseUserIds(value) {
+  if (!Array.isArray(value)) return null;
+  const ids = value.map(Number);
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) return null;
+  return Array.from(new Set(ids));
+}
+
+function serializeAttachment(row) {
+  return {
+    id: row.id,
+    message_id: row.message_id,
+    filename: row.filename,
+    mime_type: row.mime_type,
+    size: Number(row.size_bytes),
+    width: row.width,
+    height: row.height,
+    has_thumbnail: !!row.thumbnail_key,
+  };
+}
+
+function isValidEmoji(value) {
+  if (typeof value !== 'string') return false;
+  const emoji = value.trim();
+  return emoji.length > 0 && emoji.length <= 32 && !/\s/.test(emoji) && /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(emoji);
+}
+
+// Avatars are stored as <avatar_key>-<size>.webp. Clients only see the key's last segment, which changes with
+// every new picture and so also works as a cache buster in avatar URLs.
+const AVATAR_SIZES = { small: 64, large: 256 };
+const avatarId = (key) => (key ? key.split('/').pop() : null);
+
+// What other users may see of someone.
+function publicProfile(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    bio: user.bio || '',
+    status_text: user.status_text || '',
+    avatar_id: avatarId(user.avatar_key),
+  };
+}
+
+function ownProfile(user) {
+  return { ...publicProfile(user), email: user.email, email_verified: user.email_verified };
+}
+
+const REPLY_PREVIEW_LENGTH = 140;
+
+// Deleted messages are returned as tombstones: the row keeps its place in history but never its content.
+function serializeMessage(row) {
+  const deleted = !!row.deleted_at;
+  return {
+    id: row.id,
+    conversation_id: Number(row.conversation_id),
+    sender_id: Number(row.sender_id),
+    content: deleted ? null : row.content,
+    reply_to_id: row.reply_to_id || null,
+    client_id: row.client_id || null,
+    created_at: row.created_at,
+    edited_at: row.edited_at || null,
+    deleted,
+    deleted_at: row.deleted_at || null,
+  };
+}
+
+function receiptStatus(counts) {
+  if (!counts || counts.total === 0) return 'sent';
+  if (counts.read === counts.total) return 'read';
+  if (counts.delivered === counts.total) return 'delivered';
+  return 'sent';
+}
+
+const CLIENT_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+const DATA_EXPORTS_LISTED = 5;
+
+const SYNC_MAX_MESSAGES = 100;
+
+// Builds the whole REST and socket API on top of a store (see ./store) without listening, so
+// server.js can bind it to a port and tests can run it against the in-memory store.
+function createApp({ store, config = loadConfig() } = {}) {
+  if (!store) throw new Error('createApp needs a store');
+
+  const app = express();
+
+  // Behind a load balancer req.ip is the balancer unless Express is told how many proxies to trust;
+  // rate limits key on it. Takes a hop count, true, or the address list Express understands.
+  if (config.trustProxy) {
+    const trust = config.trustProxy;
+    app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' ? true : trust);
+  }
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(cors({ origin: true }));
+  app.use(express.static(BUILD_DIR));
+
+  const storage = createStorage({ driver: config.storageDriver, root: config.uploadDir });
+  const mailer = createMailer({ transport: config.mailTransport, outboxDir: config.mailOutboxDir, from: config.mailFrom });
+  const rateLimiter = createRateLimiter({ store: config.rateLimitStore, pool: store.pool });
+
+  // Counts against the client IP and, on authenticated routes, the user as well.
+  const limit = (rule, keysFor = (req) => [`ip:${req.ip}`, req.user && `user:${req.user.id}`]) =>
+    rateLimitMiddleware(rateLimiter, rule, keysFor);
+
+  const loginKey = (kind, email) => `${kind}:${String(email).trim().toLowerCase()}`;
+
+  // Seconds until the account may try again, or 0 when it is not locked.
+  async function loginLockedFor(email) {
+    try {
+      const lock = await rateLimiter.get(loginKey('login-lock', email));
+      return lock ? Math.max(1, Math.ceil((lock.resetAt - Date.now()) / 1000)) : 0;
+    } catch (err) {
+      console.error('lockout check error', err && err.stack ? err.stack : err);
+      return 0;
+    }
+  }
+
+  // loginLockoutThreshold failures inside the lockout window lock the account for the full window,
+  // whichever IPs they come from. Unknown emails are counted too, so a lockout does not reveal anything.
+  async function recordFailedLogin(email) {
+    const windowMs = config.loginLockoutMinutes * 60 * 1000;
+    try {
+      const { count } = await rateLimiter.hit(loginKey('login-fail', email), windowMs);
+      if (count >= config.loginLockoutThreshold) {
+        await rateLimiter.hit(loginKey('login-lock', email), windowMs);
+        await rateLimiter.reset(loginKey('login-fail', email));
+      }
+    } catch (err) {
+      console.error('lockout record error', err && err.stack ? err.stack : err);
+    }
+  }
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.maxUploadBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (config.allowedUploadTypes.includes((file.mimetype || '').toLowerCase())) return cb(null, true);
+      const err = new Error('file type not allowed');
+      err.code = 'UNSUPPORTED_TYPE';
+      cb(err);
+    },
+  });
+  const avatarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_AVATAR_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if ((file.mimetype || '').toLowerCase().startsWith('image/')) return cb(null, true);
+      const err = new Error('file type not allowed');
+      err.code = 'UNSUPPORTED_TYPE';
+      cb(err);
+    },
+  });
+
+  function signToken(user, sessionId) {
+    return jwt.sign({ userId: user.id, email: user.email, sid: sessionId }, config.jwtSecret, { expiresIn: config.accessTokenTtl });
+  }
+  function verifyToken(token) {
+    try { return jwt.verify(token, config.jwtSecret); } catch (e) { return null; }
+  }
+
+  async function createSession(user, req) {
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const { refreshToken, hash } = issueRefreshToken(sessionId);
+    await store.createSession({
+      id: sessionId,
+      userId: user.id,
+      refreshTokenHash: hash,
+      userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+      ip: req.ip,
+      ttlDays: config.refreshTokenTtlDays,
+    });
+    return { token: signToken(user, sessionId), refreshToken };
+  }
+
+  async function sendVerificationEmail(user) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    // Only the newest link works.
+    await store.createAccountToken('emailVerification', user.id, hashToken(token), config.emailVerificationTtlHours * 60);
+    await mailer.send({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text:
+        `Hi ${user.name},\n\nPlease confirm this is your email address by opening the link below ` +
+        `within ${config.emailVerificationTtlHours} hours:\n\n${config.appUrl}/verify-email?token=${token}\n\n` +
+        'Until then you cannot send friend requests, and other people cannot find you in search.',
+    });
+  }
+
+  // For routes unverified accounts may not use. Runs after authMiddleware.
+  async function requireVerifiedEmail(req, res, next) {
+    try {
+      const user = await store.findUserById(req.user.id);
+      if (!user?.email_verified) return res.status(403).json({ error: 'Please verify your email address first', code: 'EMAIL_NOT_VERIFIED' });
+      next();
+    } catch (err) {
+      console.error('verified check error', err && err.stack ? err.stack : err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  async function revokeAllSessions(userId, exceptSessionId = null) {
+    for (const id of await store.activeSessionIds(userId, exceptSessionId)) await revokeSession(id, userId);
+  }
+
+  // Access tokens are short-lived but still checked against their session, so a revoke takes effect at once.
+  async function verifySession(token) {
+    const payload = verifyToken(token);
+    if (!payload || !payload.sid) return null;
+    return (await store.isSessionActive(payload.sid, payload.userId)) ? payload : null;
+  }
+
+  async function revokeSession(sessionId, userId) {
+    if (!(await store.revokeSession(sessionId, userId))) return false;
+    try {
+      io.to(`session:${sessionId}`).emit('sessionRevoked', { sessionId });
+      io.in(`session:${sessionId}`).disconnectSockets(true);
+    } catch (e) { /* ignore */ }
+    return true;
+  }
+
+  async function authMiddleware(req, res, next) {
+    try {
+      const header = req.headers['authorization'];
+      const token = header && header.startsWith('Bearer ') ? header.split(' ')[1] : (req.body?.token || req.query?.token);
+      if (!token) return res.status(401).json({ error: 'No token' });
+      const payload = await verifySession(token);
+      if (!payload) return res.status(401).json({ error: 'Invalid token' });
+      req.user = { id: payload.userId, email: payload.email, sessionId: payload.sid };
+      next();
+    } catch (err) {
+      console.error('auth middleware error', err && err.stack ? err.stack : err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  async function attachmentsFor(messageIds) {
+    const byMessage = new Map();
+    if (messageIds.length === 0) return byMessage;
+    (await store.attachmentsFor(messageIds)).forEach((row) => {
+      const list = byMessage.get(String(row.message_id)) || [];
+      list.push(serializeAttachment(row));
+      byMessage.set(String(row.message_id), list);
+    });
+    return byMessage;
+  }
+
+  // Aggregated per emoji, in the order each emoji was first used on the message.
+  async function reactionsFor(messageIds) {
+    const byMessage = new Map();
+    if (messageIds.length === 0) return byMessage;
+    (await store.reactions(messageIds)).forEach((row) => {
+      const list = byMessage.get(String(row.message_id)) || [];
+      list.push({ emoji: row.emoji, count: row.count, users: row.users });
+      byMessage.set(String(row.message_id), list);
+    });
+    return byMessage;
+  }
+
+  async function setReaction(messageId, userId, emoji, add) {
+    if (!/^\d+$/.test(String(messageId ?? ''))) return { status: 400, error: 'invalid messageId' };
+    if (!isValidEmoji(emoji)) return { status: 400, error: 'invalid emoji' };
+    const msg = await store.findMessage(messageId);
+    if (!msg) return { status: 404, error: 'message not found' };
+    if (!(await store.isParticipant(msg.conversation_id, userId))) return { status: 403, error: 'Not part of conversation' };
+    if (msg.deleted_at) return { status: 410, error: 'message deleted' };
+    if (await store.isConversationFrozen(msg.conversation_id)) return { status: 403, error: 'conversation is frozen' };
+
+    if (add) await store.addReaction(messageId, userId, emoji.trim());
+    else await store.removeReaction(messageId, userId, emoji.trim());
+    const reactions = (await reactionsFor([messageId])).get(String(messageId)) || [];
+    const conversationId = Number(msg.conversation_id);
+    io.to(`conversation:${conversationId}`).emit('reactionUpdate', { conversationId, messageId: msg.id, reactions });
+    return { reactions };
+  }
+
+  // Compact view of quoted messages, keyed by the quoted message id.
+  async function replyPreviewsFor(messageIds) {
+    const previews = new Map();
+    if (messageIds.length === 0) return previews;
+    (await store.replyPreviews(messageIds)).forEach((row) => {
+      const deleted = !!row.deleted_at;
+      previews.set(String(row.id), {
+        id: row.id,
+        sender_id: Number(row.sender_id),
+        sender_name: row.sender_name,
+        content: deleted ? null : (row.content || '').slice(0, REPLY_PREVIEW_LENGTH),
+        deleted,
+        has_attachments: !deleted && row.has_attachments,
+      });
+    });
+    return previews;
+  }
+
+  // Aggregated tick state per message: a message only counts as delivered/read once every recipient got there.
+  async function receiptStatuses(messageIds) {
+    const statuses = new Map(messageIds.map((id) => [String(id), 'sent']));
+    if (messageIds.length === 0) return statuses;
+    (await store.receiptCounts(messageIds)).forEach((row) => statuses.set(String(row.message_id), receiptStatus(row)));
+    return statuses;
+  }
+
+  async function emitReceiptUpdates(updatedRows, userId, status) {
+    const byConversation = new Map();
+    updatedRows.forEach((row) => {
+      const list = byConversation.get(row.conversation_id) || [];
+      list.push(row.message_id);
+      byConversation.set(row.conversation_id, list);
+    });
+    for (const [conversationId, messageIds] of byConversation) {
+      const statuses = await receiptStatuses(messageIds);
+      io.to(`conversation:${conversationId}`).emit('receipts', {
+        conversationId: Number(conversationId),
+        userId,
+        status,
+        updates: messageIds.map((id) => ({ messageId: id, status: statuses.get(String(id)) })),
+      });
+    }
+  }
+
+  async function markDelivered(userId, messageIds = null) {
+    const updated = await store.markDelivered(userId, messageIds);
+    if (updated.length > 0) await emitReceiptUpdates(updated, userId, 'delivered');
+  }
+
+  async function markRead(userId, conversationId, upToMessageId) {
+    const marker = await store.advanceReadMarker(userId, conversationId, upToMessageId);
+    // Keeps unread badges in the user's other tabs in step.
+    if (marker) io.to(`user:${userId}`).emit('conversationRead', { conversationId: Number(conversationId), messageId: marker });
+
+    const updated = await store.markRead(userId, conversationId, upToMessageId);
+    if (updated.length > 0) await emitReceiptUpdates(updated, userId, 'read');
+  }
+
+  // Fills in what a client needs to render rows already passed through serializeMessage.
+  async function hydrateMessages(rows, viewerId) {
+    const statuses = await receiptStatuses(rows.filter((m) => m.sender_id === Number(viewerId)).map((m) => m.id));
+    const attachments = await attachmentsFor(rows.map((m) => m.id));
+    const reactions = await reactionsFor(rows.filter((m) => !m.deleted).map((m) => m.id));
+    const replies = await replyPreviewsFor(rows.filter((m) => m.reply_to_id).map((m) => m.reply_to_id));
+    rows.forEach((m) => {
+      m.reply_to = m.reply_to_id ? replies.get(String(m.reply_to_id)) || null : null;
+      if (statuses.has(String(m.id))) m.status = statuses.get(String(m.id));
+      m.attachments = attachments.get(String(m.id)) || [];
+      m.reactions = reactions.get(String(m.id)) || [];
+    });
+    return rows;
+  }
+
+  async function findByClientId(senderId, clientId, conversationId) {
+    const row = await store.findMessageByClientId(senderId, clientId);
+    if (!row) return null;
+    if (Number(row.conversation_id) !== Number(conversationId)) {
+      return { status: 409, error: 'clientId already used in another conversation' };
+    }
+    const [message] = await hydrateMessages([serializeMessage(row)], senderId);
+    return { message, duplicate: true };
+  }
+
+  async function createMessage(conversationId, senderId, { content, attachmentIds, replyToId, clientId } = {}) {
+    const cid = clientId === undefined || clientId === null || clientId === '' ? null : String(clientId);
+    if (cid !== null && !CLIENT_ID_RE.test(cid)) return { status: 400, error: 'invalid clientId' };
+    // A retry of a message that already made it gets the stored row back instead of a second copy.
+    if (cid !== null) {
+      const existing = await findByClientId(senderId, cid, conversationId);
+      if (existing) return existing;
+    }
+
+    if (await store.isConversationFrozen(conversationId)) return { status: 403, error: 'conversation is frozen' };
+
+    const text = typeof content === 'string' ? content : '';
+    const ids = Array.isArray(attachmentIds) ? Array.from(new Set(attachmentIds.map(String))) : [];
+    if (ids.some((id) => !/^\d+$/.test(id))) return { status: 400, error: 'invalid attachmentIds' };
+    if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) return { status: 400, error: 'too many attachments' };
+    if (text.trim() === '' && ids.length === 0) return { status: 400, error: 'content required' };
+
+    const replyTo = replyToId === undefined || replyToId === null || replyToId === '' ? null : String(replyToId);
+    if (replyTo !== null) {
+      if (!/^\d+$/.test(replyTo)) return { status: 400, error: 'invalid replyToId' };
+      if (!(await store.messageInConversation(replyTo, conversationId))) return { status: 400, error: 'reply target must be in the same conversation' };
+    }
+
+    const inserted = await store.insertMessage({ conversationId, senderId, content: text, replyToId: replyTo, clientId: cid, attachmentIds: ids });
+    // Lost a race with a concurrent retry of the same message.
+    if (inserted.duplicate) return (await findByClientId(senderId, cid, conversationId)) || { status: 409, error: 'duplicate clientId' };
+    if (inserted.attachmentsMissing) return { status: 400, error: 'attachments not found or already sent' };
+    const { row } = inserted;
+    const attachments = inserted.attachments.map(serializeAttachment);
+
+    await store.advanceReadMarker(senderId, conversationId, row.id);
+    const replyPreview = replyTo ? (await replyPreviewsFor([replyTo])).get(replyTo) || null : null;
+    const message = { ...serializeMessage(row), reply_to: replyPreview, attachments, reactions: [], status: 'sent' };
+    io.to(`conversation:${conversationId}`).emit('message', message);
+
+    // Recipients with a live socket have the message on a device right away.
+    for (const recipientId of await onlineUserIds(inserted.recipientIds)) await markDelivered(recipientId, [row.id]);
+    return { message };
+  }
+
+  async function loadOwnMessage(messageId, userId) {
+    if (!/^\d+$/.test(String(messageId ?? ''))) return { status: 400, error: 'invalid messageId' };
+    const row = await store.findMessage(messageId);
+    if (!row) return { status: 404, error: 'message not found' };
+    if (!(await store.isParticipant(row.conversation_id, userId))) return { status: 403, error: 'Not part of conversation' };
+    if (Number(row.sender_id) !== Number(userId)) return { status: 403, error: 'only the sender can change this message' };
+    if (row.deleted_at) return { status: 410, error: 'message already deleted' };
+    return { row };
+  }
+
+  async function editMessage(messageId, userId, content) {
+    if (typeof content !== 'string' || content.trim() === '') return { status: 400, error: 'content required' };
+    const found = await loadOwnMessage(messageId, userId);
+    if (found.error) return found;
+    if (await store.isConversationFrozen(found.row.conversation_id)) return { status: 403, error: 'conversation is frozen' };
+    const message = serializeMessage(await store.updateMessageContent(messageId, content));
+    io.to(`conversation:${message.conversation_id}`).emit('messageUpdated', message);
+    return { message };
+  }
+
+  async function deleteMessage(messageId, userId) {
+    const found = await loadOwnMessage(messageId, userId);
+    if (found.error) return found;
+    // A tombstone keeps nothing of the original, files included.
+    const { row, files } = await store.tombstoneMessage(messageId);
+    for (const key of files) await storage.remove(key).catch(() => {});
+    const message = { ...serializeMessage(row), attachments: [], reactions: [] };
+    io.to(`conversation:${message.conversation_id}`).emit('messageUpdated', message);
+    return { message };
+  }
+
+  // Replays what a reconnecting client missed. `cursors` maps conversationId -> the last message id it saw,
+  // `since` is the syncedAt of its previous sync and bounds the edits/deletions to resend. A gap wider than
+  // SYNC_MAX_MESSAGES is not replayed; the client is told to refetch that conversation instead.
+  async function syncState(userId, { cursors, since } = {}) {
+    const syncedAt = new Date();
+    const sinceDate = since && !Number.isNaN(Date.parse(since)) ? new Date(since) : null;
+    const conversations = [];
+
+    for (const convId of await store.conversationIdsOf(userId)) {
+      const cursor = cursors && cursors[convId] != null ? String(cursors[convId]) : null;
+      if (cursor === null || !/^\d+$/.test(cursor)) continue;
+
+      const missed = await store.messagesAfter(convId, cursor, SYNC_MAX_MESSAGES + 1);
+      const changed = sinceDate ? await store.messagesChangedSince(convId, cursor, sinceDate, SYNC_MAX_MESSAGES + 1) : [];
+      if (missed.length > SYNC_MAX_MESSAGES || changed.length > SYNC_MAX_MESSAGES) {
+        conversations.push({ conversationId: Number(convId), refetch: true });
+        continue;
+      }
+      if (missed.length === 0 && changed.length === 0) continue;
+      conversations.push({
+        conversationId: Number(convId),
+        messages: await hydrateMessages(missed.map(serializeMessage), userId),
+        updated: await hydrateMessages(changed.map(serializeMessage), userId),
+      });
+    }
+
+    return { syncedAt, conversations, friendRequests: await store.incomingRequests(userId) };
+  }
+
+  // A user is online while any tab is connected, to this instance or another one. An instance that stops
+  // answering only costs the presence of its own users.
+  async function onlineUserIds(userIds) {
+    if (userIds.length === 0) return new Set();
+    const rooms = userIds.map((id) => `user:${id}`);
+    const sockets = await io.in(rooms).fetchSockets().catch((err) => {
+      console.error('presence lookup error', err && err.stack ? err.stack : err);
+      return io.in(rooms).local.fetchSockets();
+    });
+    return new Set(sockets.map((s) => Number(s.data.userId)));
+  }
+
+  async function isOnline(userId) {
+    return (await onlineUserIds([userId])).size > 0;
+  }
+
+  async function broadcastPresence(userId, online, lastSeenAt = null) {
+    const friendIds = await store.friendIdsOf(userId);
+    friendIds.forEach((id) => io.to(`user:${id}`).emit('presence', { userId, online, lastSeenAt }));
+  }
+
+  function notifyGroupChange(conversationId, userIds, extra = {}) {
+    try {
+      userIds.forEach((id) => io.to(`user:${id}`).emit('groupUpdate', { conversationId, ...extra }));
+    } catch (e) { /* ignore */ }
+  }
+
+  app.get('/', (req, res) => res.sendFile(path.join(BUILD_DIR, 'index.html')));
+
+  app.post('/signup', limit(config.rateLimits.signup), async (req, res) => {
+    const { name, email, password } = req.body;
+    const wantsJson = clientWantsJson(req);
+    if (!name || !email || !password) {
+      if (wantsJson) return res.status(400).json({ error: 'All fields required' });
+      return res.status(400).send('All fields required');
+    }
+    if (!EMAIL_RE.test(String(email).trim())) {
+      if (wantsJson) return res.status(400).json({ error: 'Please enter a valid email address' });
+      return res.status(400).send('Please enter a valid email address');
+    }
+    try {
+      const hashed = await bcrypt.hash(password, 10);
+      const user = await store.createUser({ name, email: String(email).trim(), passwordHash: hashed });
+      if (!user) {
+        if (wantsJson) return res.status(409).json({ error: 'Email already exists' });
+        return res.status(409).send('Email already exists');
+      }
+      // A mail failure must not fail the signup; the user can ask for another link.
+      await sendVerificationEmail(user).catch((err) => console.error('verification mail error', err && err.stack ? err.stack : err));
+      if (wantsJson) {
+        const { token, refreshToken } = await createSession(user, req);
+        return res.json({ user: ownProfile(user), token, refreshToken });
+      } else {
+        return res.redirect('/login.html');
+      }
+    } catch (err) {
+      console.error('signup error', err && err.stack ? err.stack : err);
+      if (wantsJson) return res.status(500).json({ error: 'Server error' });
+      return res.status(500).send('Server error');
+    }
+  });
+
+  app.post('/login', limit(config.rateLimits.login), async (req, res) => {
+    const { email, password } = req.body;
+    const wantsJson = clientWantsJson(req);
+    if (!email || !password) {
+      if (wantsJson) return res.status(400).json({ error: 'Email and password required' });
+      return res.status(400).send('Email and password required');
+    }
+    try {
+      const lockedFor = await loginLockedFor(email);
+      if (lockedFor > 0) {
+        const message = `Too many failed logins. Try again in ${Math.ceil(lockedFor / 60)} minute(s).`;
+        res.set('Retry-After', String(lockedFor));
+        if (wantsJson) return res.status(429).json({ error: message, retryAfter: lockedFor });
+        return res.status(429).send(message);
+      }
+
+      const user = await store.findUserByEmail(email);
+      const ok = user ? await bcrypt.compare(password, user.password) : false;
+      if (!ok) {
+        await recordFailedLogin(email);
+        if (wantsJson) return res.status(401).json({ error: 'Invalid credentials' });
+        return res.status(401).send('Invalid credentials');
+      }
+      await rateLimiter.reset(loginKey('login-fail', email)).catch(() => {});
+      if (wantsJson) {
+        const { token, refreshToken } = await createSession(user, req);
+        return res.json({ user: ownProfile(user), token, refreshToken });
+      } else {
+        return res.redirect('/dashboard.html');
+      }
+    } catch (err) {
+      console.error('login error', err && err.stack ? err.stack : err);
+      if (wantsJson) return res.status(500).json({ error: 'Server error' });
+      return res.status(500).send('Server error');
+    }
+  });
+
+  // Trades a refresh token for a new access token and a new refresh token. Presenting a refresh token that
+  // was already rotated away means it leaked, so the whole session is revoked.
+  app.post('/auth/refresh', async (req, res) => {
+    const presented = typeof req.body?.refreshToken === 'string' ? req.body.refreshToken : '';
+    const [sessionId, secret] = presented.split('.');
+    if (!sessionId || !secret) return res.status(400).json({ error: 'refreshToken required' });
+    try {
+      const session = await store.findActiveSession(sessionId);
+      if (!session) return res.status(401).json({ error: 'Session expired' });
+      if (hashToken(secret) !== session.refresh_token_hash) {
+        await revokeSession(session.id, session.user_id);
+        return res.status(401).json({ error: 'Session expired' });
+      }
+
+      const { refreshToken, hash } = issueRefreshToken(session.id);
+      // Of two concurrent refreshes with the same token only one wins.
+      const rotated = await store.rotateSession(session.id, {
+        oldHash: session.refresh_token_hash,
+        newHash: hash,
+        ip: req.ip,
+        ttlDays: config.refreshTokenTtlDays,
+      });
+      if (!rotated) return res.status(401).json({ error: 'Session expired' });
+      res.json({ token: signToken({ id: session.user_id, email: session.email }, session.id), refreshToken });
+    } catch (err) {
+      console.error('refresh error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Works without being logged in: the link is often opened on another device than the one that signed up.
+  app.post('/auth/verify-email', async (req, res) => {
+    const token = typeof req.body?.token === 'string' ? req.body.token : '';
+    if (!token) return res.status(400).json({ error: 'token required' });
+    try {
+      const userId = await store.useAccountToken('emailVerification', hashToken(token));
+      if (userId === null) return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+      await store.setEmailVerified(userId);
+      try {
+        io.to(`user:${userId}`).emit('accountUpdate', { email_verified: true });
+      } catch (e) { /* ignore */ }
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('verify email error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.post('/auth/resend-verification', authMiddleware, limit(config.rateLimits.accountEmail), async (req, res) => {
+    try {
+      const user = await store.findUserById(req.user.id);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      if (user.email_verified) return res.status(409).json({ error: 'Email already verified' });
+      await sendVerificationEmail(user);
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('resend verification error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Always answers ok, whether or not the address has an account, so it cannot be used to probe for users.
+  app.post('/auth/forgot-password', limit(config.rateLimits.accountEmail), async (req, res) => {
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim() : '';
+    if (!email) return res.status(400).json({ error: 'email required' });
+    try {
+      const user = await store.findUserByEmail(email);
+      if (user) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        // Only the newest link works.
+        await store.createAccountToken('passwordReset', user.id, hashToken(token), config.passwordResetTtlMinutes);
+        await mailer.send({
+          to: user.email,
+          subject: 'Reset your password',
+          text:
+            `Hi ${user.name},\n\nSomeone asked to reset the password for your account. If it was you, open this link ` +
+            `within ${config.passwordResetTtlMinutes} minutes:\n\n${config.appUrl}/reset-password?token=${token}\n\n` +
+            'If it was not you, you can ignore this email; your password stays the same.',
+        });
+      }
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('forgot password error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.post('/auth/reset-password', async (req, res) => {
+    const token = typeof req.body?.token === 'string' ? req.body.token : '';
+    const password = typeof req.body?.password === 'string' ? req.body.password : '';
+    if (!token) return res.status(400).json({ error: 'token required' });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    try {
+      // Single use: the token is burnt together with the password change.
+      const userId = await store.resetPassword(hashToken(token), await bcrypt.hash(password, 10));
+      if (userId === null) return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+
+      // Whoever knew the old password is signed out everywhere.
+      await revokeAllSessions(userId);
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('reset password error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.post('/auth/change-password', authMiddleware, limit(config.rateLimits.login), async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+      return res.status(400).json({ error: 'currentPassword and newPassword required' });
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    try {
+      const user = await store.findUserById(req.user.id);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      if (!(await bcrypt.compare(currentPassword, user.password))) {
+        return res.status(403).json({ error: 'Current password is incorrect' });
+      }
+      await store.setPassword(user.id, await bcrypt.hash(newPassword, 10));
+      await revokeAllSessions(user.id, req.user.sessionId);
+
+      mailer
+        .send({
+          to: user.email,
+          subject: 'Your password was changed',
+          text: `Hi ${user.name},\n\nThe password for your account was just changed and your other devices were signed out.\n` +
+            `If this was not you, reset your password at ${config.appUrl}/forgot-password right away.`,
+        })
+        .catch((err) => console.error('password changed mail error', err && err.stack ? err.stack : err));
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('change password error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.post('/logout', authMiddleware, async (req, res) => {
+    try {
+      await revokeSession(req.user.sessionId, req.user.id);
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('logout error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.get('/sessions', authMiddleware, async (req, res) => {
+    try {
+      const sessions = await store.listSessions(req.user.id);
+      res.json({ sessions: sessions.map((row) => ({ ...row, current: row.id === req.user.sessionId })) });
+    } catch (err) {
+      console.error('list sessions error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.delete('/sessions/:id', authMiddleware, async (req, res) => {
+    try {
+      if (!(await revokeSession(req.params.id, req.user.id))) return res.status(404).json({ error: 'session not found' });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('revoke session error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.get('/me', authMiddleware, async (req, res) => {
+    try {
+      const user = await store.findUserById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      res.json(ownProfile(user));
+    } catch (err) {
+      console.error('me error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Every avatar is kept in each of AVATAR_SIZES as a square WebP, so lists never download the large one.
+  // Either all sizes are written or none are left behind.
+  async function saveAvatar(userId, buffer) {
+    const key = `avatars/${userId}/${crypto.randomUUID()}`;
+    const written = [];
+    try {
+      for (const size of Object.values(AVATAR_SIZES)) {
+        const variant = await sharp(buffer).rotate().resize(size, size, { fit: 'cover' }).webp({ quality: 80 }).toBuffer();
+        await storage.save(`${key}-${size}.webp`, variant);
+        written.push(`${key}-${size}.webp`);
+      }
+    } catch (err) {
+      for (const file of written) await storage.remove(file).catch(() => {});
+      throw err;
+    }
+    return key;
+  }
+
+  async function removeAvatarFiles(key) {
+    if (!key) return;
+    for (const size of Object.values(AVATAR_SIZES)) await storage.remove(`${key}-${size}.webp`).catch(() => {});
+  }
+
+  // Other tabs of the same user get the full profile; friends only what publicProfile shows.
+  async function notifyProfileChange(user) {
+    const friendIds = await store.friendIdsOf(user.id);
+    try {
+      io.to(`user:${user.id}`).emit('accountUpdate', ownProfile(user));
+      friendIds.forEach((id) => io.to(`user:${id}`).emit('profileUpdate', publicProfile(user)));
+    } catch (e) { /* ignore */ }
+  }
+
+  // JSON, or multipart when an `avatar` file comes along. Fields left out stay as they are; an empty bio or
+  // status clears it, and removeAvatar=true drops the picture.
+  app.patch('/me', authMiddleware, async (req, res) => {
+    const uid = req.user.id;
+    try {
+      if (!(await receiveUpload(req, res, avatarUpload.single('avatar'), MAX_AVATAR_BYTES))) return;
+      const body = req.body || {};
+      const fields = {};
+      if (body.name !== undefined) {
+        const name = String(body.name ?? '').trim();
+        if (!name || name.length > PROFILE_LIMITS.name) {
+          return res.status(400).json({ error: `name must be 1 to ${PROFILE_LIMITS.name} characters` });
+        }
+        fields.name = name;
+      }
+      for (const [field, param] of [['bio', 'bio'], ['status_text', 'statusText']]) {
+        if (body[param] === undefined) continue;
+        const value = String(body[param] ?? '').trim();
+        if (value.length > PROFILE_LIMITS[field]) {
+          return res.status(400).json({ error: `${param} must be at most ${PROFILE_LIMITS[field]} characters` });
+        }
+        fields[field] = value || null;
+      }
+
+      let avatarKey;
+      if (req.file) {
+        // Decoding also proves the upload really is an image.
+        try {
+          avatarKey = await saveAvatar(uid, req.file.buffer);
+        } catch (e) {
+          return res.status(415).json({ error: 'invalid image' });
+        }
+      } else if (body.removeAvatar === true || body.removeAvatar === 'true') {
+        avatarKey = null;
+      }
+
+      await store.updateProfile(uid, fields);
+      if (avatarKey !== undefined) await removeAvatarFiles(await store.setAvatarKey(uid, avatarKey));
+      const user = await store.findUserById(uid);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      await notifyProfileChange(user);
+      res.json({ user: ownProfile(user) });
+    } catch (err) {
+      console.error('update profile error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // <img> tags authenticate with ?token=, as for attachments. Someone who blocked the viewer has no avatar for them.
+  app.get('/users/:id/avatar', authMiddleware, async (req, res) => {
+    const userId = Number(req.params.id);
+    if (!Number.isInteger(userId) || userId <= 0) return res.status(400).json({ error: 'invalid user id' });
+    const size = AVATAR_SIZES[req.query.size] || AVATAR_SIZES.small;
+    try {
+      const user = await store.findUserById(userId);
+      if (!user?.avatar_key || (await store.blockersBetween(userId, req.user.id)).includes(userId)) {
+        return res.status(404).json({ error: 'avatar not found' });
+      }
+      const key = `${user.avatar_key}-${size}.webp`;
+      if (!(await storage.exists(key))) return res.status(404).json({ error: 'avatar not found' });
+      res.setHeader('Content-Type', 'image/webp');
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      // A new picture gets a new avatar_id, and clients put that in the URL.
+      res.setHeader('Cache-Control', 'private, max-age=86400');
+      storage.createReadStream(key).on('error', () => res.destroy()).pipe(res);
+    } catch (err) {
+      console.error('avatar error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // The current address stays in use until the link sent to the new one is opened.
+  app.post('/me/email', authMiddleware, limit(config.rateLimits.accountEmail), async (req, res) => {
+    const { newEmail, password } = req.body || {};
+    if (typeof newEmail !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'newEmail and password required' });
+    }
+    const email = newEmail.trim();
+    if (!EMAIL_RE.test(email)) return res.status(400).json({ error: 'Please enter a valid email address' });
+    try {
+      const user = await store.findUserById(req.user.id);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      if (!(await bcrypt.compare(password, user.password))) return res.status(403).json({ error: 'Password is incorrect' });
+      if (email === user.email) return res.status(400).json({ error: 'That is already your email address' });
+      if (await store.findUserByEmail(email)) return res.status(409).json({ error: 'Email already exists' });
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      await store.createEmailChange(user.id, email, hashToken(token), config.emailVerificationTtlHours * 60);
+      await mailer.send({
+        to: email,
+        subject: 'Confirm your new email address',
+        text:
+          `Hi ${user.name},\n\nOpen the link below within ${config.emailVerificationTtlHours} hours to use this address ` +
+          `for your account:\n\n${config.appUrl}/confirm-email?token=${token}\n\n` +
+          `Until then you keep signing in with ${user.email}.`,
+      });
+      res.json({ ok: true, pendingEmail: email });
+    } catch (err) {
+      console.error('change email error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Like /auth/verify-email this works without being logged in.
+  app.post('/auth/confirm-email-change', async (req, res) => {
+    const token = typeof req.body?.token === 'string' ? req.body.token : '';
+    if (!token) return res.status(400).json({ error: 'token required' });
+    try {
+      const result = await store.confirmEmailChange(hashToken(token));
+      if (!result) return res.status(400).json({ error: 'This confirmation link is invalid or has expired' });
+      if (result.conflict) return res.status(409).json({ error: 'That email address is already in use' });
+
+      // The old address hears about it too, in case the change was not wanted.
+      mailer
+        .send({
+          to: result.oldEmail,
+          subject: 'Your email address was changed',
+          text: `Your account now uses ${result.newEmail} instead of this address.\n` +
+            `If this was not you, reset your password at ${config.appUrl}/forgot-password right away.`,
+        })
+        .catch((err) => console.error('email changed mail error', err && err.stack ? err.stack : err));
+      try {
+        io.to(`user:${result.userId}`).emit('accountUpdate', { email: result.newEmail, email_verified: true });
+      } catch (e) { /* ignore */ }
+      res.json({ ok: true, email: result.newEmail });
+    } catch (err) {
+      console.error('confirm email change error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Deleting an account takes its messages, direct chats and files with it. Groups are left first, so
+  // ownership passes on as with /groups/:id/leave.
+  app.delete('/me', authMiddleware, limit(config.rateLimits.login), async (req, res) => {
+    const { password } = req.body || {};
+    if (typeof password !== 'string') return res.status(400).json({ error: 'password required' });
+    const uid = Number(req.user.id);
+    try {
+      const user = await store.findUserById(uid);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      if (!(await bcrypt.compare(password, user.password))) return res.status(403).json({ error: 'Password is incorrect' });
+
+      const conversations = await store.listConversations(uid);
+      const contacts = new Set(conversations.filter((c) => !c.is_group && c.other_user_id).map((c) => Number(c.other_user_id)));
+      (await store.incomingRequests(uid)).forEach((r) => contacts.add(Number(r.requester_id)));
+      (await store.outgoingRequests(uid)).forEach((r) => contacts.add(Number(r.receiver_id)));
+
+      for (const c of conversations.filter((c) => c.is_group)) {
+        const remaining = await removeParticipant(c.id, uid);
+        notifyGroupChange(c.id, remaining.map((m) => m.id), { action: 'memberLeft', userId: uid });
+      }
+      await revokeAllSessions(uid);
+      const { files, avatarKey } = await store.deleteUser(uid);
+      for (const key of files) await storage.remove(key).catch(() => {});
+      await removeAvatarFiles(avatarKey);
+
+      try {
+        contacts.forEach((id) => io.to(`user:${id}`).emit('friendUpdate'));
+      } catch (e) { /* ignore */ }
+      mailer
+        .send({
+          to: user.email,
+          subject: 'Your account was deleted',
+          text: `Hi ${user.name},\n\nYour account and everything in it has been deleted, as you asked.`,
+        })
+        .catch((err) => console.error('account deleted mail error', err && err.stack ? err.stack : err));
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('delete account error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  const dataExporter = createDataExporter({
+    store,
+    storage,
+    ttlHours: config.dataExportTtlHours,
+    profileOf: ownProfile,
+    avatarFileOf: (user) => (user.avatar_key ? `${user.avatar_key}-${AVATAR_SIZES.large}.webp` : null),
+    serializeMessage,
+    hydrateMessages,
+    onUpdate: (row) => {
+      try {
+        io.to(`user:${row.user_id}`).emit('dataExportUpdate', serializeDataExport(row));
+      } catch (e) { /* ignore */ }
+    },
+  });
+
+  // Download links carry their own short-lived token, so they work from a plain <a href> and stop working
+  // when the archive expires.
+  function dataExportDownloadUrl(row) {
+    const exp = Math.floor(new Date(row.expires_at).getTime() / 1000);
+    const token = jwt.sign({ purpose: 'dataExport', exportId: row.id, userId: Number(row.user_id), exp }, config.jwtSecret);
+    return `/exports/${row.id}/download?token=${token}`;
+  }
+
+  function serializeDataExport(row) {
+    const expired = row.status === 'ready' && new Date(row.expires_at) <= new Date();
+    return {
+      id: row.id,
+      status: expired ? 'expired' : row.status,
+      progress: row.progress,
+      size: row.size_bytes === null || row.size_bytes === undefined ? null : Number(row.size_bytes),
+      error: row.error || null,
+      created_at: row.created_at,
+      completed_at: row.completed_at || null,
+      expires_at: row.expires_at || null,
+      download_url: row.status === 'ready' && !expired ? dataExportDownloadUrl(row) : null,
+    };
+  }
+
+  app.post('/me/exports', authMiddleware, limit(config.rateLimits.dataExport), async (req, res) => {
+    try {
+      const job = await store.createDataExport(req.user.id);
+      if (!job) return res.status(409).json({ error: 'An export is already being prepared' });
+      dataExporter.enqueue(job.id);
+      res.status(202).json({ export: serializeDataExport(job) });
+    } catch (err) {
+      console.error('create data export error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.get('/me/exports', authMiddleware, async (req, res) => {
+    try {
+      const rows = await store.listDataExports(req.user.id, DATA_EXPORTS_LISTED);
+      res.json({ exports: rows.map(serializeDataExport) });
+    } catch (err) {
+      console.error('list data exports error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.get('/exports/:id/download', async (req, res) => {
+    const payload = verifyToken(String(req.query.token || ''));
+    if (!payload || payload.purpose !== 'dataExport' || String(payload.exportId) !== String(req.params.id)) {
+      return res.status(403).json({ error: 'This download link is invalid or has expired' });
+    }
+    try {
+      const job = await store.findDataExport(payload.exportId);
+      if (!job || Number(job.user_id) !== Number(payload.userId) || job.status !== 'ready' || new Date(job.expires_at) <= new Date()) {
+        return res.status(410).json({ error: 'This export is no longer available' });
+      }
+      if (!(await storage.exists(job.storage_key))) return res.status(410).json({ error: 'This export is no longer available' });
+      const day = new Date(job.completed_at).toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="chat-export-${day}.zip"`);
+      res.setHeader('Cache-Control', 'private, no-store');
+      storage.createReadStream(job.storage_key).on('error', () => res.destroy()).pipe(res);
+    } catch (err) {
+      console.error('download data export error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.get('/users/search', authMiddleware, limit(config.rateLimits.userSearch), async (req, res) => {
+    const q = (req.query.q || '').trim();
+    if (!q) return res.status(400).json({ error: 'q param required' });
+    try {
+      const users = await store.searchUsers(q, req.user.id);
+      res.json({ users: users.map(({ avatar_key, ...user }) => ({ ...user, status_text: user.status_text || '', avatar_id: avatarId(avatar_key) })) });
+    } catch (err) {
+      console.error('search error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.post('/friends/request', authMiddleware, requireVerifiedEmail, limit(config.rateLimits.friendRequest), async (req, res) => {
+    const requesterId = req.user.id;
+    const { receiverEmail } = req.body;
+    if (!receiverEmail) return res.status(400).json({ error: 'receiverEmail required' });
+    try {
+      const receiver = await store.findUserByEmail(receiverEmail);
+      if (!receiver || !receiver.email_verified) return res.status(404).json({ error: 'User not found' });
+      const receiverId = receiver.id;
+      if (receiverId === requesterId) return res.status(400).json({ error: 'Cannot friend yourself' });
+      const blockers = await store.blockersBetween(requesterId, receiverId);
+      if (blockers.includes(requesterId)) return res.status(409).json({ error: 'Unblock this user first' });
+      // Someone who blocked you looks exactly like someone who does not exist.
+      if (blockers.length > 0) return res.status(404).json({ error: 'User not found' });
+      const status = await store.upsertFriendRequest(requesterId, receiverId);
+      if (status === 'accepted') return res.status(409).json({ error: 'You are already friends' });
+      if (status === 'rejected') return res.status(409).json({ error: 'This user declined your request' });
+      try {
+        io.to(`user:${receiverId}`).emit('friendUpdate');
+        io.to(`user:${requesterId}`).emit('friendUpdate');
+      } catch (e) { /* ignore */ }
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('friend request error', err && err.stack ? err.stack : err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.post('/friends/respond', authMiddleware, async (req, res) => {
+    const userId = Number(req.user.id);
+    const requestId = Number(req.body?.requestId);
+    const action = (req.body?.action || '').toString();
+
+    if (!Number.isFinite(requestId) || requestId <= 0) {
+      return res.status(400).json({ error: 'invalid requestId' });
+    }
+    if (!Number.isFinite(userId) || userId <= 0) {
+      return res.status(401).json({ error: 'invalid user' });
+    }
+    if (!action) return res.status(400).json({ error: 'requestId and action required' });
+    if (!['accept', 'reject'].includes(action)) return res.status(400).json({ error: 'invalid action' });
+
+    try {
+      const rq = await store.findIncomingRequest(requestId, userId);
+      if (!rq) {
+        return res.status(404).json({ error: 'friend request not found' });
+      }
+
+      const requesterId = Number(rq.requester_id);
+      if (!Number.isFinite(requesterId)) {
+        return res.status(500).json({ error: 'invalid requester id in DB' });
+      }
+
+      if (action === 'reject') {
+        await store.rejectFriendRequest(requestId);
+        try { io.to(`user:${requesterId}`).emit('friendUpdate'); } catch (e) { /* ignore */ }
+        return res.json({ ok: true, status: 'rejected' });
+      }
+
+      if ((await store.blockersBetween(userId, requesterId)).length > 0) {
+        return res.status(409).json({ error: 'cannot accept a request from a blocked user' });
+      }
+
+      const conversationId = await store.acceptFriendRequest(requestId, requesterId, userId);
+
+      try {
+        io.in(`user:${requesterId}`).socketsJoin(`conversation:${conversationId}`);
+        io.in(`user:${userId}`).socketsJoin(`conversation:${conversationId}`);
+        io.to(`user:${requesterId}`).emit('friendUpdate');
+        io.to(`user:${userId}`).emit('friendUpdate');
+      } catch (e) { /* ignore */ }
+      return res.json({ ok: true, status: 'accepted', conversationId });
+    } catch (err) {
+      console.error('friends.respond error', err && err.stack ? err.stack : err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.get('/friends/requests', authMiddleware, async (req, res) => {
+    const uid = req.user.id;
+    try {
+      res.json({ requests: await store.incomingRequests(uid) });
+    } catch (err) {
+      console.error('list requests error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Accepted requests are left out: those people are already in the friend list.
+  app.get('/friends/requests/outgoing', authMiddleware, async (req, res) => {
+    try {
+      res.json({ requests: await store.outgoingRequests(req.user.id) });
+    } catch (err) {
+      console.error('list outgoing requests error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Withdraws a pending request, or dismisses a rejected one from the sender's list; the rejection itself still stands.
+  app.delete('/friends/requests/:id', authMiddleware, async (req, res) => {
+    const requestId = Number(req.params.id);
+    if (!Number.isFinite(requestId) || requestId <= 0) return res.status(400).json({ error: 'invalid requestId' });
+    try {
+      const cancelled = await store.cancelFriendRequest(requestId, req.user.id);
+      if (!cancelled) return res.status(404).json({ error: 'friend request not found' });
+      try {
+        if (cancelled.status === 'pending') io.to(`user:${cancelled.receiver_id}`).emit('friendUpdate');
+        io.to(`user:${req.user.id}`).emit('friendUpdate');
+      } catch (e) { /* ignore */ }
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('cancel request error', err && err.stack ? err.stack : err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.post("/friends/remove", authMiddleware, async (req, res) => {
+    const { friendId } = req.body;
+    const userId = Number(req.user.id);
+    const otherId = Number(friendId);
+
+    if (!Number.isFinite(otherId)) return res.status(400).json({ error: "Missing friendId" });
+
+    try {
+      const files = await store.removeFriendship(userId, otherId);
+      for (const key of files) await storage.remove(key).catch(() => {});
+
+      try {
+        io.to(`user:${userId}`).emit('friendUpdate');
+        io.to(`user:${otherId}`).emit('friendUpdate');
+      } catch (e) {}
+
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Remove friend + chat error:", err && err.stack ? err.stack : err);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  app.get('/blocks', authMiddleware, async (req, res) => {
+    try {
+      res.json({ blocks: await store.listBlocks(req.user.id) });
+    } catch (err) {
+      console.error('list blocks error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Blocking keeps the friendship and the chat history but freezes the chat, drops pending requests
+  // in both directions and stops presence from flowing either way.
+  app.post('/blocks', authMiddleware, async (req, res) => {
+    const userId = Number(req.user.id);
+    const otherId = Number(req.body?.userId);
+    if (!Number.isInteger(otherId) || otherId <= 0) return res.status(400).json({ error: 'userId required' });
+    if (otherId === userId) return res.status(400).json({ error: 'Cannot block yourself' });
+    try {
+      if (!(await store.findUserById(otherId))) return res.status(404).json({ error: 'User not found' });
+      await store.addBlock(userId, otherId);
+      try {
+        io.to(`user:${userId}`).emit('friendUpdate');
+        io.to(`user:${otherId}`).emit('friendUpdate');
+        io.to(`user:${otherId}`).emit('presence', { userId, online: false, lastSeenAt: null });
+        io.to(`user:${userId}`).emit('presence', { userId: otherId, online: false, lastSeenAt: null });
+      } catch (e) { /* ignore */ }
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('block error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.delete('/blocks/:userId', authMiddleware, async (req, res) => {
+    const userId = Number(req.user.id);
+    const otherId = Number(req.params.userId);
+    if (!Number.isInteger(otherId) || otherId <= 0) return res.status(400).json({ error: 'invalid userId' });
+    try {
+      if (!(await store.removeBlock(userId, otherId))) return res.status(404).json({ error: 'not blocked' });
+      try {
+        io.to(`user:${userId}`).emit('friendUpdate');
+        io.to(`user:${otherId}`).emit('friendUpdate');
+      } catch (e) { /* ignore */ }
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('unblock error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.post('/groups', authMiddleware, async (req, res) => {
+    const uid = Number(req.user.id);
+    const title = (req.body?.title || '').toString().trim();
+    const memberIds = parseUserIds(req.body?.memberIds);
+    if (!title) return res.status(400).json({ error: 'title required' });
+    if (title.length > 100) return res.status(400).json({ error: 'title too long' });
+    if (!memberIds) return res.status(400).json({ error: 'memberIds must be an array of user ids' });
+    const others = memberIds.filter((id) => id !== uid);
+    if (others.length === 0) return res.status(400).json({ error: 'at least one other member required' });
+
+    try {
+      const friendIds = await store.filterFriendIds(uid, others);
+      if (friendIds.length !== others.length) return res.status(400).json({ error: 'members must be your friends' });
+
+      const conv = await store.createGroup(title, uid, others);
+      const conversationId = conv.id;
+
+      const members = await store.listParticipants(conversationId);
+      try {
+        members.forEach((m) => io.in(`user:${m.id}`).socketsJoin(`conversation:${conversationId}`));
+      } catch (e) { /* ignore */ }
+      notifyGroupChange(conversationId, members.map((m) => m.id), { action: 'created' });
+
+      return res.json({
+        conversation: { id: conversationId, is_group: true, title, created_at: conv.created_at, members },
+      });
+    } catch (err) {
+      console.error('create group error', err && err.stack ? err.stack : err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.patch('/groups/:id', authMiddleware, async (req, res) => {
+    const convId = Number(req.params.id);
+    const uid = Number(req.user.id);
+    const title = (req.body?.title || '').toString().trim();
+    if (!title) return res.status(400).json({ error: 'title required' });
+    if (title.length > 100) return res.status(400).json({ error: 'title too long' });
+    try {
+      const membership = await store.getGroupMembership(convId, uid);
+      if (!membership) return res.status(403).json({ error: 'Not part of group' });
+
+      await store.renameGroup(convId, title);
+      const members = await store.listParticipants(convId);
+      notifyGroupChange(convId, members.map((m) => m.id), { action: 'renamed', title });
+      return res.json({ ok: true, title });
+    } catch (err) {
+      console.error('rename group error', err && err.stack ? err.stack : err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.post('/groups/:id/members', authMiddleware, async (req, res) => {
+    const convId = Number(req.params.id);
+    const uid = Number(req.user.id);
+    const userIds = parseUserIds(req.body?.userIds);
+    if (!userIds || userIds.length === 0) return res.status(400).json({ error: 'userIds must be a non-empty array of user ids' });
+    try {
+      const membership = await store.getGroupMembership(convId, uid);
+      if (!membership) return res.status(403).json({ error: 'Not part of group' });
+
+      const candidates = userIds.filter((id) => id !== uid);
+      const friendIds = await store.filterFriendIds(uid, candidates);
+      if (friendIds.length !== candidates.length) return res.status(400).json({ error: 'members must be your friends' });
+
+      const addedIds = await store.addGroupMembers(convId, friendIds);
+      try {
+        addedIds.forEach((id) => io.in(`user:${id}`).socketsJoin(`conversation:${convId}`));
+      } catch (e) { /* ignore */ }
+
+      const members = await store.listParticipants(convId);
+      notifyGroupChange(convId, members.map((m) => m.id), { action: 'membersAdded', userIds: addedIds });
+      return res.json({ ok: true, members });
+    } catch (err) {
+      console.error('add group members error', err && err.stack ? err.stack : err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  async function removeParticipant(convId, userId) {
+    const remaining = await store.removeParticipant(convId, userId);
+    try { io.in(`user:${userId}`).socketsLeave(`conversation:${convId}`); } catch (e) { /* ignore */ }
+    return remaining;
+  }
+
+  app.delete('/groups/:id/members/:userId', authMiddleware, async (req, res) => {
+    const convId = Number(req.params.id);
+    const uid = Number(req.user.id);
+    const targetId = Number(req.params.userId);
+    if (!Number.isInteger(targetId) || targetId <= 0) return res.status(400).json({ error: 'invalid userId' });
+    if (targetId === uid) return res.status(400).json({ error: 'use leave to remove yourself' });
+    try {
+      const membership = await store.getGroupMembership(convId, uid);
+      if (!membership) return res.status(403).json({ error: 'Not part of group' });
+      if (membership.role !== 'owner') return res.status(403).json({ error: 'Only the group owner can remove members' });
+      if (!(await store.isParticipant(convId, targetId))) return res.status(404).json({ error: 'member not found' });
+
+      const remaining = await removeParticipant(convId, targetId);
+      notifyGroupChange(convId, [...remaining.map((m) => m.id), targetId], { action: 'memberRemoved', userId: targetId });
+      return res.json({ ok: true, members: remaining });
+    } catch (err) {
+      console.error('remove group member error', err && err.stack ? err.stack : err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.post('/groups/:id/leave', authMiddleware, async (req, res) => {
+    const convId = Number(req.params.id);
+    const uid = Number(req.user.id);
+    try {
+      const membership = await store.getGroupMembership(convId, uid);
+      if (!membership) return res.status(403).json({ error: 'Not part of group' });
+
+      const remaining = await removeParticipant(convId, uid);
+      notifyGroupChange(convId, [...remaining.map((m) => m.id), uid], { action: 'memberLeft', userId: uid });
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('leave group error', err && err.stack ? err.stack : err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.get('/messages/search', authMiddleware, async (req, res) => {
+    const uid = Number(req.user.id);
+    const q = (req.query.q || '').toString().trim();
+    if (!q) return res.status(400).json({ error: 'q param required' });
+
+    const optionalId = (value) => {
+      if (value === undefined || value === '') return null;
+      const n = Number(value);
+      return Number.isInteger(n) && n > 0 ? n : NaN;
+    };
+    const optionalDate = (value) => {
+      if (value === undefined || value === '') return null;
+      const d = new Date(value);
+      return Number.isNaN(d.getTime()) ? NaN : d;
+    };
+    const conversationId = optionalId(req.query.conversationId);
+    const senderId = optionalId(req.query.senderId);
+    const from = optionalDate(req.query.from);
+    const to = optionalDate(req.query.to);
+    if ([conversationId, senderId].some(Number.isNaN)) return res.status(400).json({ error: 'invalid id filter' });
+    if ([from, to].some((d) => Number.isNaN(d))) return res.status(400).json({ error: 'invalid date filter' });
+
+    const requested = Number(req.query.limit || 20);
+    const limit = Math.max(1, Math.min(50, Number.isFinite(requested) ? requested : 20));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+
+    try {
+      const rows = await store.searchMessages(uid, { q, conversationId, senderId, from, to, limit: limit + 1, offset });
+      const hasMore = rows.length > limit;
+      const results = rows.slice(0, limit);
+      res.json({ results, hasMore, nextOffset: hasMore ? offset + limit : null });
+    } catch (err) {
+      console.error('message search error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.get('/conversations/:id/members', authMiddleware, async (req, res) => {
+    const convId = Number(req.params.id);
+    const uid = req.user.id;
+    try {
+      if (!(await store.isParticipant(convId, uid))) return res.status(403).json({ error: 'Not part of conversation' });
+      const members = await store.listParticipants(convId);
+      res.json({ members });
+    } catch (err) {
+      console.error('list members error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.get('/conversations', authMiddleware, async (req, res) => {
+    const uid = req.user.id;
+    try {
+      const rows = await store.listConversations(uid);
+      const online = await onlineUserIds(
+        rows.filter((c) => c.other_user_id && !c.blocked_by_me && !c.blocked_me).map((c) => c.other_user_id)
+      );
+      // Only the blocker learns who blocked whom; the other side just sees a frozen chat without presence.
+      const conversations = rows.map(({ lm_id, lm_sender_id, lm_content, lm_created_at, lm_deleted_at, blocked_me, other_user_avatar_key, ...c }) => ({
+        ...c,
+        frozen: c.blocked_by_me || blocked_me,
+        other_user_avatar_id: blocked_me ? null : avatarId(other_user_avatar_key),
+        other_user_online: c.other_user_id && !c.blocked_by_me && !blocked_me ? online.has(Number(c.other_user_id)) : null,
+        other_user_last_seen_at: blocked_me || c.blocked_by_me ? null : c.other_user_last_seen_at,
+        last_message: lm_id
+          ? {
+              id: lm_id,
+              sender_id: lm_sender_id,
+              content: lm_deleted_at ? null : (lm_content || '').slice(0, 120),
+              created_at: lm_created_at,
+              deleted: !!lm_deleted_at,
+            }
+          : null,
+      }));
+      res.json({ conversations });
+    } catch (err) {
+      console.error('get conversations error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  async function resolveMessageCursor(convId, raw) {
+    if (raw === undefined || raw === null || raw === '') return null;
+    const str = String(raw).trim();
+    if (/^\d+$/.test(str)) {
+      const row = await store.findMessage(str);
+      if (!row || Number(row.conversation_id) !== Number(convId)) return { invalid: true };
+      return { id: row.id, createdAt: row.created_at };
+    }
+    const ts = new Date(str);
+    if (Number.isNaN(ts.getTime())) return { invalid: true };
+    return { id: null, createdAt: ts };
+  }
+
+  app.get('/conversations/:id/messages', authMiddleware, async (req, res) => {
+    const convId = Number(req.params.id);
+    const uid = req.user.id;
+    const requested = Number(req.query.limit || 50);
+    const limit = Math.max(1, Math.min(200, Number.isFinite(requested) ? requested : 50));
+    if (req.query.before && req.query.after) return res.status(400).json({ error: 'use either before or after, not both' });
+    try {
+      if (!(await store.isParticipant(convId, uid))) return res.status(403).json({ error: 'Not part of conversation' });
+
+      const before = await resolveMessageCursor(convId, req.query.before);
+      const after = await resolveMessageCursor(convId, req.query.after);
+      if (before?.invalid || after?.invalid) return res.status(400).json({ error: 'invalid cursor' });
+
+      const page = await store.listMessages(convId, { cursor: before || after, direction: after ? 'after' : 'before', limit: limit + 1 });
+      const hasMore = page.length > limit;
+      const rows = page.slice(0, limit).map(serializeMessage);
+      // Pages after a cursor are read oldest first; the response is always newest first.
+      if (after) rows.reverse();
+      await hydrateMessages(rows, uid);
+      res.json({ messages: rows, hasMore });
+    } catch (err) {
+      console.error('fetch messages error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Same budget as the socket sendMessage event, counted per user so a shared NAT does not throttle everyone.
+  app.post('/conversations/:id/messages', authMiddleware, limit(config.rateLimits.sendMessage, (req) => [`user:${req.user.id}`]), async (req, res) => {
+    const convId = Number(req.params.id);
+    const uid = req.user.id;
+    const { content, attachmentIds, replyToId, clientId } = req.body;
+
+    try {
+      if (!(await store.isParticipant(convId, uid))) return res.status(403).json({ error: 'Not part of conversation' });
+
+      const result = await createMessage(convId, uid, { content, attachmentIds, replyToId, clientId });
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      return res.json({ message: result.message });
+    } catch (err) {
+      console.error('post message error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.post('/conversations/:id/read', authMiddleware, async (req, res) => {
+    const convId = Number(req.params.id);
+    const messageId = String(req.body?.messageId ?? '');
+    if (!/^\d+$/.test(messageId)) return res.status(400).json({ error: 'messageId required' });
+    try {
+      if (!(await store.isParticipant(convId, req.user.id))) return res.status(403).json({ error: 'Not part of conversation' });
+      await markRead(req.user.id, convId, messageId);
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('mark read error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.get('/conversations/:id/receipts', authMiddleware, async (req, res) => {
+    const convId = Number(req.params.id);
+    const uid = Number(req.user.id);
+    const ids = String(req.query.messageIds || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter((id) => /^\d+$/.test(id))
+      .slice(0, 200);
+    try {
+      if (!(await store.isParticipant(convId, uid))) return res.status(403).json({ error: 'Not part of conversation' });
+
+      // Without explicit ids, report on the caller's most recent sent messages.
+      const messageIds = await store.sentMessageIds(convId, uid, ids);
+      const statuses = await receiptStatuses(messageIds);
+      const detail = await store.receiptDetails(messageIds);
+      const receipts = messageIds.map((id) => ({
+        message_id: id,
+        status: statuses.get(String(id)),
+        recipients: detail
+          .filter((row) => String(row.message_id) === String(id))
+          .map(({ user_id, delivered_at, read_at }) => ({ user_id, delivered_at, read_at })),
+      }));
+      res.json({ receipts });
+    } catch (err) {
+      console.error('fetch receipts error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.patch('/conversations/:id/messages/:messageId', authMiddleware, async (req, res) => {
+    const convId = Number(req.params.id);
+    try {
+      if (!(await store.messageInConversation(req.params.messageId, convId))) return res.status(404).json({ error: 'message not found' });
+      const result = await editMessage(req.params.messageId, req.user.id, req.body?.content);
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      return res.json({ message: result.message });
+    } catch (err) {
+      console.error('edit message error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.delete('/conversations/:id/messages/:messageId', authMiddleware, async (req, res) => {
+    const convId = Number(req.params.id);
+    try {
+      if (!(await store.messageInConversation(req.params.messageId, convId))) return res.status(404).json({ error: 'message not found' });
+      const result = await deleteMessage(req.params.messageId, req.user.id);
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      return res.json({ message: result.message });
+    } catch (err) {
+      console.error('delete message error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.post('/conversations/:id/messages/:messageId/reactions', authMiddleware, async (req, res) => {
+    const convId = Number(req.params.id);
+    try {
+      if (!(await store.messageInConversation(req.params.messageId, convId))) return res.status(404).json({ error: 'message not found' });
+      const result = await setReaction(req.params.messageId, req.user.id, req.body?.emoji, true);
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      return res.json({ reactions: result.reactions });
+    } catch (err) {
+      console.error('add reaction error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.delete('/conversations/:id/messages/:messageId/reactions/:emoji', authMiddleware, async (req, res) => {
+    const convId = Number(req.params.id);
+    try {
+      if (!(await store.messageInConversation(req.params.messageId, convId))) return res.status(404).json({ error: 'message not found' });
+      const result = await setReaction(req.params.messageId, req.user.id, req.params.emoji, false);
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      return res.json({ reactions: result.reactions });
+    } catch (err) {
+      console.error('remove reaction error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  function receiveUpload(req, res, middleware = upload.single('file'), maxBytes = config.maxUploadBytes) {
+    return new Promise((resolve) => {
+      middleware(req, res, (err) => {
+        if (!err) return resolve(true);
+        if (err.code === 'LIMIT_FILE_SIZE') res.status(413).json({ error: `file exceeds ${maxBytes} bytes` });
+        else if (err.code === 'UNSUPPORTED_TYPE') res.status(415).json({ error: 'file type not allowed' });
+        else res.status(400).json({ error: 'invalid upload' });
+        resolve(false);
+      });
+    });
+  }
+
+  app.post('/conversations/:id/attachments', authMiddleware, async (req, res) => {
+    const convId = Number(req.params.id);
+    const uid = req.user.id;
+    try {
+      if (!(await store.isParticipant(convId, uid))) return res.status(403).json({ error: 'Not part of conversation' });
+      // Checked before the body is read, so nothing is stored for a message that could not be sent anyway.
+      if (await store.isConversationFrozen(convId)) return res.status(403).json({ error: 'conversation is frozen' });
+      if (!(await receiveUpload(req, res))) return;
+      if (!req.file) return res.status(400).json({ error: 'file required' });
+
+      const { buffer, mimetype, originalname } = req.file;
+      const day = new Date().toISOString().slice(0, 10).replace(/-/g, '/');
+      const storageKey = `attachments/${day}/${crypto.randomUUID()}`;
+      let thumbnailKey = null;
+      let width = null;
+      let height = null;
+
+      if (mimetype.startsWith('image/')) {
+        // Decoding also proves the bytes really are an image and not something wearing its MIME type.
+        try {
+          const meta = await sharp(buffer).metadata();
+          width = meta.width || null;
+          height = meta.height || null;
+          const thumbnail = await sharp(buffer)
+            .rotate()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 75 })
+            .toBuffer();
+          thumbnailKey = `${storageKey}-thumb.webp`;
+          await storage.save(thumbnailKey, thumbnail);
+        } catch (e) {
+          return res.status(415).json({ error: 'invalid image' });
+        }
+      }
+      await storage.save(storageKey, buffer);
+
+      const attachment = await store.createAttachment({
+        conversationId: convId,
+        uploaderId: uid,
+        filename: (originalname || 'file').slice(0, 255),
+        mimeType: mimetype,
+        sizeBytes: buffer.length,
+        storageKey,
+        thumbnailKey,
+        width,
+        height,
+      });
+      return res.json({ attachment: serializeAttachment(attachment) });
+    } catch (err) {
+      console.error('upload attachment error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  async function sendAttachment(req, res, variant) {
+    const id = String(req.params.id);
+    if (!/^\d+$/.test(id)) return res.status(400).json({ error: 'invalid attachment id' });
+    try {
+      const att = await store.findAttachment(id);
+      if (!att) return res.status(404).json({ error: 'attachment not found' });
+      if (!(await store.isParticipant(att.conversation_id, req.user.id))) return res.status(403).json({ error: 'Not part of conversation' });
+      // Unsent uploads are only visible to the person who uploaded them.
+      if (!att.message_id && Number(att.uploader_id) !== Number(req.user.id)) return res.status(404).json({ error: 'attachment not found' });
+
+      const key = variant === 'thumbnail' ? att.thumbnail_key : att.storage_key;
+      if (!key || !(await storage.exists(key))) return res.status(404).json({ error: 'file not found' });
+
+      const inline = variant === 'thumbnail' || att.mime_type.startsWith('image/');
+      res.setHeader('Content-Type', variant === 'thumbnail' ? 'image/webp' : att.mime_type);
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.setHeader('Cache-Control', 'private, max-age=3600');
+      res.setHeader(
+        'Content-Disposition',
+        `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(att.filename)}`
+      );
+      storage.createReadStream(key).on('error', () => res.destroy()).pipe(res);
+    } catch (err) {
+      console.error('download attachment error', err && err.stack ? err.stack : err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  app.get('/attachments/:id', authMiddleware, (req, res) => sendAttachment(req, res, 'original'));
+  app.get('/attachments/:id/thumbnail', authMiddleware, (req, res) => sendAttachment(req, res, 'thumbnail'));
+
+  const server = http.createServer(app);
+  server.on('close', () => dataExporter.close());
+
+  const io = new Server(server, {
+    cors: { origin: '*', methods: ['GET', 'POST'] },
+    // Without this, rooms and presence only span the sockets connected to this process.
+    adapter: createSocketAdapter({ driver: config.socketAdapter, pool: store.pool }) || undefined,
+  });
+
+  io.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token || (socket.handshake.headers?.authorization ? socket.handshake.headers.authorization.split(' ')[1] : null);
+      if (!token) return next(new Error('auth error: token missing'));
+      const payload = await verifySession(token);
+      if (!payload) return next(new Error('auth error: invalid token'));
+      socket.userId = payload.userId;
+      // Read back by onlineUserIds, also from other instances.
+      socket.data.userId = payload.userId;
+      socket.sessionId = payload.sid;
+      next();
+    } catch (err) {
+      console.error('socket auth error', err && err.stack ? err.stack : err);
+      next(new Error('auth error'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const uid = socket.userId;
+    console.log(`socket connected ${socket.id} user ${uid}`);
+    try { socket.join(`user:${uid}`); } catch (e) {}
+    // Revoking the session disconnects every socket that logged in with it.
+    try { socket.join(`session:${socket.sessionId}`); } catch (e) {}
+
+    // Only the user's oldest connected socket announces them; if two tabs race, both may, which is harmless.
+    io.in(`user:${uid}`)
+      .fetchSockets()
+      .then((sockets) => {
+        const cameOnline = !sockets.some((s) => s.id !== socket.id && s.handshake.issued < socket.handshake.issued);
+        if (cameOnline) return broadcastPresence(uid, true);
+      })
+      .catch((err) => console.error('presence err', err && err.stack ? err.stack : err));
+
+    // conversationId -> expiry timer; a client that goes quiet without sending typing:stop is expired here.
+    const typingTimers = new Map();
+    const stopTyping = (conversationId) => {
+      const timer = typingTimers.get(conversationId);
+      if (!timer) return;
+      clearTimeout(timer);
+      typingTimers.delete(conversationId);
+      socket.to(`conversation:${conversationId}`).emit('typing', { conversationId, userId: uid, typing: false });
+    };
+
+    // Members receive every conversation's messages live, not only the chat that is open.
+    const roomsJoined = store
+      .conversationIdsOf(uid)
+      .then((ids) => ids.forEach((id) => socket.join(`conversation:${id}`)))
+      .catch((err) => console.error('auto join err', err && err.stack ? err.stack : err));
+
+    markDelivered(uid).catch((err) => console.error('deliver pending err', err && err.stack ? err.stack : err));
+
+    // Payloads come straight from clients and may be anything, null included, so none is destructured as is.
+    socket.on('join', async (payload) => {
+      const { conversationId } = payload || {};
+      if (!conversationId) return;
+      try {
+        if (!(await store.isParticipant(conversationId, uid))) {
+          socket.emit('error', 'not in conversation');
+          return;
+        }
+        socket.join(`conversation:${conversationId}`);
+        socket.emit('joined', { conversationId });
+      } catch (err) {
+        console.error('join err', err && err.stack ? err.stack : err);
+        socket.emit('error', 'join failed');
+      }
+    });
+
+    socket.on('sync', async (payload, ack) => {
+      if (typeof ack !== 'function') return;
+      try {
+        // Replay only once the rooms are joined, so anything newer than the replay arrives live.
+        await roomsJoined;
+        ack(await syncState(uid, payload || {}));
+      } catch (err) {
+        console.error('socket sync err', err && err.stack ? err.stack : err);
+        ack({ error: 'sync failed' });
+      }
+    });
+
+    socket.on('typing:start', async (payload) => {
+      const { conversationId } = payload || {};
+      const convId = Number(conversationId);
+      // Rooms are only joined after a membership check, so the room itself is the authorization.
+      if (!socket.rooms.has(`conversation:${convId}`)) return;
+      try {
+        // A frozen chat shows the other side nothing, typing included.
+        if (await store.isConversationFrozen(convId)) return;
+      } catch (err) {
+        console.error('typing error', err && err.stack ? err.stack : err);
+        return;
+      }
+      clearTimeout(typingTimers.get(convId));
+      typingTimers.set(convId, setTimeout(() => stopTyping(convId), config.typingTimeoutMs));
+      socket.to(`conversation:${convId}`).emit('typing', { conversationId: convId, userId: uid, typing: true });
+    });
+
+    socket.on('typing:stop', (payload) => {
+      const { conversationId } = payload || {};
+      stopTyping(Number(conversationId));
+    });
+
+    // Clients that pass an ack callback get { message } or { error } back; older clients still get 'error' events.
+    // A throttled send also carries retryAfter (seconds).
+    socket.on('sendMessage', async (payload, ack) => {
+      const { conversationId, content, attachmentIds, replyToId, clientId } = payload || {};
+      const fail = (error, retryAfter) => {
+        if (typeof ack === 'function') return ack(retryAfter ? { error, retryAfter } : { error });
+        socket.emit('error', retryAfter ? { error, retryAfter } : error);
+      };
+      if (!conversationId) return fail('invalid payload');
+      stopTyping(Number(conversationId));
+      try {
+        const throttled = await rateLimiter.consume(config.rateLimits.sendMessage, [`user:${uid}`]);
+        if (!throttled.allowed) return fail('Too many messages, please slow down', throttled.retryAfter);
+
+        if (!(await store.isParticipant(conversationId, uid))) return fail('not in conversation');
+
+        const result = await createMessage(conversationId, uid, { content, attachmentIds, replyToId, clientId });
+        if (result.error) return fail(result.error);
+        if (typeof ack === 'function') ack({ message: result.message });
+      } catch (err) {
+        console.error('socket sendMessage err', err && err.stack ? err.stack : err);
+        fail('send failed');
+      }
+    });
+
+    socket.on('markRead', async (payload) => {
+      const { conversationId, messageId } = payload || {};
+      if (!conversationId || !/^\d+$/.test(String(messageId ?? ''))) return socket.emit('error', 'invalid payload');
+      try {
+        if (!(await store.isParticipant(conversationId, uid))) {
+          socket.emit('error', 'not in conversation');
+          return;
+        }
+        await markRead(uid, conversationId, messageId);
+      } catch (err) {
+        console.error('socket markRead err', err && err.stack ? err.stack : err);
+        socket.emit('error', 'mark read failed');
+      }
+    });
+
+    socket.on('addReaction', async (payload) => {
+      const { messageId, emoji } = payload || {};
+      try {
+        const result = await setReaction(messageId, uid, emoji, true);
+        if (result.error) socket.emit('error', result.error);
+      } catch (err) {
+        console.error('socket addReaction err', err && err.stack ? err.stack : err);
+        socket.emit('error', 'reaction failed');
+      }
+    });
+
+    socket.on('removeReaction', async (payload) => {
+      const { messageId, emoji } = payload || {};
+      try {
+        const result = await setReaction(messageId, uid, emoji, false);
+        if (result.error) socket.emit('error', result.error);
+      } catch (err) {
+        console.error('socket removeReaction err', err && err.stack ? err.stack : err);
+        socket.emit('error', 'reaction failed');
+      }
+    });
+
+    socket.on('editMessage', async (payload) => {
+      const { messageId, content } = payload || {};
+      try {
+        const result = await editMessage(messageId, uid, content);
+        if (result.error) socket.emit('error', result.error);
+      } catch (err) {
+        console.error('socket editMessage err', err && err.stack ? err.stack : err);
+        socket.emit('error', 'edit failed');
+      }
+    });
+
+    socket.on('deleteMessage', async (payload) => {
+      const { messageId } = payload || {};
+      try {
+        const result = await deleteMessage(messageId, uid);
+        if (result.error) socket.emit('error', result.error);
+      } catch (err) {
+        console.error('socket deleteMessage err', err && err.stack ? err.stack : err);
+        socket.emit('error', 'delete failed');
+      }
+    });
+
+    socket.on('disconnect', async () => {
+      Array.from(typingTimers.keys()).forEach(stopTyping);
+      try {
+        // The socket has already left its rooms, so this only finds the user's other tabs.
+        if (!(await isOnline(uid))) {
+          const lastSeenAt = await store.touchLastSeen(uid);
+          // Another tab may have connected while the update was in flight.
+          if (!(await isOnline(uid))) await broadcastPresence(uid, false, lastSeenAt || new Date());
+        }
+      } catch (err) {
+        console.error('presence err', err && err.stack ? err.stack : err);
+      }
+      console.log(`socket disconnected ${socket.id}`);
+    });
+  });
+
+  app.get(/.*/, (req, res) => {
+    res.sendFile(path.join(BUILD_DIR, 'index.html'));
+  });
+
+  return { app, server, io, store };
+}
+
+module.exports = { createApp };
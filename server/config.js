@@ -0,0 +1,49 @@
+const { parseRule } = require('./rateLimit');
+
+// Everything createApp reads from the environment, in one place. Tests build their own with
+// loadConfig({ ...overrides }) instead of touching process.env.
+function loadConfig(env = process.env) {
+  const number = (name, fallback) => Number(env[name] || fallback);
+  return {
+    jwtSecret: env.JWT_SECRET || 'change_this_in_env',
+    accessTokenTtl: env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtlDays: number('REFRESH_TOKEN_TTL_DAYS', 30),
+    trustProxy: env.TRUST_PROXY || null,
+
+    storageDriver: env.STORAGE_DRIVER,
+    uploadDir: env.UPLOAD_DIR,
+    maxUploadBytes: number('MAX_UPLOAD_BYTES', 10 * 1024 * 1024),
+    allowedUploadTypes: (env.UPLOAD_ALLOWED_TYPES || 'image/jpeg,image/png,image/gif,image/webp,application/pdf,text/plain,application/zip')
+      .split(',')
+      .map((t) => t.trim().toLowerCase())
+      .filter(Boolean),
+
+    mailTransport: env.MAIL_TRANSPORT,
+    mailOutboxDir: env.MAIL_OUTBOX_DIR,
+    mailFrom: env.MAIL_FROM,
+    // Links in emails point at the React app, which is not necessarily served by this process.
+    appUrl: (env.APP_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+    passwordResetTtlMinutes: number('PASSWORD_RESET_TTL_MINUTES', 60),
+    emailVerificationTtlHours: number('EMAIL_VERIFICATION_TTL_HOURS', 24),
+    dataExportTtlHours: number('DATA_EXPORT_TTL_HOURS', 48),
+
+    rateLimitStore: env.RATE_LIMIT_STORE,
+    // Each limit can be overridden with RATE_LIMIT_<NAME>, e.g. RATE_LIMIT_LOGIN=10/15m.
+    rateLimits: {
+      login: parseRule('login', env.RATE_LIMIT_LOGIN || '20/15m'),
+      signup: parseRule('signup', env.RATE_LIMIT_SIGNUP || '5/1h'),
+      accountEmail: parseRule('accountEmail', env.RATE_LIMIT_ACCOUNT_EMAIL || '5/1h'),
+      userSearch: parseRule('userSearch', env.RATE_LIMIT_USER_SEARCH || '30/1m'),
+      friendRequest: parseRule('friendRequest', env.RATE_LIMIT_FRIEND_REQUEST || '20/1h'),
+      sendMessage: parseRule('sendMessage', env.RATE_LIMIT_SEND_MESSAGE || '30/10s'),
+      dataExport: parseRule('dataExport', env.RATE_LIMIT_DATA_EXPORT || '3/1d'),
+    },
+    loginLockoutThreshold: number('LOGIN_LOCKOUT_THRESHOLD', 5),
+    loginLockoutMinutes: number('LOGIN_LOCKOUT_MINUTES', 15),
+
+    typingTimeoutMs: number('TYPING_TIMEOUT_MS', 6000),
+    socketAdapter: env.SOCKET_ADAPTER,
+  };
+}
+
+module.exports = { loadConfig };
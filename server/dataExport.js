@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { ZipFile } = require('yazl');
+
+// "Export my data": a zip with the user's profile, friends, friend-request history and every conversation
+// they are in, each as JSON and as a plain HTML page. Only what the user can already see in the app goes in:
+// the same message history, tombstones instead of deleted content, other people's names and emails but not
+// their profiles once they blocked the user. Attachments are listed, not copied.
+//
+// Jobs run one after another in the process that accepted them, and the archive is streamed into storage
+// as it is built. A running job touches its row every minute; one whose process went away stops doing so and
+// is failed by the sweep, which also removes archives past their expiry. A job only writes to its row while
+// it is still running, so a job the sweep gave up on stays failed. On startup the sweep runs once and the
+// jobs still pending are queued again.
+
+const MESSAGE_PAGE_SIZE = 500;
+const STALE_MINUTES = 15;
+const HEARTBEAT_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const FAILED_MESSAGE = 'Something went wrong while building the export';
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+const formatTime = (value) => (value ? `${new Date(value).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '');
+
+function htmlPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+  .message { padding: 8px 0; border-bottom: 1px solid #eaeef2; }
+  .meta { font-size: 0.85em; color: #59636e; }
+  .content { white-space: pre-wrap; margin: 4px 0; }
+  .deleted { font-style: italic; color: #59636e; }
+  blockquote { margin: 4px 0; padding-left: 8px; border-left: 3px solid #d0d7de; color: #59636e; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>
+`;
+}
+
+function htmlTable(headings, rows) {
+  if (rows.length === 0) return '<p>None.</p>';
+  const head = headings.map((h) => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map((cells) => `<tr>${cells.map((c) => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('\n');
+  return `<table>\n<tr>${head}</tr>\n${body}\n</table>`;
+}
+
+function messageHtml(message, nameOf) {
+  const edited = message.edited_at && !message.deleted ? ' · edited' : '';
+  const reply = message.reply_to
+    ? `<blockquote>${escapeHtml(message.reply_to.sender_name || nameOf(message.reply_to.sender_id))}: ${
+        message.reply_to.deleted ? 'deleted message' : escapeHtml(message.reply_to.content)
+      }</blockquote>`
+    : '';
+  const content = message.deleted
+    ? '<div class="content deleted">This message was deleted.</div>'
+    : message.content
+      ? `<div class="content">${escapeHtml(message.content)}</div>`
+      : '';
+  const files = message.attachments.length
+    ? `<div class="meta">Attachments: ${message.attachments.map((a) => escapeHtml(`${a.filename} (${a.size} bytes)`)).join(', ')}</div>`
+    : '';
+  const reactions = message.reactions.length
+    ? `<div class="meta">${message.reactions.map((r) => escapeHtml(`${r.emoji} ${r.count}`)).join(' ')}</div>`
+    : '';
+  return `<div class="message">
+<div class="meta"><strong>${escapeHtml(nameOf(message.sender_id))}</strong> · ${formatTime(message.created_at)}${edited}</div>
+${reply}${content}${files}${reactions}
+</div>`;
+}
+
+// `serializeMessage` and `hydrateMessages` are the ones the messages endpoint uses, so exported history looks
+// exactly like what the API returns. `onUpdate(row)` hears about every change to a job.
+function createDataExporter({ store, storage, ttlHours, profileOf, avatarFileOf, serializeMessage, hydrateMessages, onUpdate = () => {} }) {
+  let queue = Promise.resolve();
+
+  async function conversationHistory(conversationId, userId) {
+    const messages = [];
+    let cursor = { id: null, createdAt: new Date(0) };
+    for (;;) {
+      const page = await store.listMessages(conversationId, { cursor, direction: 'after', limit: MESSAGE_PAGE_SIZE });
+      const rows = page.map(serializeMessage);
+      await hydrateMessages(rows, userId);
+      messages.push(...rows.map(({ client_id, ...message }) => message));
+      if (page.length < MESSAGE_PAGE_SIZE) return messages;
+      const last = page[page.length - 1];
+      cursor = { id: last.id, createdAt: last.created_at };
+    }
+  }
+
+  // Adds every entry to `zip` and ends it.
+  async function buildArchive(zip, user, reportProgress) {
+    const userId = Number(user.id);
+    const addJson = (name, value) => zip.addBuffer(Buffer.from(JSON.stringify(value, null, 2)), name);
+    const addHtml = (name, title, body) => zip.addBuffer(Buffer.from(htmlPage(title, body)), name);
+
+    const profile = { ...profileOf(user), created_at: user.created_at };
+    const conversations = await store.listConversations(userId);
+    const friends = conversations
+      .filter((c) => !c.is_group && c.other_user_id)
+      .map((c) => ({
+        id: Number(c.other_user_id),
+        name: c.other_user_name,
+        email: c.other_user_email,
+        // Someone who blocked the user keeps their profile to themselves, as in the app.
+        bio: c.blocked_me ? null : c.other_user_bio || '',
+        status_text: c.blocked_me ? null : c.other_user_status_text || '',
+        blocked_by_me: !!c.blocked_by_me,
+        conversation_id: c.id,
+      }));
+    const requests = (await store.friendRequestHistory(userId)).map((r) => ({ ...r, user_id: Number(r.user_id) }));
+
+    addJson('profile.json', profile);
+    addJson('friends.json', friends);
+    addJson('friend_requests.json', requests);
+    const avatarKey = avatarFileOf(user);
+    if (avatarKey && (await storage.exists(avatarKey))) {
+      // yazl does not listen for errors on the streams it is given.
+      zip.addReadStream(storage.createReadStream(avatarKey).on('error', (err) => zip.emit('error', err)), 'avatar.webp');
+    }
+    await reportProgress(5);
+
+    const index = [];
+    for (const [i, c] of conversations.entries()) {
+      const members = (await store.listParticipants(c.id)).map((m) => ({ ...m, id: Number(m.id) }));
+      const messages = await conversationHistory(c.id, userId);
+      const names = new Map(members.map((m) => [m.id, m.name]));
+      names.set(userId, user.name);
+      // People who left a group since still show up as senders.
+      for (const senderId of new Set(messages.map((m) => m.sender_id))) {
+        if (!names.has(senderId)) names.set(senderId, (await store.findUserById(senderId))?.name || 'Deleted user');
+      }
+      const nameOf = (id) => names.get(Number(id)) || 'Deleted user';
+      const title = c.is_group ? c.title : c.other_user_name;
+
+      addJson(`conversations/${c.id}.json`, {
+        id: c.id,
+        type: c.is_group ? 'group' : 'direct',
+        title,
+        created_at: c.created_at,
+        members,
+        messages,
+      });
+      addHtml(
+        `conversations/${c.id}.html`,
+        title,
+        `<p><a href="../index.html">Back to index</a></p>
+<h2>Members</h2>
+${htmlTable(['Name', 'Email', 'Joined'], members.map((m) => [m.name, m.email, formatTime(m.joined_at)]))}
+<h2>Messages</h2>
+${messages.length ? messages.map((m) => messageHtml(m, nameOf)).join('\n') : '<p>No messages.</p>'}`
+      );
+      index.push({ id: c.id, title, type: c.is_group ? 'Group' : 'Direct', count: messages.length });
+      await reportProgress(5 + Math.floor((90 * (i + 1)) / conversations.length));
+    }
+
+    addHtml(
+      'index.html',
+      `Data export for ${user.name}`,
+      `<p>Created ${formatTime(new Date())}. The same data is in the .json files next to this page.</p>
+<h2>Profile</h2>
+${htmlTable(['Field', 'Value'], [
+  ['Name', profile.name],
+  ['Email', profile.email],
+  ['Status', profile.status_text],
+  ['Bio', profile.bio],
+  ['Member since', formatTime(profile.created_at)],
+])}
+<h2>Friends</h2>
+${htmlTable(['Name', 'Email', 'Status'], friends.map((f) => [f.name, f.email, f.blocked_by_me ? 'Blocked' : f.status_text || '']))}
+<h2>Friend requests</h2>
+${htmlTable(['Date', 'Direction', 'Name', 'Email', 'Status'], requests.map((r) => [formatTime(r.created_at), r.direction, r.name, r.email, r.status]))}
+<h2>Conversations</h2>
+${
+  index.length
+    ? `<ul>\n${index
+        .map((c) => `<li><a href="conversations/${c.id}.html">${escapeHtml(c.title)}</a> · ${c.type} · ${c.count} messages</li>`)
+        .join('\n')}\n</ul>`
+    : '<p>None.</p>'
+}`
+    );
+
+    zip.end();
+  }
+
+  // Streams the archive into storage under `key` while it is built. Resolves to its size in bytes.
+  async function writeArchive(key, user, reportProgress) {
+    const zip = new ZipFile();
+    let size = 0;
+    const output = zip.outputStream.pipe(
+      new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          callback(null, chunk);
+        },
+      })
+    );
+    zip.on('error', (err) => output.destroy(err));
+    try {
+      await Promise.all([storage.save(key, output), buildArchive(zip, user, reportProgress)]);
+    } catch (err) {
+      output.destroy();
+      throw err;
+    }
+    return size;
+  }
+
+  async function run(jobId) {
+    const job = await store.claimDataExport(jobId);
+    if (!job) return;
+    onUpdate(job);
+    let reported = 0;
+    // A row that is missing or no longer running means the user deleted their account meanwhile, or the sweep
+    // took the job for abandoned; either way the archive is not wanted any more.
+    const gone = new Error('data export was removed');
+    const reportProgress = async (progress) => {
+      if (progress - reported < 5) return;
+      reported = progress;
+      const row = await store.updateDataExport(jobId, { progress }, 'running');
+      if (!row) throw gone;
+      onUpdate(row);
+    };
+    const heartbeat = setInterval(() => {
+      store
+        .updateDataExport(jobId, {}, 'running')
+        .catch((err) => console.error('data export heartbeat error', err && err.stack ? err.stack : err));
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    let key = null;
+    try {
+      const user = await store.findUserById(job.user_id);
+      if (!user) throw gone;
+      key = `exports/${user.id}/${crypto.randomUUID()}.zip`;
+      const size = await writeArchive(key, user, reportProgress);
+      const row = await store.updateDataExport(
+        jobId,
+        {
+          status: 'ready',
+          progress: 100,
+          storage_key: key,
+          size_bytes: size,
+          completed_at: new Date(),
+          expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+        },
+        'running'
+      );
+      if (!row) throw gone;
+      onUpdate(row);
+    } catch (err) {
+      if (key) await storage.remove(key).catch(() => {});
+      if (err === gone) return;
+      console.error('data export error', err && err.stack ? err.stack : err);
+      const row = await store.updateDataExport(jobId, { status: 'failed', error: FAILED_MESSAGE }, 'running').catch(() => null);
+      if (row) onUpdate(row);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async function sweep() {
+    for (const job of await store.expiredDataExports(STALE_MINUTES)) {
+      if (job.storage_key) await storage.remove(job.storage_key).catch(() => {});
+      const row = await store.updateDataExport(
+        job.id,
+        job.status === 'ready' ? { status: 'expired', storage_key: null } : { status: 'failed', error: FAILED_MESSAGE },
+        job.status
+      );
+      if (row) onUpdate(row);
+    }
+  }
+
+  // Resolves once this job (and any queued before it) has finished, successfully or not.
+  function enqueue(jobId) {
+    queue = queue.then(() => run(jobId)).catch((err) => console.error('data export error', err && err.stack ? err.stack : err));
+    return queue;
+  }
+
+  sweep()
+    .then(() => store.pendingDataExports())
+    .then((jobs) => jobs.forEach((job) => enqueue(job.id)))
+    .catch((err) => console.error('data export startup error', err && err.stack ? err.stack : err));
+
+  const sweepTimer = setInterval(() => {
+    sweep().catch((err) => console.error('data export sweep error', err && err.stack ? err.stack : err));
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  return {
+    enqueue,
+    sweep,
+    close() {
+      clearInterval(sweepTimer);
+    },
+  };
+}
+
+module.exports = { createDataExporter };
@@ -0,0 +1,28 @@
+const { Pool } = require('pg');
+
+// DATABASE_URL wins; otherwise the discrete DB_* variables are used. Shared by the server and the migration CLI.
+function createPool(env = process.env) {
+  if (env.DATABASE_URL) return new Pool({ connectionString: env.DATABASE_URL });
+
+  const dbUser = env.DB_USER;
+  const dbHost = env.DB_HOST || 'localhost';
+  const dbName = env.DB_NAME;
+  const dbPassword = env.DB_PASSWORD;
+  const dbPort = Number(env.DB_PORT || 5432);
+
+  if (!dbName || !dbUser) {
+    throw new Error('Missing DB_NAME or DB_USER. Please set env vars or DATABASE_URL.');
+  }
+
+  console.log('[DB CONFIG]', { host: dbHost, port: dbPort, database: dbName, user: dbUser });
+
+  return new Pool({
+    user: dbUser,
+    host: dbHost,
+    database: dbName,
+    password: dbPassword,
+    port: dbPort,
+  });
+}
+
+module.exports = { createPool };
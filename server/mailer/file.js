@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes every mail as a small .eml file, newest sortable by name, so links can be copied out in development.
+function createFileTransport({ dir }) {
+  const baseDir = path.resolve(dir);
+
+  return {
+    async send({ from, to, subject, text }) {
+      await fs.promises.mkdir(baseDir, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      const body = [`From: ${from}`, `To: ${to}`, `Subject: ${subject}`, `Date: ${new Date().toUTCString()}`, '', text, ''].join('\n');
+      await fs.promises.writeFile(path.join(baseDir, name), body);
+      return { id: name };
+    },
+  };
+}
+
+module.exports = { createFileTransport };
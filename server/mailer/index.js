@@ -0,0 +1,25 @@
+const path = require('path');
+const { createFileTransport } = require('./file');
+const { createLogTransport } = require('./log');
+
+// Every transport exposes send({ from, to, subject, text }). Neither default needs an SMTP server:
+// `file` drops each mail into an outbox folder, `log` prints it to the console.
+const transports = {
+  file: (config) => createFileTransport({ dir: config.outboxDir || path.join(__dirname, '..', '..', 'mail-outbox') }),
+  log: () => createLogTransport(),
+};
+
+function createMailer(config = {}) {
+  const name = config.transport || 'file';
+  const factory = transports[name];
+  if (!factory) throw new Error(`Unknown mail transport "${name}". Available: ${Object.keys(transports).join(', ')}`);
+  const transport = factory(config);
+  const from = config.from || 'Chatbot <no-reply@localhost>';
+
+  return {
+    transport: name,
+    send: (message) => transport.send({ from, ...message }),
+  };
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,10 @@
+function createLogTransport() {
+  return {
+    async send({ from, to, subject, text }) {
+      console.log(`[mail] from=${from} to=${to} subject=${subject}\n${text}`);
+      return { id: null };
+    },
+  };
+}
+
+module.exports = { createLogTransport };
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migration files are named <version>_<name>.js and export async up(db) and down(db); db is a pg client
+// already inside the migration's transaction.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_RE = /^(\d+)_([\w-]+)\.js$/;
+
+// Any constant works as long as every instance agrees on it: two servers booting at once must not both migrate.
+const LOCK_KEY = 721004;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => FILE_RE.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const mod = require(path.join(dir, file));
+      if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: Number(version), name, file, up: mod.up, down: mod.down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (i > 0 && migrations[i - 1].version === m.version) {
+      throw new Error(`Duplicate migration version ${m.version}: ${migrations[i - 1].file} and ${m.file}`);
+    }
+  });
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+}
+
+async function appliedVersions(db) {
+  const r = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return r.rows;
+}
+
+// Runs fn on one connection holding the migration lock, so the lock and every transaction share a session.
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1,$2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version=$1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+    err.message = `Migration ${migration.file} (${direction}) failed: ${err.message}`;
+    throw err;
+  }
+}
+
+// Applies every pending migration in order, or only those up to `to`. Stops at the first failure;
+// earlier migrations stay applied. Resolves to the migrations that ran.
+async function migrateUp(pool, { to = Infinity, log = console.log, dir } = {}) {
+  const migrations = loadMigrations(dir);
+  return withLock(pool, async (client) => {
+    const applied = new Set((await appliedVersions(client)).map((r) => r.version));
+    const pending = migrations.filter((m) => !applied.has(m.version) && m.version <= to);
+    for (const m of pending) {
+      log(`migrate up ${m.file}`);
+      await runInTransaction(client, m, 'up');
+    }
+    return pending;
+  });
+}
+
+// Reverts the last `steps` applied migrations, newest first.
+async function migrateDown(pool, { steps = 1, log = console.log, dir } = {}) {
+  const migrations = loadMigrations(dir);
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+  return withLock(pool, async (client) => {
+    const targets = (await appliedVersions(client)).reverse().slice(0, steps);
+    const missing = targets.find((r) => !byVersion.has(r.version));
+    if (missing) throw new Error(`Cannot roll back ${missing.version}_${missing.name}: its file is gone`);
+    const reverted = [];
+    for (const row of targets) {
+      const m = byVersion.get(row.version);
+      log(`migrate down ${m.file}`);
+      await runInTransaction(client, m, 'down');
+      reverted.push(m);
+    }
+    return reverted;
+  });
+}
+
+// One entry per known version: files on disk plus anything recorded in the database without a file.
+async function migrationStatus(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+  return withLock(pool, async (client) => {
+    const applied = new Map((await appliedVersions(client)).map((r) => [r.version, r]));
+    const rows = migrations.map((m) => ({
+      version: m.version,
+      name: m.name,
+      applied_at: applied.has(m.version) ? applied.get(m.version).applied_at : null,
+    }));
+    for (const [version, r] of applied) {
+      if (!migrations.some((m) => m.version === version)) rows.push({ version, name: r.name, applied_at: r.applied_at, missing: true });
+    }
+    return rows.sort((a, b) => a.version - b.version);
+  });
+}
+
+function createMigration(name, dir = MIGRATIONS_DIR) {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) throw new Error('A migration name is required');
+  const last = loadMigrations(dir).pop();
+  const version = String((last ? last.version : 0) + 1).padStart(3, '0');
+  const file = path.join(dir, `${version}_${slug}.js`);
+  fs.writeFileSync(
+    file,
+    `module.exports = {\n  async up(db) {\n  },\n\n  async down(db) {\n  },\n};\n`
+  );
+  return file;
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, migrationStatus, createMigration };
+
+const USAGE = `Usage: node server/migrate.js <command>
+
+  up [--to <version>]   apply pending migrations
+  down [--steps <n>]    roll back the last n migrations (default 1)
+  status                list migrations and whether they are applied
+  create <name>         add an empty migration file`;
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  const option = (flag) => {
+    const i = rest.indexOf(flag);
+    return i === -1 ? undefined : rest[i + 1];
+  };
+
+  if (command === 'create') {
+    console.log(`created ${path.relative(process.cwd(), createMigration(rest.join(' ')))}`);
+    return;
+  }
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.log(USAGE);
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+
+  require('dotenv').config();
+  const pool = require('./db').createPool();
+  try {
+    if (command === 'up') {
+      const to = option('--to') === undefined ? Infinity : Number(option('--to'));
+      if (!Number.isFinite(to)) throw new Error('--to expects a version number');
+      const ran = await migrateUp(pool, { to });
+      console.log(ran.length ? `applied ${ran.length} migration(s)` : 'already up to date');
+    } else if (command === 'down') {
+      const steps = option('--steps') === undefined ? 1 : Number(option('--steps'));
+      if (!Number.isInteger(steps) || steps < 1) throw new Error('--steps expects a positive integer');
+      const reverted = await migrateDown(pool, { steps });
+      console.log(reverted.length ? `rolled back ${reverted.length} migration(s)` : 'nothing to roll back');
+    } else {
+      for (const m of await migrationStatus(pool)) {
+        const state = m.missing ? 'applied, file missing' : m.applied_at ? `applied ${new Date(m.applied_at).toISOString()}` : 'pending';
+        console.log(`${String(m.version).padStart(3, '0')}_${m.name}  ${state}`);
+      }
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err && err.message ? err.message : err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,230 @@
+// The schema as the old boot-time initDb left it. Databases created by initDb already have most of it,
+// so every step tolerates existing objects; anything else that goes wrong fails the migration.
+
+async function columnExists(db, table, column) {
+  const r = await db.query(
+    `SELECT 1 FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name=$1 AND column_name=$2`,
+    [table, column]
+  );
+  return r.rowCount > 0;
+}
+
+// ADD CONSTRAINT has no IF NOT EXISTS, and inside a transaction a failed statement can't just be caught.
+async function addConstraint(db, table, name, definition) {
+  const r = await db.query('SELECT 1 FROM pg_constraint WHERE conname=$1 AND conrelid = $2::regclass', [name, table]);
+  if (r.rowCount === 0) await db.query(`ALTER TABLE ${table} ADD CONSTRAINT ${name} ${definition}`);
+}
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ;`);
+  // Accounts that predate verification are trusted; only new signups start unverified.
+  if (!(await columnExists(db, 'users', 'email_verified'))) {
+    await db.query(`ALTER TABLE users ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT true;`);
+    await db.query(`ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT false;`);
+  }
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS friend_requests (
+      id SERIAL PRIMARY KEY,
+      requester_id INT NOT NULL,
+      receiver_id INT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      UNIQUE (requester_id, receiver_id)
+    );
+  `);
+  await db.query(`ALTER TABLE friend_requests ADD COLUMN IF NOT EXISTS dismissed_at TIMESTAMPTZ;`);
+  await addConstraint(db, 'friend_requests', 'fr_req_fk_requester', 'FOREIGN KEY (requester_id) REFERENCES users(id) ON DELETE CASCADE');
+  await addConstraint(db, 'friend_requests', 'fr_req_fk_receiver', 'FOREIGN KEY (receiver_id) REFERENCES users(id) ON DELETE CASCADE');
+
+  await db.query(`CREATE TABLE IF NOT EXISTS conversations (id SERIAL PRIMARY KEY);`);
+  await db.query(`
+    ALTER TABLE conversations
+      ADD COLUMN IF NOT EXISTS user_a INT,
+      ADD COLUMN IF NOT EXISTS user_b INT,
+      ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      ADD COLUMN IF NOT EXISTS is_group BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS title TEXT,
+      ADD COLUMN IF NOT EXISTS created_by INT REFERENCES users(id) ON DELETE SET NULL;
+  `);
+  await addConstraint(db, 'conversations', 'conv_fk_usera', 'FOREIGN KEY (user_a) REFERENCES users(id) ON DELETE CASCADE');
+  await addConstraint(db, 'conversations', 'conv_fk_userb', 'FOREIGN KEY (user_b) REFERENCES users(id) ON DELETE CASCADE');
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_conversations_user_pair
+    ON conversations (LEAST(user_a, user_b), GREATEST(user_a, user_b));
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS conversation_participants (
+      conversation_id INT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+      user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL DEFAULT 'member',
+      joined_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (conversation_id, user_id)
+    );
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_participants_user ON conversation_participants(user_id);`);
+
+  // 1:1 conversations created before the participants table existed only know their users via user_a/user_b.
+  await db.query(`
+    INSERT INTO conversation_participants (conversation_id, user_id)
+    SELECT id, user_a FROM conversations WHERE user_a IS NOT NULL
+    UNION
+    SELECT id, user_b FROM conversations WHERE user_b IS NOT NULL
+    ON CONFLICT DO NOTHING;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS messages (
+      id BIGSERIAL PRIMARY KEY,
+      conversation_id INT NOT NULL,
+      sender_id INT NOT NULL,
+      content TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await addConstraint(db, 'messages', 'msg_fk_conv', 'FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE');
+  await addConstraint(db, 'messages', 'msg_fk_sender', 'FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE');
+  // 'simple' keeps search language-agnostic: no stemming, no stop words.
+  await db.query(`
+    ALTER TABLE messages
+      ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS reply_to_id BIGINT REFERENCES messages(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS client_id TEXT,
+      ADD COLUMN IF NOT EXISTS content_tsv tsvector GENERATED ALWAYS AS (to_tsvector('simple', coalesce(content, ''))) STORED;
+  `);
+  // A retried send carries the same client id, so it can never land twice. NULLs (older rows) never collide.
+  await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS ux_messages_sender_client ON messages(sender_id, client_id);`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_messages_conv_created ON messages(conversation_id, created_at DESC);`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_messages_content_tsv ON messages USING GIN (content_tsv);`);
+
+  if (!(await columnExists(db, 'conversation_participants', 'last_read_message_id'))) {
+    await db.query(`ALTER TABLE conversation_participants ADD COLUMN last_read_message_id BIGINT;`);
+    // Existing history counts as read; only messages arriving from now on should raise unread badges.
+    await db.query(`
+      UPDATE conversation_participants p
+      SET last_read_message_id = (SELECT MAX(m.id) FROM messages m WHERE m.conversation_id = p.conversation_id);
+    `);
+  }
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS message_receipts (
+      message_id BIGINT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+      user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      delivered_at TIMESTAMPTZ,
+      read_at TIMESTAMPTZ,
+      PRIMARY KEY (message_id, user_id)
+    );
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_receipts_user_unread ON message_receipts(user_id) WHERE read_at IS NULL;`);
+
+  // Uploads exist before their message does; message_id stays NULL until the message is sent.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS attachments (
+      id BIGSERIAL PRIMARY KEY,
+      conversation_id INT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+      uploader_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      message_id BIGINT REFERENCES messages(id) ON DELETE CASCADE,
+      filename TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size_bytes BIGINT NOT NULL,
+      storage_key TEXT NOT NULL,
+      thumbnail_key TEXT,
+      width INT,
+      height INT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_attachments_message ON attachments(message_id);`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS message_reactions (
+      message_id BIGINT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+      user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      emoji TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (message_id, user_id, emoji)
+    );
+  `);
+
+  // One row per login. Only a hash of the current refresh token is kept; revoked_at ends the session everywhere.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token_hash TEXT NOT NULL,
+      user_agent TEXT,
+      ip TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      last_used_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ
+    );
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id) WHERE revoked_at IS NULL;`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_blocks (
+      blocker_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      blocked_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (blocker_id, blocked_id)
+    );
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);`);
+
+  // Counters for the postgres rate limit store (RATE_LIMIT_STORE=postgres).
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      count INT NOT NULL,
+      reset_at TIMESTAMPTZ NOT NULL
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS email_verification_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash TEXT UNIQUE NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at TIMESTAMPTZ
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash TEXT UNIQUE NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at TIMESTAMPTZ
+    );
+  `);
+}
+
+// Drops everything, data included. Only meant for throwaway databases.
+async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS
+      password_reset_tokens, email_verification_tokens, rate_limits, user_blocks, sessions,
+      message_reactions, attachments, message_receipts, messages,
+      conversation_participants, conversations, friend_requests, users
+    CASCADE;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// Socket broadcasts too large for a NOTIFY payload, kept just long enough for every instance to read them.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE socket_io_payloads (
+        id BIGSERIAL PRIMARY KEY,
+        payload TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    await db.query('CREATE INDEX socket_io_payloads_created_at_idx ON socket_io_payloads (created_at);');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS socket_io_payloads;');
+  },
+};
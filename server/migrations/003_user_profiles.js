@@ -0,0 +1,27 @@
+// Profile fields, and pending email changes waiting for the new address to be confirmed.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE users
+        ADD COLUMN bio TEXT,
+        ADD COLUMN status_text TEXT,
+        ADD COLUMN avatar_key TEXT;
+    `);
+    await db.query(`
+      CREATE TABLE email_change_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        new_email TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at TIMESTAMPTZ
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS email_change_tokens;');
+    await db.query('ALTER TABLE users DROP COLUMN IF EXISTS bio, DROP COLUMN IF EXISTS status_text, DROP COLUMN IF EXISTS avatar_key;');
+  },
+};
@@ -0,0 +1,27 @@
+// Self-service data export jobs. The archive itself lives in storage under storage_key until expires_at.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE data_exports (
+        id SERIAL PRIMARY KEY,
+        user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        progress INT NOT NULL DEFAULT 0,
+        storage_key TEXT,
+        size_bytes BIGINT,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        completed_at TIMESTAMPTZ,
+        expires_at TIMESTAMPTZ
+      );
+    `);
+    await db.query('CREATE INDEX data_exports_user_idx ON data_exports (user_id, created_at DESC);');
+    // At most one unfinished export per user.
+    await db.query(`CREATE UNIQUE INDEX data_exports_active_idx ON data_exports (user_id) WHERE status IN ('pending', 'running');`);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS data_exports;');
+  },
+};
@@ -0,0 +1,61 @@
+const { createMemoryStore } = require('./memory');
+const { createPostgresStore } = require('./postgres');
+
+// Every store exposes hit(key, windowMs) -> { count, resetAt }, get(key) and reset(key).
+const stores = {
+  memory: () => createMemoryStore(),
+  postgres: (config) => createPostgresStore({ pool: config.pool }),
+};
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Rules are written "max/window", e.g. "10/15m" is ten hits per fifteen minutes.
+function parseRule(name, spec) {
+  const match = /^(\d+)\s*\/\s*(\d+)\s*([smhd])$/.exec(String(spec || '').trim());
+  if (!match) throw new Error(`Invalid rate limit "${spec}" for ${name}; expected something like "10/15m"`);
+  return { name, max: Number(match[1]), windowMs: Number(match[2]) * UNITS[match[3]] };
+}
+
+const retryAfterSeconds = (resetAt) => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+function createRateLimiter(config = {}) {
+  const name = config.store || 'memory';
+  const factory = stores[name];
+  if (!factory) throw new Error(`Unknown rate limit store "${name}". Available: ${Object.keys(stores).join(', ')}`);
+  const store = factory(config);
+
+  return {
+    store: name,
+
+    // Counts one hit against `rule` for each key (an IP, a user id...). Over the limit on any key means
+    // blocked, with the longest wait reported. A broken store lets traffic through rather than locking everyone out.
+    async consume(rule, keys) {
+      let retryAfter = 0;
+      for (const key of keys.filter((k) => k !== undefined && k !== null && k !== '')) {
+        try {
+          const { count, resetAt } = await store.hit(`${rule.name}:${key}`, rule.windowMs);
+          if (count > rule.max) retryAfter = Math.max(retryAfter, retryAfterSeconds(resetAt));
+        } catch (err) {
+          console.error('rate limit store error', err && err.stack ? err.stack : err);
+        }
+      }
+      return retryAfter > 0 ? { allowed: false, retryAfter } : { allowed: true };
+    },
+
+    hit: (key, windowMs) => store.hit(key, windowMs),
+    get: (key) => store.get(key),
+    reset: (key) => store.reset(key),
+  };
+}
+
+// Express middleware; `keysFor(req)` picks what to count against, usually the IP and the user.
+function rateLimitMiddleware(limiter, rule, keysFor) {
+  return async (req, res, next) => {
+    const result = await limiter.consume(rule, keysFor(req));
+    if (result.allowed) return next();
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).json({ error: 'Too many requests, please slow down', retryAfter: result.retryAfter });
+  };
+}
+
+module.exports = { createRateLimiter, parseRule, rateLimitMiddleware, retryAfterSeconds };
@@ -0,0 +1,38 @@
+// Fixed-window counters in process memory. Fine for a single instance; counters reset on restart.
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) if (entry.resetAt <= now) counters.delete(key);
+  }, sweepIntervalMs);
+  if (sweep.unref) sweep.unref();
+
+  const live = (key) => {
+    const entry = counters.get(key);
+    return entry && entry.resetAt > Date.now() ? entry : null;
+  };
+
+  return {
+    async hit(key, windowMs) {
+      let entry = live(key);
+      if (!entry) {
+        entry = { count: 0, resetAt: Date.now() + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,31 @@
+// Fixed-window counters in the rate_limits table, shared by every instance that uses the same database.
+function createPostgresStore({ pool }) {
+  if (!pool) throw new Error('the postgres rate limit store needs a pg pool');
+
+  return {
+    async hit(key, windowMs) {
+      const r = await pool.query(
+        `INSERT INTO rate_limits (key, count, reset_at)
+         VALUES ($1, 1, now() + make_interval(secs => $2))
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= now() THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= now() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+        [key, windowMs / 1000]
+      );
+      return { count: r.rows[0].count, resetAt: new Date(r.rows[0].reset_at).getTime() };
+    },
+
+    async get(key) {
+      const r = await pool.query('SELECT count, reset_at FROM rate_limits WHERE key=$1 AND reset_at > now()', [key]);
+      if (r.rowCount === 0) return null;
+      return { count: r.rows[0].count, resetAt: new Date(r.rows[0].reset_at).getTime() };
+    },
+
+    async reset(key) {
+      await pool.query('DELETE FROM rate_limits WHERE key=$1', [key]);
+    },
+  };
+}
+
+module.exports = { createPostgresStore };
@@ -0,0 +1,18 @@
+const { createPostgresAdapter } = require('./postgres');
+
+// A driver returns a socket.io adapter constructor, or null for socket.io's built-in in-process adapter.
+// `memory` is fine for a single instance; `postgres` lets several instances share rooms, user
+// notifications and presence through the database they already use.
+const drivers = {
+  memory: () => null,
+  postgres: (config) => createPostgresAdapter({ pool: config.pool }),
+};
+
+function createSocketAdapter(config = {}) {
+  const name = config.driver || 'memory';
+  const factory = drivers[name];
+  if (!factory) throw new Error(`Unknown socket adapter "${name}". Available: ${Object.keys(drivers).join(', ')}`);
+  return factory(config);
+}
+
+module.exports = { createSocketAdapter };
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// NOTIFY payloads are capped at 8000 bytes. Anything bigger is parked in socket_io_payloads and only the
+// row id goes out; rows are only needed for as long as it takes every instance to read them.
+const MAX_INLINE_BYTES = 7000;
+const PAYLOAD_TTL_SECONDS = 60;
+const RECONNECT_DELAY_MS = 2000;
+const CHANNEL_RE = /^[a-z_][a-z0-9_]*$/;
+
+// JSON turns Buffers into { type: 'Buffer', data: [...] }; this turns them back.
+const revive = (key, value) =>
+  value && value.type === 'Buffer' && Array.isArray(value.data) ? Buffer.from(value.data) : value;
+
+// Broadcasts, room joins/leaves, disconnects and fetchSockets go to every instance through Postgres
+// LISTEN/NOTIFY on one channel. Each instance holds one pool client for LISTEN; publishing uses the pool.
+function createPostgresAdapter({ pool, channel = 'socket_io', heartbeatInterval, heartbeatTimeout }) {
+  if (!pool) throw new Error('the postgres socket adapter needs a pg pool');
+  if (!CHANNEL_RE.test(channel)) throw new Error(`Invalid socket adapter channel "${channel}"`);
+
+  // Tells this instance's own notifications apart; adapter uids are per namespace.
+  const nodeId = crypto.randomBytes(8).toString('hex');
+  const adapters = new Set();
+  let listener = null;
+  let reconnectTimer = null;
+  let lastCleanup = 0;
+
+  async function listen() {
+    const client = await pool.connect();
+    client.on('notification', (msg) => {
+      if (msg.channel !== channel) return;
+      receive(msg.payload).catch((err) => console.error('socket adapter receive error', err && err.stack ? err.stack : err));
+    });
+    // A dropped connection loses whatever was sent meanwhile; heartbeats bring the node list back in line.
+    client.on('error', (err) => {
+      console.error('socket adapter listen error', err && err.stack ? err.stack : err);
+      if (listener !== client) return;
+      listener = null;
+      client.release(err);
+      scheduleReconnect();
+    });
+    await client.query(`LISTEN ${channel}`);
+    if (adapters.size === 0) {
+      client.release();
+      return;
+    }
+    listener = client;
+  }
+
+  function scheduleReconnect() {
+    if (reconnectTimer || adapters.size === 0) return;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      listen().catch((err) => {
+        console.error('socket adapter listen error', err && err.stack ? err.stack : err);
+        scheduleReconnect();
+      });
+    }, RECONNECT_DELAY_MS);
+  }
+
+  function stop() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (!listener) return;
+    const client = listener;
+    listener = null;
+    client.query(`UNLISTEN ${channel}`).catch(() => {}).finally(() => client.release());
+  }
+
+  async function receive(payload) {
+    let envelope = JSON.parse(payload, revive);
+    if (envelope.node === nodeId) return;
+    if (envelope.ref) {
+      const r = await pool.query('SELECT payload FROM socket_io_payloads WHERE id=$1', [envelope.ref]);
+      if (r.rowCount === 0) return;
+      envelope = JSON.parse(r.rows[0].payload, revive);
+    }
+    adapters.forEach((adapter) => adapter.receive(envelope));
+  }
+
+  async function publish(envelope) {
+    const json = JSON.stringify({ node: nodeId, ...envelope });
+    try {
+      if (Buffer.byteLength(json) <= MAX_INLINE_BYTES) {
+        await pool.query('SELECT pg_notify($1, $2)', [channel, json]);
+        return;
+      }
+      const r = await pool.query('INSERT INTO socket_io_payloads (payload) VALUES ($1) RETURNING id', [json]);
+      await pool.query('SELECT pg_notify($1, $2)', [channel, JSON.stringify({ node: nodeId, ref: r.rows[0].id })]);
+      if (Date.now() - lastCleanup > PAYLOAD_TTL_SECONDS * 1000) {
+        lastCleanup = Date.now();
+        await pool.query(`DELETE FROM socket_io_payloads WHERE created_at < now() - make_interval(secs => $1)`, [PAYLOAD_TTL_SECONDS]);
+      }
+    } catch (err) {
+      console.error('socket adapter publish error', err && err.stack ? err.stack : err);
+      throw err;
+    }
+  }
+
+  class PostgresAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, { heartbeatInterval, heartbeatTimeout });
+      if (adapters.size === 0 && !listener) {
+        listen().catch((err) => {
+          console.error('socket adapter listen error', err && err.stack ? err.stack : err);
+          scheduleReconnect();
+        });
+      }
+      adapters.add(this);
+    }
+
+    // Responses (to fetchSockets and friends) go to the whole channel too; only the requester keeps them.
+    receive({ nsp, to, message }) {
+      if (nsp !== this.nsp.name) return;
+      if (!to) this.onMessage(message);
+      else if (to === this.uid) this.onResponse(message);
+    }
+
+    async doPublish(message) {
+      await publish({ nsp: message.nsp, message });
+      return '';
+    }
+
+    doPublishResponse(requesterUid, response) {
+      return publish({ nsp: response.nsp, to: requesterUid, message: response });
+    }
+
+    close() {
+      super.close();
+      adapters.delete(this);
+      if (adapters.size === 0) stop();
+    }
+  }
+
+  return PostgresAdapter;
+}
+
+module.exports = { createPostgresAdapter };
@@ -0,0 +1,17 @@
+const path = require('path');
+const { createLocalStorage } = require('./local');
+
+// Every backend exposes save(key, body), exists(key), createReadStream(key) and remove(key). `body` is a Buffer
+// or a readable stream, which is written as it arrives.
+const drivers = {
+  local: (config) => createLocalStorage({ root: config.root || path.join(__dirname, '..', '..', 'uploads') }),
+};
+
+function createStorage(config = {}) {
+  const driver = config.driver || 'local';
+  const factory = drivers[driver];
+  if (!factory) throw new Error(`Unknown storage driver "${driver}". Available: ${Object.keys(drivers).join(', ')}`);
+  return factory(config);
+}
+
+module.exports = { createStorage };
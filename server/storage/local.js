@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Stores blobs as plain files under `root`. Keys are slash-separated relative paths.
+function createLocalStorage({ root }) {
+  const baseDir = path.resolve(root);
+
+  const resolveKey = (key) => {
+    const full = path.resolve(baseDir, key);
+    if (!full.startsWith(baseDir + path.sep)) throw new Error(`invalid storage key: ${key}`);
+    return full;
+  };
+
+  return {
+    driver: 'local',
+
+    async save(key, body) {
+      const full = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      if (Buffer.isBuffer(body)) await fs.promises.writeFile(full, body);
+      else await pipeline(body, fs.createWriteStream(full));
+      return key;
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,19 @@
+const { createPostgresStore } = require('./postgres');
+const { createMemoryStore } = require('./memory');
+
+// The app's data lives behind one interface: users, sessions and account tokens, blocks, friend requests,
+// conversations, messages, receipts, reactions, attachment metadata and data export jobs. See postgres.js for what each
+// method returns; memory.js behaves the same without a database.
+const drivers = {
+  postgres: (config) => createPostgresStore({ pool: config.pool }),
+  memory: () => createMemoryStore(),
+};
+
+function createStore(config = {}) {
+  const name = config.driver || 'postgres';
+  const factory = drivers[name];
+  if (!factory) throw new Error(`Unknown store driver "${name}". Available: ${Object.keys(drivers).join(', ')}`);
+  return { driver: name, ...factory(config) };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,904 @@
+// Everything in plain maps and arrays, for tests and for trying the app without PostgreSQL. It mirrors the
+// postgres store method for method, including its quirks: message and attachment ids are strings (BIGSERIAL
+// comes back from pg as text), rows are copies, and deletes cascade the way the foreign keys do.
+// Nothing is persisted, and message search matches whole words instead of running PostgreSQL full-text search.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const byNumber = (a, b) => Number(a) - Number(b);
+const copy = (row) => (row ? { ...row } : null);
+const later = (a, b) => (!a ? b : !b ? a : a > b ? a : b);
+
+function words(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+function highlight(content, terms) {
+  return String(content || '').replace(/[\p{L}\p{N}_]+/gu, (word) => (terms.includes(word.toLowerCase()) ? `<mark>${word}</mark>` : word));
+}
+
+function createMemoryStore() {
+  const ids = {};
+  const nextId = (table) => (ids[table] = (ids[table] || 0) + 1);
+
+  const users = new Map();
+  const sessions = new Map();
+  const accountTokens = { emailVerification: [], passwordReset: [] };
+  let emailChanges = [];
+  let blocks = [];
+  const friendRequests = new Map();
+  const conversations = new Map();
+  let participants = [];
+  const messages = new Map();
+  let receipts = [];
+  let reactions = [];
+  const attachments = new Map();
+  const dataExports = new Map();
+
+  const tokenList = (kind) => {
+    const list = accountTokens[kind];
+    if (!list) throw new Error(`Unknown token kind "${kind}"`);
+    return list;
+  };
+
+  const isActive = (s) => s && !s.revoked_at && s.expires_at > new Date();
+  const blocked = (blockerId, blockedId) => blocks.some((b) => b.blocker_id === Number(blockerId) && b.blocked_id === Number(blockedId));
+  const blockedEitherWay = (a, b) => blocked(a, b) || blocked(b, a);
+  const participant = (conversationId, userId) =>
+    participants.find((p) => p.conversation_id === Number(conversationId) && p.user_id === Number(userId));
+  const messagesOf = (conversationId) => Array.from(messages.values()).filter((m) => m.conversation_id === Number(conversationId));
+  const byClientId = (senderId, clientId) =>
+    Array.from(messages.values()).find((m) => m.sender_id === Number(senderId) && m.client_id === clientId);
+  const otherUserId = (c, userId) => (c.user_a === Number(userId) ? c.user_b : c.user_a);
+
+  const findDirectConversation = (userA, userB) => {
+    const pair = [Number(userA), Number(userB)].sort(byNumber).join(':');
+    return Array.from(conversations.values()).find((c) => !c.is_group && [c.user_a, c.user_b].sort(byNumber).join(':') === pair) || null;
+  };
+
+  const deleteMessages = (predicate) => {
+    const gone = new Set();
+    messages.forEach((m, id) => {
+      if (predicate(m)) gone.add(id);
+    });
+    gone.forEach((id) => messages.delete(id));
+    messages.forEach((m) => {
+      if (m.reply_to_id && gone.has(m.reply_to_id)) m.reply_to_id = null;
+    });
+    receipts = receipts.filter((r) => !gone.has(r.message_id));
+    reactions = reactions.filter((r) => !gone.has(r.message_id));
+    attachments.forEach((a, id) => {
+      if (gone.has(a.message_id)) attachments.delete(id);
+    });
+  };
+
+  const deleteConversation = (conversationId) => {
+    const id = Number(conversationId);
+    conversations.delete(id);
+    participants = participants.filter((p) => p.conversation_id !== id);
+    deleteMessages((m) => m.conversation_id === id);
+    attachments.forEach((a, key) => {
+      if (a.conversation_id === id) attachments.delete(key);
+    });
+  };
+
+  const listParticipants = (conversationId) =>
+    participants
+      .filter((p) => p.conversation_id === Number(conversationId))
+      .sort((a, b) => a.joined_at - b.joined_at || a.user_id - b.user_id)
+      .map((p) => {
+        const u = users.get(p.user_id);
+        return { id: u.id, name: u.name, email: u.email, role: p.role, joined_at: p.joined_at };
+      });
+
+  const acceptedFriendIds = (userId) =>
+    Array.from(friendRequests.values())
+      .filter((fr) => fr.status === 'accepted' && (fr.requester_id === Number(userId) || fr.receiver_id === Number(userId)))
+      .map((fr) => (fr.requester_id === Number(userId) ? fr.receiver_id : fr.requester_id));
+
+  const markReceipts = (userId, predicate, read) => {
+    const now = new Date();
+    const changed = [];
+    receipts.forEach((r) => {
+      if (r.user_id !== Number(userId) || (read ? r.read_at : r.delivered_at)) return;
+      const m = messages.get(r.message_id);
+      if (!m || !predicate(m)) return;
+      if (read) r.read_at = now;
+      r.delivered_at = r.delivered_at || now;
+      changed.push({ message_id: r.message_id, conversation_id: m.conversation_id });
+    });
+    return changed;
+  };
+
+  return {
+    // --- users ---
+
+    async createUser({ name, email, passwordHash }) {
+      if (Array.from(users.values()).some((u) => u.email === email)) return null;
+      const user = {
+        id: nextId('users'),
+        name,
+        email,
+        password: passwordHash,
+        email_verified: false,
+        last_seen_at: null,
+        bio: null,
+        status_text: null,
+        avatar_key: null,
+        created_at: new Date(),
+      };
+      users.set(user.id, user);
+      return { id: user.id, name, email, email_verified: false };
+    },
+
+    async findUserById(id) {
+      return copy(users.get(Number(id)));
+    },
+
+    async findUserByEmail(email) {
+      return copy(Array.from(users.values()).find((u) => u.email === email));
+    },
+
+    async setPassword(userId, passwordHash) {
+      const user = users.get(Number(userId));
+      if (user) user.password = passwordHash;
+    },
+
+    async setEmailVerified(userId) {
+      const user = users.get(Number(userId));
+      if (user) user.email_verified = true;
+    },
+
+    async touchLastSeen(userId) {
+      const user = users.get(Number(userId));
+      if (!user) return null;
+      user.last_seen_at = new Date();
+      return user.last_seen_at;
+    },
+
+    async searchUsers(q, viewerId) {
+      const needle = String(q).toLowerCase();
+      const visible = Array.from(users.values()).filter((u) => u.email_verified && !blockedEitherWay(u.id, viewerId));
+      const pick = (field) => visible.filter((u) => u[field].toLowerCase().includes(needle)).slice(0, 10);
+      const combined = [...pick('email'), ...pick('name')].map(({ id, name, email, status_text, avatar_key }) => ({ id, name, email, status_text, avatar_key }));
+      return Array.from(new Map(combined.map((user) => [user.id, user])).values());
+    },
+
+    async updateProfile(userId, fields) {
+      const user = users.get(Number(userId));
+      if (!user) return;
+      ['name', 'bio', 'status_text'].forEach((field) => {
+        if (fields[field] !== undefined) user[field] = fields[field];
+      });
+    },
+
+    async setAvatarKey(userId, avatarKey) {
+      const user = users.get(Number(userId));
+      if (!user) return null;
+      const previous = user.avatar_key;
+      user.avatar_key = avatarKey;
+      return previous;
+    },
+
+    async deleteUser(userId) {
+      const id = Number(userId);
+      const user = users.get(id);
+      if (!user) return { files: [], avatarKey: null };
+      const direct = Array.from(conversations.values()).filter((c) => !c.is_group && (c.user_a === id || c.user_b === id));
+      const exportKeys = Array.from(dataExports.values())
+        .filter((e) => e.user_id === id)
+        .map((e) => e.storage_key);
+      const doomed = Array.from(attachments.values()).filter(
+        (a) =>
+          a.uploader_id === id ||
+          (a.message_id && messages.get(a.message_id)?.sender_id === id) ||
+          direct.some((c) => c.id === a.conversation_id)
+      );
+
+      users.delete(id);
+      sessions.forEach((s, key) => {
+        if (s.user_id === id) sessions.delete(key);
+      });
+      Object.keys(accountTokens).forEach((kind) => {
+        accountTokens[kind] = accountTokens[kind].filter((t) => t.user_id !== id);
+      });
+      emailChanges = emailChanges.filter((t) => t.user_id !== id);
+      blocks = blocks.filter((b) => b.blocker_id !== id && b.blocked_id !== id);
+      friendRequests.forEach((fr, key) => {
+        if (fr.requester_id === id || fr.receiver_id === id) friendRequests.delete(key);
+      });
+      direct.forEach((c) => deleteConversation(c.id));
+      participants = participants.filter((p) => p.user_id !== id);
+      deleteMessages((m) => m.sender_id === id);
+      receipts = receipts.filter((r) => r.user_id !== id);
+      reactions = reactions.filter((r) => r.user_id !== id);
+      attachments.forEach((a, key) => {
+        if (a.uploader_id === id) attachments.delete(key);
+      });
+      conversations.forEach((c) => {
+        if (c.created_by === id) c.created_by = null;
+      });
+      dataExports.forEach((e, key) => {
+        if (e.user_id === id) dataExports.delete(key);
+      });
+
+      return {
+        files: [...doomed.flatMap((a) => [a.storage_key, a.thumbnail_key]), ...exportKeys].filter(Boolean),
+        avatarKey: user.avatar_key,
+      };
+    },
+
+    // --- sessions ---
+
+    async createSession({ id, userId, refreshTokenHash, userAgent, ip, ttlDays }) {
+      const now = new Date();
+      sessions.set(id, {
+        id,
+        user_id: Number(userId),
+        refresh_token_hash: refreshTokenHash,
+        user_agent: userAgent,
+        ip,
+        created_at: now,
+        last_used_at: now,
+        expires_at: new Date(now.getTime() + ttlDays * DAY_MS),
+        revoked_at: null,
+      });
+    },
+
+    async findActiveSession(id) {
+      const s = sessions.get(id);
+      if (!isActive(s)) return null;
+      return { id: s.id, user_id: s.user_id, refresh_token_hash: s.refresh_token_hash, email: users.get(s.user_id).email };
+    },
+
+    async isSessionActive(id, userId) {
+      const s = sessions.get(id);
+      return isActive(s) && s.user_id === Number(userId);
+    },
+
+    async rotateSession(id, { oldHash, newHash, ip, ttlDays }) {
+      const s = sessions.get(id);
+      if (!s || s.refresh_token_hash !== oldHash) return false;
+      const now = new Date();
+      Object.assign(s, { refresh_token_hash: newHash, last_used_at: now, ip, expires_at: new Date(now.getTime() + ttlDays * DAY_MS) });
+      return true;
+    },
+
+    async revokeSession(id, userId) {
+      const s = sessions.get(id);
+      if (!s || s.user_id !== Number(userId) || s.revoked_at) return false;
+      s.revoked_at = new Date();
+      return true;
+    },
+
+    async listSessions(userId) {
+      return Array.from(sessions.values())
+        .filter((s) => s.user_id === Number(userId) && isActive(s))
+        .sort((a, b) => b.last_used_at - a.last_used_at)
+        .map(({ id, user_agent, ip, created_at, last_used_at, expires_at }) => ({ id, user_agent, ip, created_at, last_used_at, expires_at }));
+    },
+
+    async activeSessionIds(userId, exceptId = null) {
+      return Array.from(sessions.values())
+        .filter((s) => s.user_id === Number(userId) && !s.revoked_at && s.id !== exceptId)
+        .map((s) => s.id);
+    },
+
+    // --- one-time account tokens ---
+
+    async createAccountToken(kind, userId, tokenHash, ttlMinutes) {
+      const list = tokenList(kind);
+      const now = new Date();
+      list.forEach((t) => {
+        if (t.user_id === Number(userId) && !t.used_at) t.used_at = now;
+      });
+      list.push({ user_id: Number(userId), token_hash: tokenHash, expires_at: new Date(now.getTime() + ttlMinutes * 60 * 1000), used_at: null });
+    },
+
+    async useAccountToken(kind, tokenHash) {
+      const token = tokenList(kind).find((t) => t.token_hash === tokenHash && !t.used_at && t.expires_at > new Date());
+      if (!token) return null;
+      token.used_at = new Date();
+      return token.user_id;
+    },
+
+    async resetPassword(tokenHash, passwordHash) {
+      const userId = await this.useAccountToken('passwordReset', tokenHash);
+      if (userId !== null) await this.setPassword(userId, passwordHash);
+      return userId;
+    },
+
+    async createEmailChange(userId, newEmail, tokenHash, ttlMinutes) {
+      const now = new Date();
+      emailChanges.forEach((t) => {
+        if (t.user_id === Number(userId) && !t.used_at) t.used_at = now;
+      });
+      emailChanges.push({
+        user_id: Number(userId),
+        new_email: newEmail,
+        token_hash: tokenHash,
+        expires_at: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+        used_at: null,
+      });
+    },
+
+    async confirmEmailChange(tokenHash) {
+      const token = emailChanges.find((t) => t.token_hash === tokenHash && !t.used_at && t.expires_at > new Date());
+      const user = token && users.get(token.user_id);
+      if (!user) return null;
+      if (Array.from(users.values()).some((u) => u.email === token.new_email && u.id !== user.id)) return { conflict: true };
+      token.used_at = new Date();
+      const oldEmail = user.email;
+      user.email = token.new_email;
+      user.email_verified = true;
+      return { userId: user.id, oldEmail, newEmail: user.email };
+    },
+
+    // --- blocks ---
+
+    async blockersBetween(userA, userB) {
+      return blocks
+        .filter((b) => (b.blocker_id === Number(userA) && b.blocked_id === Number(userB)) || (b.blocker_id === Number(userB) && b.blocked_id === Number(userA)))
+        .map((b) => b.blocker_id);
+    },
+
+    async isConversationFrozen(conversationId) {
+      const c = conversations.get(Number(conversationId));
+      return !!c && !c.is_group && blockedEitherWay(c.user_a, c.user_b);
+    },
+
+    async listBlocks(userId) {
+      return blocks
+        .filter((b) => b.blocker_id === Number(userId))
+        .sort((a, b) => b.created_at - a.created_at)
+        .map((b) => {
+          const u = users.get(b.blocked_id);
+          return { id: u.id, name: u.name, email: u.email, created_at: b.created_at };
+        });
+    },
+
+    async addBlock(blockerId, blockedId) {
+      if (!blocked(blockerId, blockedId)) blocks.push({ blocker_id: Number(blockerId), blocked_id: Number(blockedId), created_at: new Date() });
+      friendRequests.forEach((fr, id) => {
+        const between =
+          (fr.requester_id === Number(blockerId) && fr.receiver_id === Number(blockedId)) ||
+          (fr.requester_id === Number(blockedId) && fr.receiver_id === Number(blockerId));
+        if (between && fr.status === 'pending') friendRequests.delete(id);
+      });
+    },
+
+    async removeBlock(blockerId, blockedId) {
+      const before = blocks.length;
+      blocks = blocks.filter((b) => !(b.blocker_id === Number(blockerId) && b.blocked_id === Number(blockedId)));
+      return blocks.length < before;
+    },
+
+    // --- friends ---
+
+    async upsertFriendRequest(requesterId, receiverId) {
+      const existing = Array.from(friendRequests.values()).find(
+        (fr) => fr.requester_id === Number(requesterId) && fr.receiver_id === Number(receiverId)
+      );
+      if (existing) return existing.status;
+      const id = nextId('friend_requests');
+      friendRequests.set(id, { id, requester_id: Number(requesterId), receiver_id: Number(receiverId), status: 'pending', created_at: new Date(), dismissed_at: null });
+      return 'pending';
+    },
+
+    async findIncomingRequest(requestId, receiverId) {
+      const fr = friendRequests.get(Number(requestId));
+      return fr && fr.receiver_id === Number(receiverId) ? copy(fr) : null;
+    },
+
+    async rejectFriendRequest(requestId) {
+      const fr = friendRequests.get(Number(requestId));
+      if (fr) fr.status = 'rejected';
+    },
+
+    async acceptFriendRequest(requestId, requesterId, receiverId) {
+      const fr = friendRequests.get(Number(requestId));
+      if (fr) fr.status = 'accepted';
+      let conv = findDirectConversation(requesterId, receiverId);
+      if (!conv) {
+        conv = { id: nextId('conversations'), user_a: Number(requesterId), user_b: Number(receiverId), created_at: new Date(), is_group: false, title: null, created_by: null };
+        conversations.set(conv.id, conv);
+      }
+      [requesterId, receiverId].forEach((userId) => {
+        if (!participant(conv.id, userId)) {
+          participants.push({ conversation_id: conv.id, user_id: Number(userId), role: 'member', joined_at: new Date(), last_read_message_id: null });
+        }
+      });
+      return conv.id;
+    },
+
+    async incomingRequests(userId) {
+      return Array.from(friendRequests.values())
+        .filter((fr) => fr.receiver_id === Number(userId) && fr.status === 'pending')
+        .sort((a, b) => b.created_at - a.created_at)
+        .map((fr) => {
+          const u = users.get(fr.requester_id);
+          return { id: fr.id, requester_id: u.id, name: u.name, email: u.email, created_at: fr.created_at };
+        });
+    },
+
+    async outgoingRequests(userId) {
+      return Array.from(friendRequests.values())
+        .filter((fr) => fr.requester_id === Number(userId) && ['pending', 'rejected'].includes(fr.status) && !fr.dismissed_at)
+        .sort((a, b) => b.created_at - a.created_at)
+        .map((fr) => {
+          const u = users.get(fr.receiver_id);
+          return { id: fr.id, receiver_id: u.id, name: u.name, email: u.email, status: fr.status, created_at: fr.created_at };
+        });
+    },
+
+    async friendRequestHistory(userId) {
+      const id = Number(userId);
+      return Array.from(friendRequests.values())
+        .filter((fr) => fr.requester_id === id || fr.receiver_id === id)
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+        .map((fr) => {
+          const outgoing = fr.requester_id === id;
+          const u = users.get(outgoing ? fr.receiver_id : fr.requester_id);
+          return {
+            id: fr.id,
+            status: fr.status,
+            created_at: fr.created_at,
+            direction: outgoing ? 'outgoing' : 'incoming',
+            user_id: u.id,
+            name: u.name,
+            email: u.email,
+          };
+        });
+    },
+
+    async cancelFriendRequest(requestId, requesterId) {
+      const fr = friendRequests.get(Number(requestId));
+      if (!fr || fr.requester_id !== Number(requesterId)) return null;
+      if (fr.status === 'pending') friendRequests.delete(fr.id);
+      else if (fr.status === 'rejected' && !fr.dismissed_at) fr.dismissed_at = new Date();
+      else return null;
+      return { receiver_id: fr.receiver_id, status: fr.status };
+    },
+
+    async removeFriendship(userId, otherId) {
+      friendRequests.forEach((fr, id) => {
+        if (
+          (fr.requester_id === Number(userId) && fr.receiver_id === Number(otherId)) ||
+          (fr.requester_id === Number(otherId) && fr.receiver_id === Number(userId))
+        ) {
+          friendRequests.delete(id);
+        }
+      });
+      const conv = findDirectConversation(userId, otherId);
+      if (!conv) return [];
+      const files = Array.from(attachments.values())
+        .filter((a) => a.conversation_id === conv.id)
+        .flatMap((a) => [a.storage_key, a.thumbnail_key]);
+      deleteConversation(conv.id);
+      return files.filter(Boolean);
+    },
+
+    async friendIdsOf(userId) {
+      return acceptedFriendIds(userId).filter((id) => !blockedEitherWay(userId, id));
+    },
+
+    async filterFriendIds(userId, candidateIds) {
+      const friends = acceptedFriendIds(userId);
+      return candidateIds.map(Number).filter((id) => friends.includes(id));
+    },
+
+    // --- conversations ---
+
+    async isParticipant(conversationId, userId) {
+      return !!participant(conversationId, userId);
+    },
+
+    async getGroupMembership(conversationId, userId) {
+      const c = conversations.get(Number(conversationId));
+      const p = participant(conversationId, userId);
+      return c && c.is_group && p ? { id: c.id, title: c.title, role: p.role } : null;
+    },
+
+    async listParticipants(conversationId) {
+      return listParticipants(conversationId);
+    },
+
+    async conversationIdsOf(userId) {
+      return participants.filter((p) => p.user_id === Number(userId)).map((p) => p.conversation_id);
+    },
+
+    async listConversations(userId) {
+      return participants
+        .filter((p) => p.user_id === Number(userId))
+        .map((p) => {
+          const c = conversations.get(p.conversation_id);
+          const u = c.is_group ? null : users.get(otherUserId(c, userId)) || null;
+          const history = messagesOf(c.id);
+          const lm = history.sort((a, b) => b.created_at - a.created_at || byNumber(b.id, a.id))[0] || null;
+          return {
+            id: c.id,
+            is_group: c.is_group,
+            title: c.title,
+            other_user_id: u ? u.id : null,
+            other_user_name: u ? u.name : null,
+            other_user_email: u ? u.email : null,
+            other_user_last_seen_at: u ? u.last_seen_at : null,
+            other_user_bio: u ? u.bio : null,
+            other_user_status_text: u ? u.status_text : null,
+            other_user_avatar_key: u ? u.avatar_key : null,
+            blocked_by_me: !!u && blocked(userId, u.id),
+            blocked_me: !!u && blocked(u.id, userId),
+            member_count: participants.filter((x) => x.conversation_id === c.id).length,
+            role: p.role,
+            created_at: c.created_at,
+            lm_id: lm ? lm.id : null,
+            lm_sender_id: lm ? lm.sender_id : null,
+            lm_content: lm ? lm.content : null,
+            lm_created_at: lm ? lm.created_at : null,
+            lm_deleted_at: lm ? lm.deleted_at : null,
+            last_activity_at: lm ? lm.created_at : c.created_at,
+            unread_count: history.filter(
+              (m) => Number(m.id) > Number(p.last_read_message_id || 0) && m.sender_id !== Number(userId) && !m.deleted_at
+            ).length,
+          };
+        })
+        .sort((a, b) => b.last_activity_at - a.last_activity_at);
+    },
+
+    async createGroup(title, ownerId, memberIds) {
+      const now = new Date();
+      const conv = { id: nextId('conversations'), user_a: null, user_b: null, created_at: now, is_group: true, title, created_by: Number(ownerId) };
+      conversations.set(conv.id, conv);
+      participants.push({ conversation_id: conv.id, user_id: Number(ownerId), role: 'owner', joined_at: now, last_read_message_id: null });
+      memberIds.forEach((id) => participants.push({ conversation_id: conv.id, user_id: Number(id), role: 'member', joined_at: now, last_read_message_id: null }));
+      return { id: conv.id, created_at: now };
+    },
+
+    async renameGroup(conversationId, title) {
+      const c = conversations.get(Number(conversationId));
+      if (c) c.title = title;
+    },
+
+    async addGroupMembers(conversationId, userIds) {
+      const ids = messagesOf(conversationId).map((m) => m.id).sort(byNumber);
+      const lastId = ids.length > 0 ? ids[ids.length - 1] : null;
+      const added = [];
+      userIds.forEach((userId) => {
+        if (participant(conversationId, userId)) return;
+        participants.push({ conversation_id: Number(conversationId), user_id: Number(userId), role: 'member', joined_at: new Date(), last_read_message_id: lastId });
+        added.push(Number(userId));
+      });
+      return added;
+    },
+
+    async removeParticipant(conversationId, userId) {
+      const removed = participant(conversationId, userId);
+      participants = participants.filter((p) => p !== removed);
+      const remaining = listParticipants(conversationId);
+      if (remaining.length === 0) {
+        deleteConversation(conversationId);
+      } else if (removed?.role === 'owner') {
+        participant(conversationId, remaining[0].id).role = 'owner';
+        remaining[0].role = 'owner';
+      }
+      return remaining;
+    },
+
+    async advanceReadMarker(userId, conversationId, messageId) {
+      const p = participant(conversationId, userId);
+      if (!p) return null;
+      if (Number(messageId) > Number(p.last_read_message_id || 0)) p.last_read_message_id = String(messageId);
+      return p.last_read_message_id || null;
+    },
+
+    // --- messages ---
+
+    async findMessage(id) {
+      return copy(messages.get(String(id)));
+    },
+
+    async messageInConversation(id, conversationId) {
+      const m = messages.get(String(id));
+      return !!m && m.conversation_id === Number(conversationId);
+    },
+
+    async findMessageByClientId(senderId, clientId) {
+      return copy(byClientId(senderId, clientId));
+    },
+
+    async insertMessage({ conversationId, senderId, content, replyToId, clientId, attachmentIds }) {
+      // Checked without awaiting, so concurrent retries cannot both get past it, like the unique index in postgres.
+      if (clientId !== null && byClientId(senderId, clientId)) return { duplicate: true };
+      const claimable = attachmentIds.map((id) => attachments.get(String(id)));
+      const ok = claimable.every(
+        (a) => a && a.uploader_id === Number(senderId) && a.conversation_id === Number(conversationId) && !a.message_id
+      );
+      if (!ok) return { attachmentsMissing: true };
+
+      const row = {
+        id: String(nextId('messages')),
+        conversation_id: Number(conversationId),
+        sender_id: Number(senderId),
+        content,
+        created_at: new Date(),
+        edited_at: null,
+        deleted_at: null,
+        reply_to_id: replyToId === null ? null : String(replyToId),
+        client_id: clientId,
+      };
+      messages.set(row.id, row);
+      claimable.forEach((a) => {
+        a.message_id = row.id;
+      });
+      const recipientIds = participants
+        .filter((p) => p.conversation_id === Number(conversationId) && p.user_id !== Number(senderId))
+        .map((p) => p.user_id);
+      recipientIds.forEach((userId) => receipts.push({ message_id: row.id, user_id: userId, delivered_at: null, read_at: null }));
+      return { row: copy(row), attachments: claimable.sort((a, b) => byNumber(a.id, b.id)).map(copy), recipientIds };
+    },
+
+    async updateMessageContent(id, content) {
+      const m = messages.get(String(id));
+      if (!m) return null;
+      Object.assign(m, { content, edited_at: new Date() });
+      return copy(m);
+    },
+
+    async tombstoneMessage(id) {
+      const m = messages.get(String(id));
+      Object.assign(m, { content: null, deleted_at: new Date() });
+      const files = [];
+      attachments.forEach((a, key) => {
+        if (a.message_id !== m.id) return;
+        files.push(a.storage_key, a.thumbnail_key);
+        attachments.delete(key);
+      });
+      reactions = reactions.filter((r) => r.message_id !== m.id);
+      return { row: copy(m), files: files.filter(Boolean) };
+    },
+
+    async listMessages(conversationId, { cursor = null, direction = 'before', limit }) {
+      const after = cursor && direction === 'after';
+      const compare = (a, b) => a.created_at - b.created_at || byNumber(a.id, b.id);
+      const rows = messagesOf(conversationId).filter((m) => {
+        if (!cursor) return true;
+        const diff = cursor.id !== null ? compare(m, { created_at: cursor.createdAt, id: cursor.id }) : m.created_at - cursor.createdAt;
+        return after ? diff > 0 : diff < 0;
+      });
+      rows.sort((a, b) => (after ? compare(a, b) : compare(b, a)));
+      return rows.slice(0, limit).map(copy);
+    },
+
+    async messagesAfter(conversationId, afterId, limit) {
+      return messagesOf(conversationId)
+        .filter((m) => Number(m.id) > Number(afterId))
+        .sort((a, b) => byNumber(a.id, b.id))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async messagesChangedSince(conversationId, upToId, since, limit) {
+      return messagesOf(conversationId)
+        .filter((m) => Number(m.id) <= Number(upToId) && later(m.edited_at, m.deleted_at) > since)
+        .sort((a, b) => byNumber(a.id, b.id))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async sentMessageIds(conversationId, senderId, ids = null) {
+      const wanted = ids && ids.length > 0 ? ids.map(String) : null;
+      return messagesOf(conversationId)
+        .filter((m) => m.sender_id === Number(senderId) && (!wanted || wanted.includes(m.id)))
+        .sort((a, b) => b.created_at - a.created_at || byNumber(b.id, a.id))
+        .slice(0, 200)
+        .map((m) => m.id);
+    },
+
+    async searchMessages(userId, { q, conversationId, senderId, from, to, limit, offset }) {
+      const terms = words(q);
+      if (terms.length === 0) return [];
+      return Array.from(messages.values())
+        .filter((m) => {
+          if (m.deleted_at || !participant(m.conversation_id, userId)) return false;
+          if (conversationId !== null && m.conversation_id !== conversationId) return false;
+          if (senderId !== null && m.sender_id !== senderId) return false;
+          if ((from && m.created_at < from) || (to && m.created_at > to)) return false;
+          const present = words(m.content);
+          return terms.every((t) => present.includes(t));
+        })
+        .sort((a, b) => b.created_at - a.created_at || byNumber(b.id, a.id))
+        .slice(offset, offset + limit)
+        .map((m) => {
+          const c = conversations.get(m.conversation_id);
+          return {
+            id: m.id,
+            conversation_id: m.conversation_id,
+            sender_id: m.sender_id,
+            sender_name: users.get(m.sender_id).name,
+            created_at: m.created_at,
+            is_group: c.is_group,
+            conversation_name: c.is_group ? c.title : users.get(otherUserId(c, userId))?.name || null,
+            snippet: highlight(m.content, terms),
+          };
+        });
+    },
+
+    async replyPreviews(messageIds) {
+      return messageIds
+        .map((id) => messages.get(String(id)))
+        .filter(Boolean)
+        .map((m) => ({
+          id: m.id,
+          sender_id: m.sender_id,
+          sender_name: users.get(m.sender_id).name,
+          content: m.content,
+          deleted_at: m.deleted_at,
+          has_attachments: Array.from(attachments.values()).some((a) => a.message_id === m.id),
+        }));
+    },
+
+    // --- receipts ---
+
+    async receiptCounts(messageIds) {
+      const wanted = messageIds.map(String);
+      const counts = new Map();
+      receipts.forEach((r) => {
+        if (!wanted.includes(r.message_id)) return;
+        const c = counts.get(r.message_id) || { message_id: r.message_id, total: 0, delivered: 0, read: 0 };
+        c.total += 1;
+        if (r.delivered_at) c.delivered += 1;
+        if (r.read_at) c.read += 1;
+        counts.set(r.message_id, c);
+      });
+      return Array.from(counts.values());
+    },
+
+    async receiptDetails(messageIds) {
+      const wanted = messageIds.map(String);
+      return receipts.filter((r) => wanted.includes(r.message_id)).map(copy);
+    },
+
+    async markDelivered(userId, messageIds = null) {
+      const wanted = messageIds ? messageIds.map(String) : null;
+      return markReceipts(userId, (m) => !wanted || wanted.includes(m.id), false);
+    },
+
+    async markRead(userId, conversationId, upToMessageId) {
+      return markReceipts(userId, (m) => m.conversation_id === Number(conversationId) && Number(m.id) <= Number(upToMessageId), true);
+    },
+
+    // --- reactions ---
+
+    async addReaction(messageId, userId, emoji) {
+      const exists = reactions.some((r) => r.message_id === String(messageId) && r.user_id === Number(userId) && r.emoji === emoji);
+      if (!exists) reactions.push({ message_id: String(messageId), user_id: Number(userId), emoji, created_at: new Date() });
+    },
+
+    async removeReaction(messageId, userId, emoji) {
+      reactions = reactions.filter((r) => !(r.message_id === String(messageId) && r.user_id === Number(userId) && r.emoji === emoji));
+    },
+
+    async reactions(messageIds) {
+      const wanted = messageIds.map(String);
+      const groups = new Map();
+      reactions
+        .filter((r) => wanted.includes(r.message_id))
+        .sort((a, b) => a.created_at - b.created_at)
+        .forEach((r) => {
+          const key = `${r.message_id}\u0000${r.emoji}`;
+          const g = groups.get(key) || { message_id: r.message_id, emoji: r.emoji, count: 0, users: [] };
+          g.count += 1;
+          g.users.push({ id: r.user_id, name: users.get(r.user_id).name });
+          groups.set(key, g);
+        });
+      return Array.from(groups.values());
+    },
+
+    // --- attachments ---
+
+    async createAttachment({ conversationId, uploaderId, filename, mimeType, sizeBytes, storageKey, thumbnailKey, width, height }) {
+      const row = {
+        id: String(nextId('attachments')),
+        conversation_id: Number(conversationId),
+        uploader_id: Number(uploaderId),
+        message_id: null,
+        filename,
+        mime_type: mimeType,
+        size_bytes: String(sizeBytes),
+        storage_key: storageKey,
+        thumbnail_key: thumbnailKey,
+        width,
+        height,
+        created_at: new Date(),
+      };
+      attachments.set(row.id, row);
+      return copy(row);
+    },
+
+    async findAttachment(id) {
+      return copy(attachments.get(String(id)));
+    },
+
+    async attachmentsFor(messageIds) {
+      const wanted = messageIds.map(String);
+      return Array.from(attachments.values())
+        .filter((a) => wanted.includes(a.message_id))
+        .sort((a, b) => byNumber(a.id, b.id))
+        .map(copy);
+    },
+
+    // --- data exports ---
+
+    async createDataExport(userId) {
+      const id = Number(userId);
+      if (Array.from(dataExports.values()).some((e) => e.user_id === id && ['pending', 'running'].includes(e.status))) return null;
+      const now = new Date();
+      const row = {
+        id: nextId('data_exports'),
+        user_id: id,
+        status: 'pending',
+        progress: 0,
+        storage_key: null,
+        size_bytes: null,
+        error: null,
+        created_at: now,
+        updated_at: now,
+        completed_at: null,
+        expires_at: null,
+      };
+      dataExports.set(row.id, row);
+      return copy(row);
+    },
+
+    async findDataExport(id) {
+      return copy(dataExports.get(Number(id)));
+    },
+
+    async listDataExports(userId, limit) {
+      return Array.from(dataExports.values())
+        .filter((e) => e.user_id === Number(userId))
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async claimDataExport(id) {
+      const row = dataExports.get(Number(id));
+      if (!row || row.status !== 'pending') return null;
+      row.status = 'running';
+      row.updated_at = new Date();
+      return copy(row);
+    },
+
+    async updateDataExport(id, fields, onlyIfStatus) {
+      const row = dataExports.get(Number(id));
+      if (!row || (onlyIfStatus && row.status !== onlyIfStatus)) return null;
+      ['status', 'progress', 'storage_key', 'size_bytes', 'error', 'completed_at', 'expires_at'].forEach((field) => {
+        if (fields[field] !== undefined) row[field] = fields[field];
+      });
+      row.updated_at = new Date();
+      return copy(row);
+    },
+
+    async pendingDataExports() {
+      return Array.from(dataExports.values())
+        .filter((e) => e.status === 'pending')
+        .sort((a, b) => a.created_at - b.created_at || a.id - b.id)
+        .map(copy);
+    },
+
+    async expiredDataExports(staleMinutes) {
+      const now = new Date();
+      const staleBefore = new Date(now.getTime() - staleMinutes * 60 * 1000);
+      return Array.from(dataExports.values())
+        .filter(
+          (e) =>
+            (e.status === 'ready' && e.expires_at <= now) ||
+            (['pending', 'running'].includes(e.status) && e.updated_at < staleBefore)
+        )
+        .map(copy);
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,987 @@
+// The production store: every query the app runs against PostgreSQL. The schema comes from server/migrations.
+// Transactions stay inside a single method so callers never hold a client.
+
+const TOKEN_TABLES = {
+  emailVerification: 'email_verification_tokens',
+  passwordReset: 'password_reset_tokens',
+};
+
+function tokenTable(kind) {
+  const table = TOKEN_TABLES[kind];
+  if (!table) throw new Error(`Unknown token kind "${kind}"`);
+  return table;
+}
+
+// The profile fields a user can edit themselves.
+const PROFILE_COLUMNS = ['name', 'bio', 'status_text'];
+const DATA_EXPORT_COLUMNS = ['status', 'progress', 'storage_key', 'size_bytes', 'error', 'completed_at', 'expires_at'];
+
+async function inTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (e) {}
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Thrown from inside inTransaction to roll back and hand a value to the caller instead of an error.
+class Abort {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+async function abortable(promise) {
+  try {
+    return await promise;
+  } catch (err) {
+    if (err instanceof Abort) return err.value;
+    throw err;
+  }
+}
+
+async function listParticipants(db, conversationId) {
+  const r = await db.query(
+    `SELECT u.id, u.name, u.email, p.role, p.joined_at
+     FROM conversation_participants p
+     JOIN users u ON u.id = p.user_id
+     WHERE p.conversation_id = $1
+     ORDER BY p.joined_at ASC, u.id ASC`,
+    [conversationId]
+  );
+  return r.rows;
+}
+
+async function findDirectConversation(db, userA, userB) {
+  const r = await db.query(
+    `SELECT id FROM conversations
+     WHERE NOT is_group AND LEAST(user_a, user_b) = LEAST($1::int,$2::int) AND GREATEST(user_a, user_b) = GREATEST($1::int,$2::int)
+     LIMIT 1`,
+    [userA, userB]
+  );
+  return r.rows[0] ? r.rows[0].id : null;
+}
+
+function createPostgresStore({ pool }) {
+  if (!pool) throw new Error('the postgres store needs a pg pool');
+
+  return {
+    pool,
+
+    // --- users ---
+
+    // Resolves to null when the email is already registered.
+    async createUser({ name, email, passwordHash }) {
+      try {
+        const r = await pool.query(
+          'INSERT INTO users (name, email, password) VALUES ($1,$2,$3) RETURNING id, name, email, email_verified',
+          [name, email, passwordHash]
+        );
+        return r.rows[0];
+      } catch (err) {
+        if (err.code === '23505') return null;
+        throw err;
+      }
+    },
+
+    async findUserById(id) {
+      const r = await pool.query('SELECT id, name, email, password, email_verified, last_seen_at, bio, status_text, avatar_key FROM users WHERE id=$1', [id]);
+      return r.rows[0] || null;
+    },
+
+    async findUserByEmail(email) {
+      const r = await pool.query('SELECT id, name, email, password, email_verified, last_seen_at, bio, status_text, avatar_key FROM users WHERE email=$1', [email]);
+      return r.rows[0] || null;
+    },
+
+    async setPassword(userId, passwordHash) {
+      await pool.query('UPDATE users SET password=$1 WHERE id=$2', [passwordHash, userId]);
+    },
+
+    async setEmailVerified(userId) {
+      await pool.query('UPDATE users SET email_verified = true WHERE id=$1', [userId]);
+    },
+
+    async touchLastSeen(userId) {
+      const r = await pool.query('UPDATE users SET last_seen_at = now() WHERE id = $1 RETURNING last_seen_at', [userId]);
+      return r.rows[0]?.last_seen_at || null;
+    },
+
+    // Unverified accounts stay out of search until they confirm their address, and blocks hide users both ways.
+    async searchUsers(q, viewerId) {
+      const visible = `email_verified AND NOT EXISTS (
+        SELECT 1 FROM user_blocks b WHERE (b.blocker_id = users.id AND b.blocked_id = $2) OR (b.blocker_id = $2 AND b.blocked_id = users.id)
+      )`;
+      const emailResults = await pool.query(`SELECT id, name, email, status_text, avatar_key FROM users WHERE email ILIKE $1 AND ${visible} LIMIT 10`, [`%${q}%`, viewerId]);
+      const nameResults = await pool.query(`SELECT id, name, email, status_text, avatar_key FROM users WHERE name ILIKE $1 AND ${visible} LIMIT 10`, [`%${q}%`, viewerId]);
+      const combined = [...emailResults.rows, ...nameResults.rows];
+      return Array.from(new Map(combined.map((user) => [user.id, user])).values());
+    },
+
+    // Sets only the fields present in `fields` (any of name, bio, status_text).
+    async updateProfile(userId, fields) {
+      const columns = PROFILE_COLUMNS.filter((column) => fields[column] !== undefined);
+      if (columns.length === 0) return;
+      await pool.query(
+        `UPDATE users SET ${columns.map((column, i) => `${column}=$${i + 2}`).join(', ')} WHERE id=$1`,
+        [userId, ...columns.map((column) => fields[column])]
+      );
+    },
+
+    // Resolves to the key it replaced, whose files the caller removes.
+    async setAvatarKey(userId, avatarKey) {
+      const r = await pool.query(
+        'UPDATE users u SET avatar_key=$2 FROM users old WHERE u.id=$1 AND old.id=$1 RETURNING old.avatar_key',
+        [userId, avatarKey]
+      );
+      return r.rows[0] ? r.rows[0].avatar_key : null;
+    },
+
+    // Foreign keys take the user's sessions, friendships, direct chats and messages with them. Resolves to the
+    // storage keys of every file that goes too, so the caller can remove them.
+    async deleteUser(userId) {
+      return inTransaction(pool, async (client) => {
+        const files = await client.query(
+          `SELECT storage_key, thumbnail_key FROM attachments
+           WHERE uploader_id = $1
+              OR message_id IN (SELECT id FROM messages WHERE sender_id = $1)
+              OR conversation_id IN (SELECT id FROM conversations WHERE NOT is_group AND (user_a = $1 OR user_b = $1))`,
+          [userId]
+        );
+        const exports = await client.query('SELECT storage_key FROM data_exports WHERE user_id=$1', [userId]);
+        const user = await client.query('DELETE FROM users WHERE id=$1 RETURNING avatar_key', [userId]);
+        return {
+          files: [
+            ...files.rows.flatMap((f) => [f.storage_key, f.thumbnail_key]),
+            ...exports.rows.map((e) => e.storage_key),
+          ].filter(Boolean),
+          avatarKey: user.rows[0] ? user.rows[0].avatar_key : null,
+        };
+      });
+    },
+
+    // --- sessions ---
+
+    async createSession({ id, userId, refreshTokenHash, userAgent, ip, ttlDays }) {
+      await pool.query(
+        `INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip, expires_at)
+         VALUES ($1,$2,$3,$4,$5, now() + make_interval(days => $6))`,
+        [id, userId, refreshTokenHash, userAgent, ip, ttlDays]
+      );
+    },
+
+    async findActiveSession(id) {
+      const r = await pool.query(
+        `SELECT s.id, s.user_id, s.refresh_token_hash, u.email
+         FROM sessions s JOIN users u ON u.id = s.user_id
+         WHERE s.id=$1 AND s.revoked_at IS NULL AND s.expires_at > now()`,
+        [id]
+      );
+      return r.rows[0] || null;
+    },
+
+    async isSessionActive(id, userId) {
+      const r = await pool.query(
+        'SELECT 1 FROM sessions WHERE id=$1 AND user_id=$2 AND revoked_at IS NULL AND expires_at > now()',
+        [id, userId]
+      );
+      return r.rowCount > 0;
+    },
+
+    // Compare-and-swap on the old hash: of two concurrent refreshes only one wins.
+    async rotateSession(id, { oldHash, newHash, ip, ttlDays }) {
+      const r = await pool.query(
+        `UPDATE sessions
+         SET refresh_token_hash=$1, last_used_at=now(), ip=$2, expires_at = now() + make_interval(days => $3)
+         WHERE id=$4 AND refresh_token_hash=$5`,
+        [newHash, ip, ttlDays, id, oldHash]
+      );
+      return r.rowCount > 0;
+    },
+
+    async revokeSession(id, userId) {
+      const r = await pool.query(
+        'UPDATE sessions SET revoked_at = now() WHERE id=$1 AND user_id=$2 AND revoked_at IS NULL RETURNING id',
+        [id, userId]
+      );
+      return r.rowCount > 0;
+    },
+
+    async listSessions(userId) {
+      const r = await pool.query(
+        `SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+         FROM sessions
+         WHERE user_id=$1 AND revoked_at IS NULL AND expires_at > now()
+         ORDER BY last_used_at DESC`,
+        [userId]
+      );
+      return r.rows;
+    },
+
+    async activeSessionIds(userId, exceptId = null) {
+      const r = await pool.query(
+        'SELECT id FROM sessions WHERE user_id=$1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2',
+        [userId, exceptId]
+      );
+      return r.rows.map((row) => row.id);
+    },
+
+    // --- one-time account tokens (email verification, password reset, email change) ---
+
+    // Only the newest token of a kind works; issuing one retires the older ones.
+    async createAccountToken(kind, userId, tokenHash, ttlMinutes) {
+      const table = tokenTable(kind);
+      await pool.query(`UPDATE ${table} SET used_at = now() WHERE user_id=$1 AND used_at IS NULL`, [userId]);
+      await pool.query(
+        `INSERT INTO ${table} (user_id, token_hash, expires_at) VALUES ($1,$2, now() + make_interval(mins => $3))`,
+        [userId, tokenHash, ttlMinutes]
+      );
+    },
+
+    // Single use: marking it used in the same statement means a second request with the same token finds nothing.
+    async useAccountToken(kind, tokenHash) {
+      const r = await pool.query(
+        `UPDATE ${tokenTable(kind)} SET used_at = now()
+         WHERE token_hash=$1 AND used_at IS NULL AND expires_at > now()
+         RETURNING user_id`,
+        [tokenHash]
+      );
+      return r.rows[0] ? r.rows[0].user_id : null;
+    },
+
+    // Burns a password reset token and sets the new password together. Resolves to the user id, or null.
+    async resetPassword(tokenHash, passwordHash) {
+      return abortable(
+        inTransaction(pool, async (client) => {
+          const r = await client.query(
+            `UPDATE password_reset_tokens SET used_at = now()
+             WHERE token_hash=$1 AND used_at IS NULL AND expires_at > now()
+             RETURNING user_id`,
+            [tokenHash]
+          );
+          if (r.rowCount === 0) throw new Abort(null);
+          const userId = r.rows[0].user_id;
+          await client.query('UPDATE users SET password=$1 WHERE id=$2', [passwordHash, userId]);
+          return userId;
+        })
+      );
+    },
+
+    // A pending change to `newEmail`; only the newest one can be confirmed.
+    async createEmailChange(userId, newEmail, tokenHash, ttlMinutes) {
+      await pool.query('UPDATE email_change_tokens SET used_at = now() WHERE user_id=$1 AND used_at IS NULL', [userId]);
+      await pool.query(
+        `INSERT INTO email_change_tokens (user_id, new_email, token_hash, expires_at)
+         VALUES ($1,$2,$3, now() + make_interval(mins => $4))`,
+        [userId, newEmail, tokenHash, ttlMinutes]
+      );
+    },
+
+    // Burns the token and switches the address, which counts as verified since the link was opened from it.
+    // Resolves to { userId, oldEmail, newEmail }, { conflict: true } when the address was taken meanwhile, or null.
+    async confirmEmailChange(tokenHash) {
+      return abortable(
+        inTransaction(pool, async (client) => {
+          const r = await client.query(
+            `UPDATE email_change_tokens SET used_at = now()
+             WHERE token_hash=$1 AND used_at IS NULL AND expires_at > now()
+             RETURNING user_id, new_email`,
+            [tokenHash]
+          );
+          if (r.rowCount === 0) throw new Abort(null);
+          const { user_id: userId, new_email: newEmail } = r.rows[0];
+          const old = await client.query('SELECT email FROM users WHERE id=$1 FOR UPDATE', [userId]);
+          if (old.rowCount === 0) throw new Abort(null);
+          try {
+            await client.query('UPDATE users SET email=$1, email_verified=true WHERE id=$2', [newEmail, userId]);
+          } catch (err) {
+            if (err.code === '23505') throw new Abort({ conflict: true });
+            throw err;
+          }
+          return { userId, oldEmail: old.rows[0].email, newEmail };
+        })
+      );
+    },
+
+    // --- blocks ---
+
+    // Ids of whoever blocks whom between the two users: empty, one or both of them.
+    async blockersBetween(userA, userB) {
+      const r = await pool.query(
+        `SELECT blocker_id FROM user_blocks
+         WHERE (blocker_id=$1 AND blocked_id=$2) OR (blocker_id=$2 AND blocked_id=$1)`,
+        [userA, userB]
+      );
+      return r.rows.map((row) => Number(row.blocker_id));
+    },
+
+    // A direct chat is frozen while either side blocks the other.
+    async isConversationFrozen(conversationId) {
+      const r = await pool.query(
+        `SELECT 1 FROM conversations c
+         JOIN user_blocks b ON (b.blocker_id = c.user_a AND b.blocked_id = c.user_b)
+                            OR (b.blocker_id = c.user_b AND b.blocked_id = c.user_a)
+         WHERE c.id=$1 AND NOT c.is_group`,
+        [conversationId]
+      );
+      return r.rowCount > 0;
+    },
+
+    async listBlocks(userId) {
+      const r = await pool.query(
+        `SELECT u.id, u.name, u.email, b.created_at
+         FROM user_blocks b JOIN users u ON u.id = b.blocked_id
+         WHERE b.blocker_id=$1 ORDER BY b.created_at DESC`,
+        [userId]
+      );
+      return r.rows;
+    },
+
+    // Blocking also drops pending friend requests in both directions.
+    async addBlock(blockerId, blockedId) {
+      await inTransaction(pool, async (client) => {
+        await client.query('INSERT INTO user_blocks (blocker_id, blocked_id) VALUES ($1,$2) ON CONFLICT DO NOTHING', [blockerId, blockedId]);
+        await client.query(
+          `DELETE FROM friend_requests
+           WHERE status = 'pending' AND ((requester_id=$1 AND receiver_id=$2) OR (requester_id=$2 AND receiver_id=$1))`,
+          [blockerId, blockedId]
+        );
+      });
+    },
+
+    async removeBlock(blockerId, blockedId) {
+      const r = await pool.query('DELETE FROM user_blocks WHERE blocker_id=$1 AND blocked_id=$2', [blockerId, blockedId]);
+      return r.rowCount > 0;
+    },
+
+    // --- friends ---
+
+    // Sends a request unless one already exists. A rejected or accepted request is left as it is, so asking again
+    // cannot undo a rejection. Resolves to the request's status: 'pending' when it was just sent or still waiting.
+    async upsertFriendRequest(requesterId, receiverId) {
+      const inserted = await pool.query(
+        `INSERT INTO friend_requests (requester_id, receiver_id, status)
+         VALUES ($1,$2,'pending')
+         ON CONFLICT (requester_id, receiver_id) DO NOTHING
+         RETURNING status`,
+        [requesterId, receiverId]
+      );
+      if (inserted.rowCount > 0) return inserted.rows[0].status;
+      const r = await pool.query('SELECT status FROM friend_requests WHERE requester_id=$1 AND receiver_id=$2', [requesterId, receiverId]);
+      return r.rows[0] ? r.rows[0].status : 'pending';
+    },
+
+    async findIncomingRequest(requestId, receiverId) {
+      const r = await pool.query('SELECT * FROM friend_requests WHERE id=$1 AND receiver_id=$2', [requestId, receiverId]);
+      return r.rows[0] || null;
+    },
+
+    async rejectFriendRequest(requestId) {
+      await pool.query('UPDATE friend_requests SET status=$1 WHERE id=$2', ['rejected', requestId]);
+    },
+
+    // Accepting opens (or reopens) the direct conversation between the two. Resolves to its id.
+    async acceptFriendRequest(requestId, requesterId, receiverId) {
+      return inTransaction(pool, async (client) => {
+        await client.query('UPDATE friend_requests SET status=$1 WHERE id=$2', ['accepted', requestId]);
+        let conversationId = await findDirectConversation(client, requesterId, receiverId);
+        if (!conversationId) {
+          const conv = await client.query('INSERT INTO conversations (user_a, user_b) VALUES ($1,$2) RETURNING id', [requesterId, receiverId]);
+          conversationId = conv.rows[0].id;
+        }
+        await client.query(
+          `INSERT INTO conversation_participants (conversation_id, user_id) VALUES ($1,$2), ($1,$3) ON CONFLICT DO NOTHING`,
+          [conversationId, requesterId, receiverId]
+        );
+        return conversationId;
+      });
+    },
+
+    async incomingRequests(userId) {
+      const r = await pool.query(
+        `SELECT fr.id, u.id as requester_id, u.name, u.email, fr.created_at
+         FROM friend_requests fr
+         JOIN users u ON u.id = fr.requester_id
+         WHERE fr.receiver_id = $1 AND fr.status = 'pending' ORDER BY fr.created_at DESC`,
+        [userId]
+      );
+      return r.rows;
+    },
+
+    // Accepted requests are left out: those people are already in the friend list. So are dismissed rejections.
+    async outgoingRequests(userId) {
+      const r = await pool.query(
+        `SELECT fr.id, u.id as receiver_id, u.name, u.email, fr.status, fr.created_at
+         FROM friend_requests fr
+         JOIN users u ON u.id = fr.receiver_id
+         WHERE fr.requester_id = $1 AND fr.status IN ('pending', 'rejected') AND fr.dismissed_at IS NULL
+         ORDER BY fr.created_at DESC`,
+        [userId]
+      );
+      return r.rows;
+    },
+
+    // Every request the user sent or received, whatever became of it, with the other person's name and email.
+    async friendRequestHistory(userId) {
+      const r = await pool.query(
+        `SELECT fr.id, fr.status, fr.created_at,
+                CASE WHEN fr.requester_id = $1 THEN 'outgoing' ELSE 'incoming' END AS direction,
+                u.id AS user_id, u.name, u.email
+         FROM friend_requests fr
+         JOIN users u ON u.id = CASE WHEN fr.requester_id = $1 THEN fr.receiver_id ELSE fr.requester_id END
+         WHERE fr.requester_id = $1 OR fr.receiver_id = $1
+         ORDER BY fr.created_at DESC, fr.id DESC`,
+        [userId]
+      );
+      return r.rows;
+    },
+
+    // A pending request is deleted. A rejected one is only dismissed: the row stays, so the receiver's answer still holds.
+    // Resolves to the request's { receiver_id, status }, or null.
+    async cancelFriendRequest(requestId, requesterId) {
+      const deleted = await pool.query(
+        `DELETE FROM friend_requests WHERE id=$1 AND requester_id=$2 AND status = 'pending' RETURNING receiver_id, status`,
+        [requestId, requesterId]
+      );
+      if (deleted.rows[0]) return deleted.rows[0];
+      const dismissed = await pool.query(
+        `UPDATE friend_requests SET dismissed_at = now()
+         WHERE id=$1 AND requester_id=$2 AND status = 'rejected' AND dismissed_at IS NULL
+         RETURNING receiver_id, status`,
+        [requestId, requesterId]
+      );
+      return dismissed.rows[0] || null;
+    },
+
+    // Unfriending deletes the direct conversation and its history as well. Resolves to the storage keys of the
+    // chat's attachments, so the caller can remove the files.
+    async removeFriendship(userId, otherId) {
+      return inTransaction(pool, async (client) => {
+        await client.query(
+          `DELETE FROM friend_requests WHERE (requester_id=$1 AND receiver_id=$2) OR (requester_id=$2 AND receiver_id=$1)`,
+          [userId, otherId]
+        );
+        const convoId = await findDirectConversation(client, userId, otherId);
+        if (!convoId) return [];
+        const files = await client.query(`SELECT storage_key, thumbnail_key FROM attachments WHERE conversation_id = $1`, [convoId]);
+        await client.query(`DELETE FROM messages WHERE conversation_id = $1`, [convoId]);
+        await client.query(`DELETE FROM conversations WHERE id = $1`, [convoId]);
+        return files.rows.flatMap((f) => [f.storage_key, f.thumbnail_key]).filter(Boolean);
+      });
+    },
+
+    // Friends that presence is shared with; a block in either direction hides it.
+    async friendIdsOf(userId) {
+      const r = await pool.query(
+        `SELECT f.friend_id FROM (
+           SELECT CASE WHEN requester_id = $1 THEN receiver_id ELSE requester_id END AS friend_id
+           FROM friend_requests
+           WHERE status = 'accepted' AND (requester_id = $1 OR receiver_id = $1)
+         ) f
+         WHERE NOT EXISTS (
+           SELECT 1 FROM user_blocks b
+           WHERE (b.blocker_id = $1 AND b.blocked_id = f.friend_id) OR (b.blocker_id = f.friend_id AND b.blocked_id = $1)
+         )`,
+        [userId]
+      );
+      return r.rows.map((row) => Number(row.friend_id));
+    },
+
+    async filterFriendIds(userId, candidateIds) {
+      if (candidateIds.length === 0) return [];
+      const r = await pool.query(
+        `SELECT CASE WHEN requester_id = $1 THEN receiver_id ELSE requester_id END AS friend_id
+         FROM friend_requests
+         WHERE status = 'accepted' AND (requester_id = $1 OR receiver_id = $1)
+           AND (CASE WHEN requester_id = $1 THEN receiver_id ELSE requester_id END) = ANY($2::int[])`,
+        [userId, candidateIds]
+      );
+      return r.rows.map((row) => Number(row.friend_id));
+    },
+
+    // --- conversations ---
+
+    async isParticipant(conversationId, userId) {
+      const r = await pool.query(
+        'SELECT 1 FROM conversation_participants WHERE conversation_id=$1 AND user_id=$2',
+        [conversationId, userId]
+      );
+      return r.rowCount > 0;
+    },
+
+    async getGroupMembership(conversationId, userId) {
+      const r = await pool.query(
+        `SELECT c.id, c.title, p.role
+         FROM conversations c
+         JOIN conversation_participants p ON p.conversation_id = c.id AND p.user_id = $2
+         WHERE c.id = $1 AND c.is_group`,
+        [conversationId, userId]
+      );
+      return r.rows[0] || null;
+    },
+
+    listParticipants: (conversationId) => listParticipants(pool, conversationId),
+
+    async conversationIdsOf(userId) {
+      const r = await pool.query('SELECT conversation_id FROM conversation_participants WHERE user_id=$1', [userId]);
+      return r.rows.map((row) => row.conversation_id);
+    },
+
+    // One row per conversation the user is in, newest activity first. The last message comes back flattened
+    // as lm_* columns; blocked_by_me / blocked_me only apply to direct chats.
+    async listConversations(userId) {
+      const r = await pool.query(
+        `SELECT c.id, c.is_group, c.title,
+                u.id AS other_user_id, u.name AS other_user_name, u.email AS other_user_email,
+                u.last_seen_at AS other_user_last_seen_at,
+                u.bio AS other_user_bio, u.status_text AS other_user_status_text, u.avatar_key AS other_user_avatar_key,
+                EXISTS (SELECT 1 FROM user_blocks b WHERE b.blocker_id = $1 AND b.blocked_id = u.id) AS blocked_by_me,
+                EXISTS (SELECT 1 FROM user_blocks b WHERE b.blocker_id = u.id AND b.blocked_id = $1) AS blocked_me,
+                (SELECT COUNT(*)::int FROM conversation_participants pc WHERE pc.conversation_id = c.id) AS member_count,
+                p.role,
+                c.created_at,
+                lm.id AS lm_id, lm.sender_id AS lm_sender_id, lm.content AS lm_content,
+                lm.created_at AS lm_created_at, lm.deleted_at AS lm_deleted_at,
+                COALESCE(lm.created_at, c.created_at) AS last_activity_at,
+                (SELECT COUNT(*)::int FROM messages um
+                 WHERE um.conversation_id = c.id AND um.id > COALESCE(p.last_read_message_id, 0)
+                   AND um.sender_id <> $1 AND um.deleted_at IS NULL) AS unread_count
+         FROM conversation_participants p
+         JOIN conversations c ON c.id = p.conversation_id
+         LEFT JOIN users u ON NOT c.is_group AND u.id = CASE WHEN c.user_a = $1 THEN c.user_b ELSE c.user_a END
+         LEFT JOIN LATERAL (
+           SELECT m.id, m.sender_id, m.content, m.created_at, m.deleted_at
+           FROM messages m
+           WHERE m.conversation_id = c.id
+           ORDER BY m.created_at DESC, m.id DESC
+           LIMIT 1
+         ) lm ON true
+         WHERE p.user_id = $1
+         ORDER BY last_activity_at DESC`,
+        [userId]
+      );
+      return r.rows;
+    },
+
+    // Resolves to { id, created_at } of the new group.
+    async createGroup(title, ownerId, memberIds) {
+      return inTransaction(pool, async (client) => {
+        const conv = await client.query(
+          'INSERT INTO conversations (is_group, title, created_by) VALUES (true, $1, $2) RETURNING id, created_at',
+          [title, ownerId]
+        );
+        const conversationId = conv.rows[0].id;
+        await client.query(
+          `INSERT INTO conversation_participants (conversation_id, user_id, role) VALUES ($1, $2, 'owner')`,
+          [conversationId, ownerId]
+        );
+        await client.query(
+          `INSERT INTO conversation_participants (conversation_id, user_id)
+           SELECT $1, unnest($2::int[])`,
+          [conversationId, memberIds]
+        );
+        return conv.rows[0];
+      });
+    },
+
+    async renameGroup(conversationId, title) {
+      await pool.query('UPDATE conversations SET title=$1 WHERE id=$2', [title, conversationId]);
+    },
+
+    // New members start with the existing history marked read. Resolves to the ids actually added.
+    async addGroupMembers(conversationId, userIds) {
+      const r = await pool.query(
+        `INSERT INTO conversation_participants (conversation_id, user_id, last_read_message_id)
+         SELECT $1, unnest($2::int[]), (SELECT MAX(id) FROM messages WHERE conversation_id = $1)
+         ON CONFLICT DO NOTHING
+         RETURNING user_id`,
+        [conversationId, userIds]
+      );
+      return r.rows.map((row) => Number(row.user_id));
+    },
+
+    // Resolves to the remaining members. The last one out deletes the group; when the owner leaves,
+    // the longest-standing member inherits ownership so the group is never left unmanaged.
+    async removeParticipant(conversationId, userId) {
+      return inTransaction(pool, async (client) => {
+        const removed = await client.query(
+          'DELETE FROM conversation_participants WHERE conversation_id=$1 AND user_id=$2 RETURNING role',
+          [conversationId, userId]
+        );
+        const remaining = await listParticipants(client, conversationId);
+        if (remaining.length === 0) {
+          await client.query('DELETE FROM conversations WHERE id=$1', [conversationId]);
+        } else if (removed.rows[0]?.role === 'owner') {
+          await client.query(
+            `UPDATE conversation_participants SET role='owner' WHERE conversation_id=$1 AND user_id=$2`,
+            [conversationId, remaining[0].id]
+          );
+          remaining[0].role = 'owner';
+        }
+        return remaining;
+      });
+    },
+
+    // Never moves backwards. Resolves to the marker after the update, or null for non-members.
+    async advanceReadMarker(userId, conversationId, messageId) {
+      const r = await pool.query(
+        `UPDATE conversation_participants
+         SET last_read_message_id = GREATEST(COALESCE(last_read_message_id, 0), $3)
+         WHERE conversation_id = $1 AND user_id = $2
+         RETURNING last_read_message_id`,
+        [conversationId, userId, messageId]
+      );
+      return r.rows[0]?.last_read_message_id || null;
+    },
+
+    // --- messages ---
+
+    async findMessage(id) {
+      const r = await pool.query('SELECT * FROM messages WHERE id=$1', [id]);
+      return r.rows[0] || null;
+    },
+
+    async messageInConversation(id, conversationId) {
+      const r = await pool.query('SELECT 1 FROM messages WHERE id=$1 AND conversation_id=$2', [id, conversationId]);
+      return r.rowCount > 0;
+    },
+
+    async findMessageByClientId(senderId, clientId) {
+      const r = await pool.query('SELECT * FROM messages WHERE sender_id=$1 AND client_id=$2', [senderId, clientId]);
+      return r.rows[0] || null;
+    },
+
+    // Inserts the message, claims its uploads and creates a receipt for every other participant, all or nothing.
+    // Resolves to { row, attachments, recipientIds }, { duplicate: true } when the client id was taken by a
+    // concurrent insert, or { attachmentsMissing: true } when an upload is not the sender's or already sent.
+    async insertMessage({ conversationId, senderId, content, replyToId, clientId, attachmentIds }) {
+      return abortable(
+        inTransaction(pool, async (client) => {
+          const inserted = await client.query(
+            `INSERT INTO messages (conversation_id, sender_id, content, reply_to_id, client_id) VALUES ($1,$2,$3,$4,$5)
+             ON CONFLICT (sender_id, client_id) DO NOTHING
+             RETURNING *`,
+            [conversationId, senderId, content, replyToId, clientId]
+          );
+          if (inserted.rowCount === 0) throw new Abort({ duplicate: true });
+          const row = inserted.rows[0];
+
+          let attachments = [];
+          if (attachmentIds.length > 0) {
+            const claimed = await client.query(
+              `UPDATE attachments SET message_id = $1
+               WHERE id = ANY($2::bigint[]) AND uploader_id = $3 AND conversation_id = $4 AND message_id IS NULL
+               RETURNING *`,
+              [row.id, attachmentIds, senderId, conversationId]
+            );
+            if (claimed.rowCount !== attachmentIds.length) throw new Abort({ attachmentsMissing: true });
+            attachments = claimed.rows.sort((a, b) => Number(a.id) - Number(b.id));
+          }
+
+          const recipients = await client.query(
+            `INSERT INTO message_receipts (message_id, user_id)
+             SELECT $1, user_id FROM conversation_participants WHERE conversation_id = $2 AND user_id <> $3
+             RETURNING user_id`,
+            [row.id, conversationId, senderId]
+          );
+          return { row, attachments, recipientIds: recipients.rows.map((r) => r.user_id) };
+        })
+      );
+    },
+
+    async updateMessageContent(id, content) {
+      const r = await pool.query('UPDATE messages SET content=$1, edited_at=now() WHERE id=$2 RETURNING *', [content, id]);
+      return r.rows[0] || null;
+    },
+
+    // Turns the message into a tombstone and drops its reactions and attachments. Resolves to
+    // { row, files } where files are the storage keys the caller still has to delete.
+    async tombstoneMessage(id) {
+      return inTransaction(pool, async (client) => {
+        const r = await client.query('UPDATE messages SET content=NULL, deleted_at=now() WHERE id=$1 RETURNING *', [id]);
+        const removed = await client.query('DELETE FROM attachments WHERE message_id=$1 RETURNING storage_key, thumbnail_key', [id]);
+        await client.query('DELETE FROM message_reactions WHERE message_id=$1', [id]);
+        const files = removed.rows.flatMap((f) => [f.storage_key, f.thumbnail_key]).filter(Boolean);
+        return { row: r.rows[0], files };
+      });
+    },
+
+    // A page of history. `cursor` is { id, createdAt } (id may be null for a bare timestamp) and compares on
+    // (created_at, id) so messages sharing a timestamp are neither skipped nor repeated. Rows come back in
+    // scan order: newest first, or oldest first with direction 'after'.
+    async listMessages(conversationId, { cursor = null, direction = 'before', limit }) {
+      const params = [conversationId, limit];
+      let where = 'conversation_id=$1';
+      const order = cursor && direction === 'after' ? 'ASC' : 'DESC';
+      if (cursor) {
+        const op = direction === 'after' ? '>' : '<';
+        params.push(cursor.createdAt);
+        if (cursor.id !== null) {
+          params.push(cursor.id);
+          where += ` AND (created_at, id) ${op} ($3, $4)`;
+        } else {
+          where += ` AND created_at ${op} $3`;
+        }
+      }
+      const r = await pool.query(
+        `SELECT id, conversation_id, sender_id, content, reply_to_id, client_id, created_at, edited_at, deleted_at
+         FROM messages
+         WHERE ${where}
+         ORDER BY created_at ${order}, id ${order}
+         LIMIT $2`,
+        params
+      );
+      return r.rows;
+    },
+
+    async messagesAfter(conversationId, afterId, limit) {
+      const r = await pool.query(
+        'SELECT * FROM messages WHERE conversation_id=$1 AND id > $2 ORDER BY id ASC LIMIT $3',
+        [conversationId, afterId, limit]
+      );
+      return r.rows;
+    },
+
+    // Messages up to `upToId` edited or deleted after `since`.
+    async messagesChangedSince(conversationId, upToId, since, limit) {
+      const r = await pool.query(
+        `SELECT * FROM messages
+         WHERE conversation_id=$1 AND id <= $2 AND GREATEST(edited_at, deleted_at) > $3
+         ORDER BY id ASC LIMIT $4`,
+        [conversationId, upToId, since, limit]
+      );
+      return r.rows;
+    },
+
+    // The sender's own messages, the given ids only or else the most recent 200.
+    async sentMessageIds(conversationId, senderId, ids = null) {
+      const r = await pool.query(
+        `SELECT id FROM messages
+         WHERE conversation_id = $1 AND sender_id = $2 AND ($3::bigint[] IS NULL OR id = ANY($3::bigint[]))
+         ORDER BY created_at DESC, id DESC
+         LIMIT 200`,
+        [conversationId, senderId, ids && ids.length > 0 ? ids : null]
+      );
+      return r.rows.map((row) => row.id);
+    },
+
+    // Full-text search over the conversations the user is in. `snippet` marks matches with <mark>.
+    async searchMessages(userId, { q, conversationId, senderId, from, to, limit, offset }) {
+      const r = await pool.query(
+        `SELECT m.id, m.conversation_id, m.sender_id, s.name AS sender_name, m.created_at,
+                c.is_group,
+                CASE WHEN c.is_group THEN c.title ELSE o.name END AS conversation_name,
+                ts_headline('simple', m.content, query,
+                            'StartSel=<mark>, StopSel=</mark>, MaxWords=20, MinWords=8, MaxFragments=2') AS snippet
+         FROM messages m
+         JOIN conversation_participants p ON p.conversation_id = m.conversation_id AND p.user_id = $1
+         JOIN conversations c ON c.id = m.conversation_id
+         JOIN users s ON s.id = m.sender_id
+         LEFT JOIN users o ON NOT c.is_group AND o.id = CASE WHEN c.user_a = $1 THEN c.user_b ELSE c.user_a END
+         CROSS JOIN websearch_to_tsquery('simple', $2) query
+         WHERE m.content_tsv @@ query
+           AND m.deleted_at IS NULL
+           AND ($3::int IS NULL OR m.conversation_id = $3)
+           AND ($4::int IS NULL OR m.sender_id = $4)
+           AND ($5::timestamptz IS NULL OR m.created_at >= $5)
+           AND ($6::timestamptz IS NULL OR m.created_at <= $6)
+         ORDER BY m.created_at DESC, m.id DESC
+         LIMIT $7 OFFSET $8`,
+        [userId, q, conversationId, senderId, from, to, limit, offset]
+      );
+      return r.rows;
+    },
+
+    // Compact view of quoted messages: sender name, content, deleted_at and whether files were attached.
+    async replyPreviews(messageIds) {
+      if (messageIds.length === 0) return [];
+      const r = await pool.query(
+        `SELECT m.id, m.sender_id, u.name AS sender_name, m.content, m.deleted_at,
+                EXISTS (SELECT 1 FROM attachments a WHERE a.message_id = m.id) AS has_attachments
+         FROM messages m
+         JOIN users u ON u.id = m.sender_id
+         WHERE m.id = ANY($1::bigint[])`,
+        [messageIds]
+      );
+      return r.rows;
+    },
+
+    // --- receipts ---
+
+    // { message_id, total, delivered, read } per message that has recipients.
+    async receiptCounts(messageIds) {
+      if (messageIds.length === 0) return [];
+      const r = await pool.query(
+        `SELECT message_id, COUNT(*)::int AS total, COUNT(delivered_at)::int AS delivered, COUNT(read_at)::int AS read
+         FROM message_receipts
+         WHERE message_id = ANY($1::bigint[])
+         GROUP BY message_id`,
+        [messageIds]
+      );
+      return r.rows;
+    },
+
+    async receiptDetails(messageIds) {
+      if (messageIds.length === 0) return [];
+      const r = await pool.query(
+        `SELECT message_id, user_id, delivered_at, read_at FROM message_receipts WHERE message_id = ANY($1::bigint[])`,
+        [messageIds]
+      );
+      return r.rows;
+    },
+
+    // Marks the user's undelivered receipts (all, or only those for messageIds) delivered.
+    // Resolves to the { message_id, conversation_id } pairs that changed.
+    async markDelivered(userId, messageIds = null) {
+      const r = await pool.query(
+        `UPDATE message_receipts r SET delivered_at = now()
+         FROM messages m
+         WHERE m.id = r.message_id AND r.user_id = $1 AND r.delivered_at IS NULL
+           AND ($2::bigint[] IS NULL OR r.message_id = ANY($2::bigint[]))
+         RETURNING r.message_id, m.conversation_id`,
+        [userId, messageIds]
+      );
+      return r.rows;
+    },
+
+    // Reading implies delivery. Resolves to the { message_id, conversation_id } pairs that changed.
+    async markRead(userId, conversationId, upToMessageId) {
+      const r = await pool.query(
+        `UPDATE message_receipts r SET read_at = now(), delivered_at = COALESCE(r.delivered_at, now())
+         FROM messages m
+         WHERE m.id = r.message_id AND r.user_id = $1 AND r.read_at IS NULL
+           AND m.conversation_id = $2 AND m.id <= $3
+         RETURNING r.message_id, m.conversation_id`,
+        [userId, conversationId, upToMessageId]
+      );
+      return r.rows;
+    },
+
+    // --- reactions ---
+
+    async addReaction(messageId, userId, emoji) {
+      await pool.query(
+        'INSERT INTO message_reactions (message_id, user_id, emoji) VALUES ($1,$2,$3) ON CONFLICT DO NOTHING',
+        [messageId, userId, emoji]
+      );
+    },
+
+    async removeReaction(messageId, userId, emoji) {
+      await pool.query('DELETE FROM message_reactions WHERE message_id=$1 AND user_id=$2 AND emoji=$3', [messageId, userId, emoji]);
+    },
+
+    // Aggregated per emoji, in the order each emoji was first used on the message:
+    // { message_id, emoji, count, users: [{ id, name }] }.
+    async reactions(messageIds) {
+      if (messageIds.length === 0) return [];
+      const r = await pool.query(
+        `SELECT mr.message_id, mr.emoji, COUNT(*)::int AS count, MIN(mr.created_at) AS first_at,
+                json_agg(json_build_object('id', u.id, 'name', u.name) ORDER BY mr.created_at) AS users
+         FROM message_reactions mr
+         JOIN users u ON u.id = mr.user_id
+         WHERE mr.message_id = ANY($1::bigint[])
+         GROUP BY mr.message_id, mr.emoji
+         ORDER BY first_at ASC`,
+        [messageIds]
+      );
+      return r.rows;
+    },
+
+    // --- attachments ---
+
+    async createAttachment({ conversationId, uploaderId, filename, mimeType, sizeBytes, storageKey, thumbnailKey, width, height }) {
+      const r = await pool.query(
+        `INSERT INTO attachments (conversation_id, uploader_id, filename, mime_type, size_bytes, storage_key, thumbnail_key, width, height)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING *`,
+        [conversationId, uploaderId, filename, mimeType, sizeBytes, storageKey, thumbnailKey, width, height]
+      );
+      return r.rows[0];
+    },
+
+    async findAttachment(id) {
+      const r = await pool.query('SELECT * FROM attachments WHERE id=$1', [id]);
+      return r.rows[0] || null;
+    },
+
+    async attachmentsFor(messageIds) {
+      if (messageIds.length === 0) return [];
+      const r = await pool.query('SELECT * FROM attachments WHERE message_id = ANY($1::bigint[]) ORDER BY id ASC', [messageIds]);
+      return r.rows;
+    },
+
+    // --- data exports ---
+
+    // Resolves to the new job, or null while one of the user's exports is still pending or running.
+    async createDataExport(userId) {
+      const r = await pool.query(
+        `INSERT INTO data_exports (user_id) VALUES ($1)
+         ON CONFLICT (user_id) WHERE status IN ('pending', 'running') DO NOTHING
+         RETURNING *`,
+        [userId]
+      );
+      return r.rows[0] || null;
+    },
+
+    async findDataExport(id) {
+      const r = await pool.query('SELECT * FROM data_exports WHERE id=$1', [id]);
+      return r.rows[0] || null;
+    },
+
+    async listDataExports(userId, limit) {
+      const r = await pool.query('SELECT * FROM data_exports WHERE user_id=$1 ORDER BY created_at DESC, id DESC LIMIT $2', [
+        userId,
+        limit,
+      ]);
+      return r.rows;
+    },
+
+    // Moves a pending job to running. Resolves to it, or null when it was already taken or is gone.
+    async claimDataExport(id) {
+      const r = await pool.query(
+        `UPDATE data_exports SET status='running', updated_at=now() WHERE id=$1 AND status='pending' RETURNING *`,
+        [id]
+      );
+      return r.rows[0] || null;
+    },
+
+    // Resolves to the updated row, or null once the job went away with its user or, given `onlyIfStatus`,
+    // moved on to another status. Touches updated_at even when `fields` is empty.
+    async updateDataExport(id, fields, onlyIfStatus) {
+      const columns = DATA_EXPORT_COLUMNS.filter((column) => fields[column] !== undefined);
+      const values = [id, ...columns.map((column) => fields[column])];
+      if (onlyIfStatus) values.push(onlyIfStatus);
+      const r = await pool.query(
+        `UPDATE data_exports SET ${[...columns.map((column, i) => `${column}=$${i + 2}`), 'updated_at=now()'].join(', ')}
+         WHERE id=$1${onlyIfStatus ? ` AND status=$${values.length}` : ''} RETURNING *`,
+        values
+      );
+      return r.rows[0] || null;
+    },
+
+    async pendingDataExports() {
+      const r = await pool.query(`SELECT * FROM data_exports WHERE status = 'pending' ORDER BY created_at ASC, id ASC`);
+      return r.rows;
+    },
+
+    // Ready exports past their expiry, and unfinished ones nobody has touched for `staleMinutes`
+    // because the process building them went away.
+    async expiredDataExports(staleMinutes) {
+      const r = await pool.query(
+        `SELECT * FROM data_exports
+         WHERE (status = 'ready' AND expires_at <= now())
+            OR (status IN ('pending', 'running') AND updated_at < now() - make_interval(mins => $1))`,
+        [staleMinutes]
+      );
+      return r.rows;
+    },
+  };
+}
+
+module.exports = { createPostgresStore };
@@ -0,0 +1,1117 @@
+// End-to-end run of the REST and socket API against the in-memory store: `npm run test:server`.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { io: connect } = require('socket.io-client');
+const { createApp } = require('../app');
+const { createStore } = require('../store');
+const { loadConfig } = require('../config');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-api-'));
+const outboxDir = path.join(tmpDir, 'mail');
+let instance;
+let baseUrl;
+const sockets = [];
+
+before(async () => {
+  // Every request comes from one IP and the suite signs up many users, so the limits are out of the way here;
+  // rate limiting is tested on an app of its own.
+  const config = loadConfig({
+    UPLOAD_DIR: path.join(tmpDir, 'uploads'),
+    MAIL_OUTBOX_DIR: outboxDir,
+    RATE_LIMIT_SIGNUP: '1000/1h',
+    RATE_LIMIT_LOGIN: '1000/15m',
+    RATE_LIMIT_ACCOUNT_EMAIL: '1000/1h',
+    RATE_LIMIT_FRIEND_REQUEST: '1000/1h',
+    RATE_LIMIT_USER_SEARCH: '1000/1m',
+    // Short enough for the typing test to wait out an indicator that was never stopped.
+    TYPING_TIMEOUT_MS: '300',
+    // Small enough for the attachment test to go over.
+    MAX_UPLOAD_BYTES: String(64 * 1024),
+  });
+  instance = createApp({ store: createStore({ driver: 'memory' }), config });
+  await new Promise((resolve) => instance.server.listen(0, resolve));
+  baseUrl = `http://localhost:${instance.server.address().port}`;
+});
+
+after(async () => {
+  sockets.forEach((s) => s.disconnect());
+  await new Promise((resolve) => instance.io.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function api(method, url, { token, body } = {}) {
+  const res = await fetch(baseUrl + url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+// Account links are only ever mailed, so they are read back from the file transport's outbox.
+function mailedToken(email, page = 'verify-email') {
+  const mails = fs.readdirSync(outboxDir).sort().map((name) => fs.readFileSync(path.join(outboxDir, name), 'utf8'));
+  const mail = mails.reverse().find((text) => text.includes(`To: ${email}`));
+  return mail.match(new RegExp(`${page}\\?token=(\\S+)`))[1];
+}
+
+async function signUp(name) {
+  const email = `${name.toLowerCase()}@example.com`;
+  const res = await api('POST', '/signup', { body: { name, email, password: 'correct horse' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.email_verified, false);
+  const verified = await api('POST', '/auth/verify-email', { body: { token: mailedToken(email) } });
+  assert.equal(verified.status, 200);
+  return { ...res.body.user, email, token: res.body.token, refreshToken: res.body.refreshToken };
+}
+
+// Sends a friend request from `a` and has `b` accept it. Resolves to their direct conversation's id.
+async function befriend(a, b) {
+  await api('POST', '/friends/request', { token: a.token, body: { receiverEmail: b.email } });
+  const incoming = await api('GET', '/friends/requests', { token: b.token });
+  const request = incoming.body.requests.find((r) => r.requester_id === a.id);
+  const accepted = await api('POST', '/friends/respond', { token: b.token, body: { requestId: request.id, action: 'accept' } });
+  return accepted.body.conversationId;
+}
+
+async function uploadFile(user, convId, blob, filename) {
+  const form = new FormData();
+  form.append('file', blob, filename);
+  const res = await fetch(`${baseUrl}/conversations/${convId}/attachments`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${user.token}` },
+    body: form,
+  });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+const send = (user, convId, content, extra = {}) =>
+  api('POST', `/conversations/${convId}/messages`, { token: user.token, body: { content, ...extra } });
+
+function openSocket(user) {
+  const socket = connect(baseUrl, { auth: { token: user.token }, transports: ['websocket'], reconnection: false });
+  sockets.push(socket);
+  return new Promise((resolve, reject) => {
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+}
+
+const nextEvent = (socket, name) => new Promise((resolve) => socket.once(name, resolve));
+
+let alice;
+let bob;
+let conversationId;
+
+test('sign up, verify and log in', async () => {
+  alice = await signUp('Alice');
+  bob = await signUp('Bob');
+
+  const duplicate = await api('POST', '/signup', { body: { name: 'Again', email: alice.email, password: 'correct horse' } });
+  assert.equal(duplicate.status, 409);
+
+  const wrong = await api('POST', '/login', { body: { email: alice.email, password: 'nope' } });
+  assert.equal(wrong.status, 401);
+
+  const login = await api('POST', '/login', { body: { email: alice.email, password: 'correct horse' } });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.user.email_verified, true);
+
+  const me = await api('GET', '/me', { token: login.body.token });
+  assert.deepEqual(me.body, {
+    id: alice.id,
+    name: 'Alice',
+    bio: '',
+    status_text: '',
+    avatar_id: null,
+    email: alice.email,
+    email_verified: true,
+  });
+  // Signup hands out the same user shape as login and /me.
+  const { token, refreshToken, ...signedUp } = alice;
+  assert.deepEqual(signedUp, { ...me.body, email_verified: false });
+});
+
+test('refresh tokens rotate and cannot be reused', async () => {
+  const first = await api('POST', '/auth/refresh', { body: { refreshToken: alice.refreshToken } });
+  assert.equal(first.status, 200);
+  const reused = await api('POST', '/auth/refresh', { body: { refreshToken: alice.refreshToken } });
+  assert.equal(reused.status, 401);
+  // Reuse revoked the whole session, including the token that replaced it.
+  const again = await api('POST', '/auth/refresh', { body: { refreshToken: first.body.refreshToken } });
+  assert.equal(again.status, 401);
+
+  const login = await api('POST', '/login', { body: { email: alice.email, password: 'correct horse' } });
+  alice = { ...alice, token: login.body.token, refreshToken: login.body.refreshToken };
+});
+
+test('friend requests open a direct conversation', async () => {
+  const found = await api('GET', '/users/search?q=bob', { token: alice.token });
+  assert.deepEqual(found.body.users.map((u) => u.id), [bob.id]);
+
+  const sent = await api('POST', '/friends/request', { token: alice.token, body: { receiverEmail: bob.email } });
+  assert.equal(sent.status, 200);
+
+  const outgoing = await api('GET', '/friends/requests/outgoing', { token: alice.token });
+  assert.deepEqual(outgoing.body.requests.map((r) => [r.receiver_id, r.status]), [[bob.id, 'pending']]);
+
+  const incoming = await api('GET', '/friends/requests', { token: bob.token });
+  assert.equal(incoming.body.requests.length, 1);
+
+  const accepted = await api('POST', '/friends/respond', {
+    token: bob.token,
+    body: { requestId: incoming.body.requests[0].id, action: 'accept' },
+  });
+  assert.equal(accepted.body.status, 'accepted');
+  conversationId = accepted.body.conversationId;
+
+  const conversations = await api('GET', '/conversations', { token: alice.token });
+  assert.deepEqual(conversations.body.conversations.map((c) => [c.id, c.other_user_id]), [[conversationId, bob.id]]);
+});
+
+test('sending a friend request again does not undo a rejection', async () => {
+  const carol = await signUp('Carol');
+  await api('POST', '/friends/request', { token: carol.token, body: { receiverEmail: alice.email } });
+  const incoming = await api('GET', '/friends/requests', { token: alice.token });
+  const request = incoming.body.requests.find((r) => r.requester_id === carol.id);
+  await api('POST', '/friends/respond', { token: alice.token, body: { requestId: request.id, action: 'reject' } });
+
+  const again = await api('POST', '/friends/request', { token: carol.token, body: { receiverEmail: alice.email } });
+  assert.equal(again.status, 409);
+  const outgoing = await api('GET', '/friends/requests/outgoing', { token: carol.token });
+  assert.deepEqual(outgoing.body.requests.map((r) => [r.receiver_id, r.status]), [[alice.id, 'rejected']]);
+  const stillIncoming = await api('GET', '/friends/requests', { token: alice.token });
+  assert.deepEqual(stillIncoming.body.requests, []);
+
+  const friendsAgain = await api('POST', '/friends/request', { token: alice.token, body: { receiverEmail: bob.email } });
+  assert.equal(friendsAgain.status, 409);
+});
+
+test('messages are delivered over sockets, deduplicated and receipted', async () => {
+  const aliceSocket = await openSocket(alice);
+  const bobSocket = await openSocket(bob);
+  // Rooms are joined asynchronously after connect; `sync` only answers once they are.
+  await aliceSocket.emitWithAck('sync', {});
+  await bobSocket.emitWithAck('sync', {});
+
+  const received = nextEvent(bobSocket, 'message');
+  const ack = await aliceSocket.emitWithAck('sendMessage', { conversationId, content: 'hello bob', clientId: 'c-1' });
+  assert.equal(ack.message.content, 'hello bob');
+  assert.equal((await received).id, ack.message.id);
+
+  const retry = await aliceSocket.emitWithAck('sendMessage', { conversationId, content: 'hello bob', clientId: 'c-1' });
+  assert.equal(retry.message.id, ack.message.id);
+
+  assert.deepEqual(await aliceSocket.emitWithAck('sendMessage', null), { error: 'invalid payload' });
+  ['join', 'typing:start', 'typing:stop', 'markRead', 'addReaction', 'editMessage', 'deleteMessage'].forEach((event) => aliceSocket.emit(event, null));
+  assert.equal((await aliceSocket.emitWithAck('sync', {})).error, undefined);
+
+  const reply = await api('POST', `/conversations/${conversationId}/messages`, {
+    token: bob.token,
+    body: { content: 'hi alice', replyToId: ack.message.id },
+  });
+  assert.equal(reply.status, 200);
+  assert.equal(reply.body.message.reply_to.id, ack.message.id);
+
+  const page = await api('GET', `/conversations/${conversationId}/messages`, { token: alice.token });
+  assert.deepEqual(page.body.messages.map((m) => m.content), ['hi alice', 'hello bob']);
+
+  await api('POST', `/conversations/${conversationId}/read`, { token: bob.token, body: { messageId: ack.message.id } });
+  const receipts = await api('GET', `/conversations/${conversationId}/receipts?messageIds=${ack.message.id}`, { token: alice.token });
+  assert.deepEqual(receipts.body.receipts.map((r) => r.status), ['read']);
+});
+
+test('blocking freezes the direct conversation', async () => {
+  const blocked = await api('POST', '/blocks', { token: bob.token, body: { userId: alice.id } });
+  assert.equal(blocked.status, 200);
+
+  const send = await api('POST', `/conversations/${conversationId}/messages`, { token: alice.token, body: { content: 'still there?' } });
+  assert.equal(send.status, 403);
+
+  const upload = await uploadFile(alice, conversationId, new Blob(['hello'], { type: 'text/plain' }), 'note.txt');
+  assert.equal(upload.status, 403);
+
+  const aliceSocket = await openSocket(alice);
+  const bobSocket = await openSocket(bob);
+  await aliceSocket.emitWithAck('sync', {});
+  await bobSocket.emitWithAck('sync', {});
+  let typingSeen = false;
+  bobSocket.on('typing', () => (typingSeen = true));
+  aliceSocket.emit('typing:start', { conversationId });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(typingSeen, false);
+
+  const search = await api('GET', '/users/search?q=bob', { token: alice.token });
+  assert.deepEqual(search.body.users, []);
+
+  await api('DELETE', `/blocks/${alice.id}`, { token: bob.token });
+  const after = await api('POST', `/conversations/${conversationId}/messages`, { token: alice.token, body: { content: 'back' } });
+  assert.equal(after.status, 200);
+});
+
+test('message history pages backwards and forwards from a cursor', async () => {
+  const ann = await signUp('Ann');
+  const ben = await signUp('Ben');
+  const convId = await befriend(ann, ben);
+  const sent = [];
+  for (const content of ['one', 'two', 'three', 'four', 'five']) sent.push((await send(ann, convId, content)).body.message);
+  const page = (query) => api('GET', `/conversations/${convId}/messages?${query}`, { token: ben.token });
+  const contents = (res) => res.body.messages.map((m) => m.content);
+
+  const latest = await page('limit=2');
+  assert.deepEqual([contents(latest), latest.body.hasMore], [['five', 'four'], true]);
+  const older = await page(`limit=2&before=${sent[3].id}`);
+  assert.deepEqual([contents(older), older.body.hasMore], [['three', 'two'], true]);
+  const oldest = await page(`limit=2&before=${sent[1].id}`);
+  assert.deepEqual([contents(oldest), oldest.body.hasMore], [['one'], false]);
+  // Pages after a cursor still come back newest first.
+  const newer = await page(`limit=2&after=${sent[0].id}`);
+  assert.deepEqual([contents(newer), newer.body.hasMore], [['three', 'two'], true]);
+
+  assert.equal((await page(`before=${sent[1].id}&after=${sent[0].id}`)).status, 400);
+  assert.equal((await page('before=not-a-cursor')).status, 400);
+  const elsewhere = await send(alice, conversationId, 'cursor from another chat');
+  assert.equal((await page(`before=${elsewhere.body.message.id}`)).status, 400);
+  const outsider = await api('GET', `/conversations/${convId}/messages`, { token: alice.token });
+  assert.equal(outsider.status, 403);
+});
+
+test('groups are made of friends, renamed by anyone and trimmed by their owner', async () => {
+  const gus = await signUp('Gus');
+  const hal = await signUp('Hal');
+  const ivy = await signUp('Ivy');
+  await befriend(gus, hal);
+  await befriend(gus, ivy);
+
+  const strangers = await api('POST', '/groups', { token: hal.token, body: { title: 'Trip', memberIds: [ivy.id] } });
+  assert.deepEqual([strangers.status, strangers.body.error], [400, 'members must be your friends']);
+  assert.equal((await api('POST', '/groups', { token: gus.token, body: { title: ' ', memberIds: [hal.id] } })).status, 400);
+
+  const halSocket = await openSocket(hal);
+  await halSocket.emitWithAck('sync', {});
+  const created = nextEvent(halSocket, 'groupUpdate');
+  const group = await api('POST', '/groups', { token: gus.token, body: { title: 'Trip', memberIds: [hal.id] } });
+  assert.equal(group.status, 200);
+  const groupId = group.body.conversation.id;
+  assert.deepEqual(await created, { conversationId: groupId, action: 'created' });
+
+  // The creator's new room reaches Hal without a reconnect.
+  const message = nextEvent(halSocket, 'message');
+  await send(gus, groupId, 'packing list?');
+  assert.equal((await message).content, 'packing list?');
+
+  const renamed = await api('PATCH', `/groups/${groupId}`, { token: hal.token, body: { title: 'Road trip' } });
+  assert.equal(renamed.status, 200);
+  assert.equal((await api('PATCH', `/groups/${groupId}`, { token: ivy.token, body: { title: 'Mine' } })).status, 403);
+  assert.equal((await api('GET', `/conversations/${groupId}/members`, { token: ivy.token })).status, 403);
+
+  // Only Gus is friends with Ivy, so only he can bring her in.
+  assert.equal((await api('POST', `/groups/${groupId}/members`, { token: hal.token, body: { userIds: [ivy.id] } })).status, 400);
+  assert.equal((await api('POST', `/groups/${groupId}/members`, { token: gus.token, body: { userIds: [ivy.id] } })).status, 200);
+  const members = await api('GET', `/conversations/${groupId}/members`, { token: ivy.token });
+  assert.deepEqual(members.body.members.map((m) => m.id).sort(), [gus.id, hal.id, ivy.id].sort());
+  const listed = await api('GET', '/conversations', { token: ivy.token });
+  assert.deepEqual(
+    listed.body.conversations.filter((c) => c.is_group).map((c) => [c.id, c.title]),
+    [[groupId, 'Road trip']]
+  );
+
+  assert.equal((await api('DELETE', `/groups/${groupId}/members/${ivy.id}`, { token: hal.token })).status, 403);
+  assert.equal((await api('DELETE', `/groups/${groupId}/members/${gus.id}`, { token: gus.token })).status, 400);
+  const removed = nextEvent(halSocket, 'groupUpdate');
+  assert.equal((await api('DELETE', `/groups/${groupId}/members/${ivy.id}`, { token: gus.token })).status, 200);
+  assert.deepEqual(await removed, { conversationId: groupId, action: 'memberRemoved', userId: ivy.id });
+  assert.equal((await send(ivy, groupId, 'still here?')).status, 403);
+
+  assert.equal((await api('POST', `/groups/${groupId}/leave`, { token: hal.token })).status, 200);
+  const left = await api('GET', `/conversations/${groupId}/members`, { token: gus.token });
+  assert.deepEqual(left.body.members.map((m) => m.id), [gus.id]);
+});
+
+test('senders can edit and delete their own messages', async () => {
+  const jo = await signUp('Jo');
+  const kai = await signUp('Kai');
+  const convId = await befriend(jo, kai);
+  const kaiSocket = await openSocket(kai);
+  await kaiSocket.emitWithAck('sync', {});
+  const { message } = (await send(jo, convId, 'see you at 5')).body;
+  const url = `/conversations/${convId}/messages/${message.id}`;
+
+  const edited = nextEvent(kaiSocket, 'messageUpdated');
+  const edit = await api('PATCH', url, { token: jo.token, body: { content: 'see you at 6' } });
+  assert.equal(edit.status, 200);
+  assert.ok(edit.body.message.edited_at);
+  assert.equal((await edited).content, 'see you at 6');
+  assert.equal((await api('PATCH', url, { token: jo.token, body: { content: ' ' } })).status, 400);
+  const notSender = await api('PATCH', url, { token: kai.token, body: { content: 'at 7' } });
+  assert.deepEqual([notSender.status, notSender.body.error], [403, 'only the sender can change this message']);
+  assert.equal((await api('DELETE', url, { token: kai.token })).status, 403);
+  // The message id has to belong to the conversation in the path.
+  const elsewhere = await api('PATCH', `/conversations/${conversationId}/messages/${message.id}`, { token: jo.token, body: { content: 'x' } });
+  assert.equal(elsewhere.status, 404);
+
+  const deleted = nextEvent(kaiSocket, 'messageUpdated');
+  const removal = await api('DELETE', url, { token: jo.token });
+  assert.equal(removal.status, 200);
+  const tombstone = await deleted;
+  assert.deepEqual([tombstone.id, tombstone.content, tombstone.deleted], [message.id, null, true]);
+  assert.equal((await api('DELETE', url, { token: jo.token })).status, 410);
+  assert.equal((await api('PATCH', url, { token: jo.token, body: { content: 'undo' } })).status, 410);
+
+  const history = await api('GET', `/conversations/${convId}/messages`, { token: kai.token });
+  assert.deepEqual(history.body.messages.map((m) => [m.id, m.content, m.deleted]), [[message.id, null, true]]);
+});
+
+test('receipts move from sent to delivered when the recipient connects, then to read', async () => {
+  const lea = await signUp('Lea');
+  const max = await signUp('Max');
+  const convId = await befriend(lea, max);
+  const leaSocket = await openSocket(lea);
+  await leaSocket.emitWithAck('sync', {});
+  const first = (await send(lea, convId, 'first')).body.message;
+  const second = (await send(lea, convId, 'second')).body.message;
+  assert.equal(first.status, 'sent');
+  const receipts = async () =>
+    (await api('GET', `/conversations/${convId}/receipts?messageIds=${first.id},${second.id}`, { token: lea.token })).body.receipts;
+  assert.deepEqual((await receipts()).map((r) => r.status), ['sent', 'sent']);
+
+  const delivered = nextEvent(leaSocket, 'receipts');
+  const maxSocket = await openSocket(max);
+  const update = await delivered;
+  assert.deepEqual([update.userId, update.status], [max.id, 'delivered']);
+  assert.deepEqual(update.updates.map((u) => u.status), ['delivered', 'delivered']);
+
+  // Reading up to the latest message reads everything before it too.
+  const read = nextEvent(leaSocket, 'receipts');
+  maxSocket.emit('markRead', { conversationId: convId, messageId: second.id });
+  assert.equal((await read).status, 'read');
+  const after = await receipts();
+  assert.deepEqual(after.map((r) => r.status), ['read', 'read']);
+  assert.deepEqual(after[0].recipients.map((r) => [r.user_id, !!r.delivered_at, !!r.read_at]), [[max.id, true, true]]);
+
+  // Receipts are only reported to the sender, and only inside the conversation.
+  assert.deepEqual((await api('GET', `/conversations/${convId}/receipts?messageIds=${first.id}`, { token: max.token })).body.receipts, []);
+  assert.equal((await api('GET', `/conversations/${convId}/receipts`, { token: alice.token })).status, 403);
+});
+
+test('typing indicators are relayed, stopped and expired by the server', async () => {
+  const ned = await signUp('Ned');
+  const oli = await signUp('Oli');
+  const convId = await befriend(ned, oli);
+  const nedSocket = await openSocket(ned);
+  const oliSocket = await openSocket(oli);
+  await nedSocket.emitWithAck('sync', {});
+  await oliSocket.emitWithAck('sync', {});
+  const typing = () => nextEvent(oliSocket, 'typing');
+
+  let seen = typing();
+  nedSocket.emit('typing:start', { conversationId: convId });
+  assert.deepEqual(await seen, { conversationId: convId, userId: ned.id, typing: true });
+  seen = typing();
+  nedSocket.emit('typing:stop', { conversationId: convId });
+  assert.equal((await seen).typing, false);
+
+  // A client that goes quiet is expired after TYPING_TIMEOUT_MS.
+  nedSocket.emit('typing:start', { conversationId: convId });
+  await typing();
+  const startedAt = Date.now();
+  seen = typing();
+  assert.equal((await seen).typing, false);
+  assert.ok(Date.now() - startedAt >= 200);
+
+  // So is one that disconnects mid-sentence.
+  nedSocket.emit('typing:start', { conversationId: convId });
+  await typing();
+  seen = typing();
+  nedSocket.disconnect();
+  assert.equal((await seen).typing, false);
+
+  // Typing into a conversation the socket is not in goes nowhere.
+  let leaked = false;
+  oliSocket.on('typing', () => (leaked = true));
+  const aliceSocket = await openSocket(alice);
+  aliceSocket.emit('typing:start', { conversationId: convId });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(leaked, false);
+});
+
+test('presence follows the last open tab and records when a friend was last seen', async () => {
+  const pia = await signUp('Pia');
+  const quin = await signUp('Quin');
+  await befriend(pia, quin);
+  const quinSocket = await openSocket(quin);
+  const updates = [];
+  quinSocket.on('presence', (update) => updates.push(update));
+  const friendRow = async () => (await api('GET', '/conversations', { token: quin.token })).body.conversations[0];
+  assert.equal((await friendRow()).other_user_online, false);
+
+  const online = nextEvent(quinSocket, 'presence');
+  const firstTab = await openSocket(pia);
+  assert.deepEqual(await online, { userId: pia.id, online: true, lastSeenAt: null });
+  const secondTab = await openSocket(pia);
+  await secondTab.emitWithAck('sync', {});
+  assert.equal((await friendRow()).other_user_online, true);
+
+  // Closing one of two tabs leaves Pia online.
+  firstTab.disconnect();
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(updates.length, 1);
+
+  const offline = nextEvent(quinSocket, 'presence');
+  secondTab.disconnect();
+  const left = await offline;
+  assert.deepEqual([left.userId, left.online], [pia.id, false]);
+  assert.ok(left.lastSeenAt);
+  const row = await friendRow();
+  assert.equal(row.other_user_online, false);
+  assert.ok(row.other_user_last_seen_at);
+});
+
+test('conversations are ordered by last activity with a preview and unread count', async () => {
+  const rae = await signUp('Rae');
+  const sam = await signUp('Sam');
+  const tom = await signUp('Tom');
+  const withSam = await befriend(rae, sam);
+  const withTom = await befriend(rae, tom);
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+  const listed = async () =>
+    (await api('GET', '/conversations', { token: rae.token })).body.conversations.map((c) => [
+      c.id,
+      c.unread_count,
+      c.last_message && c.last_message.content,
+    ]);
+  assert.deepEqual(await listed(), [[withTom, 0, null], [withSam, 0, null]]);
+
+  await tick();
+  await send(sam, withSam, 'ping');
+  await tick();
+  const latest = (await send(sam, withSam, 'x'.repeat(200))).body.message;
+  assert.deepEqual(await listed(), [[withSam, 2, 'x'.repeat(120)], [withTom, 0, null]]);
+
+  await tick();
+  await send(tom, withTom, 'hey');
+  await tick();
+  await send(rae, withTom, 'hi');
+  // Replying reads what came before it.
+  assert.deepEqual(await listed(), [[withTom, 0, 'hi'], [withSam, 2, 'x'.repeat(120)]]);
+
+  const raeSocket = await openSocket(rae);
+  const read = nextEvent(raeSocket, 'conversationRead');
+  await api('POST', `/conversations/${withSam}/read`, { token: rae.token, body: { messageId: latest.id } });
+  assert.deepEqual(await read, { conversationId: withSam, messageId: latest.id });
+  assert.deepEqual((await listed())[1], [withSam, 0, 'x'.repeat(120)]);
+
+  // A deleted message is neither previewed nor counted.
+  await tick();
+  const oops = (await send(tom, withTom, 'oops')).body.message;
+  assert.deepEqual((await listed())[0], [withTom, 1, 'oops']);
+  await api('DELETE', `/conversations/${withTom}/messages/${oops.id}`, { token: tom.token });
+  const [top] = (await api('GET', '/conversations', { token: rae.token })).body.conversations;
+  assert.deepEqual([top.id, top.unread_count, top.last_message.content, top.last_message.deleted], [withTom, 0, null, true]);
+});
+
+test('message search only covers the caller\'s conversations and honours its filters', async () => {
+  const uma = await signUp('Uma');
+  const vic = await signUp('Vic');
+  const wes = await signUp('Wes');
+  const convId = await befriend(uma, vic);
+  const hidden = await befriend(vic, wes);
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+  await send(uma, convId, 'Lunch at noon?');
+  await tick();
+  await send(vic, convId, 'noon works, lunch is on me');
+  await tick();
+  const gone = (await send(uma, convId, 'lunch lunch lunch')).body.message;
+  await api('DELETE', `/conversations/${convId}/messages/${gone.id}`, { token: uma.token });
+  await send(wes, hidden, 'secret lunch plans');
+  const search = async (query) => (await api('GET', `/messages/search?${query}`, { token: uma.token })).body;
+
+  const found = await search('q=lunch');
+  assert.deepEqual(
+    found.results.map((r) => [r.sender_id, r.conversation_id, r.conversation_name, r.snippet]),
+    [
+      [vic.id, convId, 'Vic', 'noon works, <mark>lunch</mark> is on me'],
+      [uma.id, convId, 'Vic', '<mark>Lunch</mark> at noon?'],
+    ]
+  );
+  // Every word has to be present.
+  assert.deepEqual((await search('q=lunch%20me')).results.map((r) => r.sender_id), [vic.id]);
+  assert.deepEqual((await search(`q=lunch&senderId=${uma.id}`)).results.map((r) => r.sender_id), [uma.id]);
+  assert.deepEqual((await search(`q=lunch&conversationId=${hidden}`)).results, []);
+
+  const firstPage = await search('q=noon&limit=1');
+  assert.deepEqual([firstPage.results.length, firstPage.hasMore, firstPage.nextOffset], [1, true, 1]);
+  const secondPage = await search('q=noon&limit=1&offset=1');
+  assert.deepEqual([secondPage.results[0].sender_id, secondPage.hasMore], [uma.id, false]);
+
+  assert.equal((await api('GET', '/messages/search?q=', { token: uma.token })).status, 400);
+  assert.equal((await api('GET', '/messages/search?q=lunch&from=someday', { token: uma.token })).status, 400);
+});
+
+test('attachments are checked on upload, sent once and only served to members', async () => {
+  const xia = await signUp('Xia');
+  const yan = await signUp('Yan');
+  const convId = await befriend(xia, yan);
+  const download = (user, url) => fetch(baseUrl + url, { headers: { Authorization: `Bearer ${user.token}` } });
+
+  const png = await sharp({ create: { width: 800, height: 400, channels: 3, background: '#0b2' } }).png().toBuffer();
+  const image = await uploadFile(xia, convId, new Blob([png], { type: 'image/png' }), 'map.png');
+  assert.equal(image.status, 200);
+  assert.deepEqual(
+    [image.body.attachment.message_id, image.body.attachment.width, image.body.attachment.height, image.body.attachment.has_thumbnail],
+    [null, 800, 400, true]
+  );
+  const note = await uploadFile(xia, convId, new Blob(['bring snacks'], { type: 'text/plain' }), 'note.txt');
+  const ids = [image.body.attachment.id, note.body.attachment.id];
+
+  assert.equal((await uploadFile(xia, convId, new Blob(['MZ'], { type: 'application/x-msdownload' }), 'a.exe')).status, 415);
+  assert.equal((await uploadFile(xia, convId, new Blob(['not a png'], { type: 'image/png' }), 'fake.png')).status, 415);
+  assert.equal((await uploadFile(xia, convId, new Blob([Buffer.alloc(65 * 1024)], { type: 'text/plain' }), 'big.txt')).status, 413);
+  assert.equal((await uploadFile(alice, convId, new Blob(['hi'], { type: 'text/plain' }), 'hi.txt')).status, 403);
+
+  // Until it is sent, an upload belongs to its uploader alone.
+  assert.equal((await download(yan, `/attachments/${ids[1]}`)).status, 404);
+  const sent = await send(xia, convId, '', { attachmentIds: ids });
+  assert.equal(sent.status, 200);
+  assert.deepEqual(sent.body.message.attachments.map((a) => a.filename), ['map.png', 'note.txt']);
+  assert.equal((await send(xia, convId, 'again', { attachmentIds: [ids[1]] })).status, 400);
+  const stolen = await uploadFile(yan, convId, new Blob(['mine'], { type: 'text/plain' }), 'mine.txt');
+  assert.equal((await send(xia, convId, 'yours', { attachmentIds: [stolen.body.attachment.id] })).status, 400);
+
+  const file = await download(yan, `/attachments/${ids[1]}`);
+  assert.equal(file.status, 200);
+  assert.match(file.headers.get('content-disposition'), /^attachment; filename\*=UTF-8''note\.txt$/);
+  assert.equal(await file.text(), 'bring snacks');
+  const thumbnail = await download(yan, `/attachments/${ids[0]}/thumbnail`);
+  assert.equal(thumbnail.headers.get('content-type'), 'image/webp');
+  const { width } = await sharp(Buffer.from(await thumbnail.arrayBuffer())).metadata();
+  assert.ok(width < 800);
+  assert.equal((await download(alice, `/attachments/${ids[1]}`)).status, 403);
+
+  // Deleting the message deletes its files.
+  await api('DELETE', `/conversations/${convId}/messages/${sent.body.message.id}`, { token: xia.token });
+  assert.equal((await download(xia, `/attachments/${ids[1]}`)).status, 404);
+
+  // Unfriending deletes the chat, and with it every file still in it: a sent one, its thumbnail and an unsent one.
+  const uploaded = () =>
+    fs
+      .readdirSync(path.join(tmpDir, 'uploads', 'attachments'), { recursive: true, withFileTypes: true })
+      .filter((entry) => entry.isFile())
+      .map((entry) => path.join(entry.parentPath, entry.name));
+  const again = await uploadFile(xia, convId, new Blob([png], { type: 'image/png' }), 'map.png');
+  await send(xia, convId, 'the map again', { attachmentIds: [again.body.attachment.id] });
+  const before = uploaded();
+  assert.equal((await api('POST', '/friends/remove', { token: xia.token, body: { friendId: yan.id } })).status, 200);
+  assert.equal(before.length - uploaded().length, 3);
+  assert.ok(uploaded().every((file) => before.includes(file)));
+});
+
+test('reactions are aggregated per emoji and broadcast to the conversation', async () => {
+  const zoe = await signUp('Zoe');
+  const abe = await signUp('Abe');
+  const convId = await befriend(zoe, abe);
+  const abeSocket = await openSocket(abe);
+  await abeSocket.emitWithAck('sync', {});
+  const { message } = (await send(abe, convId, 'we won')).body;
+  const url = `/conversations/${convId}/messages/${message.id}/reactions`;
+  const summary = (reactions) => reactions.map((r) => [r.emoji, r.count, r.users.map((u) => u.id)]);
+
+  const broadcast = nextEvent(abeSocket, 'reactionUpdate');
+  const added = await api('POST', url, { token: zoe.token, body: { emoji: '🎉' } });
+  assert.deepEqual(summary(added.body.reactions), [['🎉', 1, [zoe.id]]]);
+  const update = await broadcast;
+  assert.deepEqual([update.conversationId, update.messageId, summary(update.reactions)], [convId, message.id, [['🎉', 1, [zoe.id]]]]);
+
+  // Reacting twice with the same emoji changes nothing; socket and REST reactions land in the same place.
+  await api('POST', url, { token: zoe.token, body: { emoji: '🎉' } });
+  abeSocket.emit('addReaction', { messageId: message.id, emoji: '🎉' });
+  await nextEvent(abeSocket, 'reactionUpdate');
+  await api('POST', url, { token: abe.token, body: { emoji: '👍' } });
+  const history = await api('GET', `/conversations/${convId}/messages`, { token: zoe.token });
+  assert.deepEqual(summary(history.body.messages[0].reactions), [['🎉', 2, [zoe.id, abe.id]], ['👍', 1, [abe.id]]]);
+
+  const removed = await api('DELETE', `${url}/${encodeURIComponent('🎉')}`, { token: zoe.token });
+  assert.deepEqual(summary(removed.body.reactions), [['🎉', 1, [abe.id]], ['👍', 1, [abe.id]]]);
+
+  for (const emoji of ['', 'ok', '🎉 🎉', '🎉'.repeat(20)]) {
+    assert.equal((await api('POST', url, { token: zoe.token, body: { emoji } })).status, 400, `"${emoji}" is refused`);
+  }
+  assert.equal((await api('POST', url, { token: alice.token, body: { emoji: '🎉' } })).status, 403);
+  await api('DELETE', `/conversations/${convId}/messages/${message.id}`, { token: abe.token });
+  assert.equal((await api('POST', url, { token: zoe.token, body: { emoji: '🎉' } })).status, 410);
+});
+
+test('replies quote a short preview of a message from the same conversation', async () => {
+  const bea = await signUp('Bea');
+  const cal = await signUp('Cal');
+  const convId = await befriend(bea, cal);
+  const original = (await send(bea, convId, `${'a'.repeat(140)}and the rest`)).body.message;
+
+  const reply = await send(cal, convId, 'agreed', { replyToId: original.id });
+  assert.deepEqual(reply.body.message.reply_to, {
+    id: original.id,
+    sender_id: bea.id,
+    sender_name: 'Bea',
+    content: 'a'.repeat(140),
+    deleted: false,
+    has_attachments: false,
+  });
+
+  const elsewhere = (await send(alice, conversationId, 'other chat')).body.message;
+  const crossed = await send(cal, convId, 'nope', { replyToId: elsewhere.id });
+  assert.deepEqual([crossed.status, crossed.body.error], [400, 'reply target must be in the same conversation']);
+  assert.equal((await send(cal, convId, 'nope', { replyToId: 'first' })).status, 400);
+
+  // Deleting the original blanks the quote but keeps the reply pointing at it.
+  await api('DELETE', `/conversations/${convId}/messages/${original.id}`, { token: bea.token });
+  const history = await api('GET', `/conversations/${convId}/messages`, { token: bea.token });
+  const quoted = history.body.messages.find((m) => m.id === reply.body.message.id).reply_to;
+  assert.deepEqual([quoted.id, quoted.content, quoted.deleted], [original.id, null, true]);
+});
+
+test('retries with the same clientId store one message however they arrive', async () => {
+  const dee = await signUp('Dee');
+  const eli = await signUp('Eli');
+  const convId = await befriend(dee, eli);
+  const deeSocket = await openSocket(dee);
+  await deeSocket.emitWithAck('sync', {});
+  const payload = { conversationId: convId, content: 'on my way', clientId: 'retry-1' };
+
+  // Concurrent retries race each other into the store; the losers get the winner's row back.
+  const results = await Promise.all([
+    deeSocket.emitWithAck('sendMessage', payload),
+    deeSocket.emitWithAck('sendMessage', payload),
+    send(dee, convId, 'on my way', { clientId: 'retry-1' }).then((res) => res.body),
+    send(dee, convId, 'on my way', { clientId: 'retry-1' }).then((res) => res.body),
+  ]);
+  const ids = new Set(results.map((r) => r.message.id));
+  assert.equal(ids.size, 1);
+
+  // A late retry after an edit hands back the edited message rather than resurrecting the original.
+  const [id] = ids;
+  await api('PATCH', `/conversations/${convId}/messages/${id}`, { token: dee.token, body: { content: 'running late' } });
+  const late = await deeSocket.emitWithAck('sendMessage', payload);
+  assert.deepEqual([late.message.id, late.message.content], [id, 'running late']);
+  const history = await api('GET', `/conversations/${convId}/messages`, { token: eli.token });
+  assert.deepEqual(history.body.messages.map((m) => m.id), [id]);
+
+  // Client ids are per sender, and never reused across conversations.
+  const fromEli = await send(eli, convId, 'same id, other sender', { clientId: 'retry-1' });
+  assert.notEqual(fromEli.body.message.id, id);
+  const moved = await send(dee, conversationId, 'on my way', { clientId: 'retry-1' });
+  assert.equal(moved.status, 403);
+  const other = await befriend(dee, await signUp('Fay'));
+  const reused = await send(dee, other, 'on my way', { clientId: 'retry-1' });
+  assert.deepEqual([reused.status, reused.body.error], [409, 'clientId already used in another conversation']);
+  assert.equal((await send(dee, convId, 'bad id', { clientId: 'has spaces' })).status, 400);
+  assert.equal((await send(dee, convId, 'bad id', { clientId: 'x'.repeat(65) })).status, 400);
+});
+
+// The outbox itself lives in the browser; this covers what its flush relies on from the server.
+test('an outbox flushed after a reconnect is sent in order, once, and told when to back off', async () => {
+  const gil = await signUp('Gil');
+  const hugo = await signUp('Hugo');
+  const convId = await befriend(gil, hugo);
+  const hugoSocket = await openSocket(hugo);
+  await hugoSocket.emitWithAck('sync', {});
+  const arrived = [];
+  hugoSocket.on('message', (m) => arrived.push(m.content));
+
+  // The first entry got through just before the connection dropped, so the client still has it queued.
+  const dropped = await openSocket(gil);
+  await dropped.emitWithAck('sendMessage', { conversationId: convId, content: 'queued 0', clientId: 'outbox-0' });
+  dropped.disconnect();
+
+  const reconnected = await openSocket(gil);
+  const acks = [];
+  for (let i = 0; i < 32; i += 1) {
+    acks.push(await reconnected.emitWithAck('sendMessage', { conversationId: convId, content: `queued ${i}`, clientId: `outbox-${i}` }));
+  }
+  // Every send counts towards the default 30 per 10 seconds, the replayed one included.
+  const sent = acks.filter((a) => a.message);
+  assert.equal(sent.length, 29);
+  assert.deepEqual(sent.map((a) => a.message.content), Array.from({ length: 29 }, (_, i) => `queued ${i}`));
+  assert.deepEqual(
+    sent.map((a) => Number(a.message.id)),
+    sent.map((a) => Number(a.message.id)).sort((x, y) => x - y)
+  );
+  const throttled = acks[29];
+  assert.equal(throttled.error, 'Too many messages, please slow down');
+  assert.ok(throttled.retryAfter > 0);
+
+  await hugoSocket.emitWithAck('sync', {});
+  assert.deepEqual(arrived, Array.from({ length: 29 }, (_, i) => `queued ${i}`));
+
+  // A rejection without retryAfter tells the client that resending unchanged will not help.
+  const rejected = await hugoSocket.emitWithAck('sendMessage', { conversationId: convId, content: ' ', clientId: 'outbox-empty' });
+  assert.deepEqual(rejected, { error: 'content required' });
+});
+
+test('sync replays what a reconnecting client missed, or asks it to refetch a wide gap', async () => {
+  const ida = await signUp('Ida');
+  const jay = await signUp('Jay');
+  const kit = await signUp('Kit');
+  const withJay = await befriend(jay, ida);
+  const withKit = await befriend(kit, ida);
+  const seen = (await send(jay, withJay, 'before the tunnel')).body.message;
+  const seenFromKit = (await send(kit, withKit, 'ping')).body.message;
+  const idaSocket = await openSocket(ida);
+  const first = await idaSocket.emitWithAck('sync', {});
+  idaSocket.disconnect();
+
+  await send(jay, withJay, 'missed one');
+  await send(jay, withJay, 'missed two');
+  await api('PATCH', `/conversations/${withJay}/messages/${seen.id}`, { token: jay.token, body: { content: 'before the bridge' } });
+  // More than a sync will replay, written straight to the store to stay clear of the send rate limit.
+  for (let i = 0; i < 101; i += 1) {
+    await instance.store.insertMessage({ conversationId: withKit, senderId: kit.id, content: `flood ${i}`, replyToId: null, clientId: null, attachmentIds: [] });
+  }
+  const lou = await signUp('Lou');
+  await api('POST', '/friends/request', { token: lou.token, body: { receiverEmail: ida.email } });
+
+  const back = await openSocket(ida);
+  const cursors = { [withJay]: seen.id, [withKit]: seenFromKit.id };
+  const caughtUp = await back.emitWithAck('sync', { cursors, since: first.syncedAt });
+  const fromJay = caughtUp.conversations.find((c) => c.conversationId === withJay);
+  assert.deepEqual(fromJay.messages.map((m) => m.content), ['missed one', 'missed two']);
+  assert.deepEqual(fromJay.updated.map((m) => [m.id, m.content]), [[seen.id, 'before the bridge']]);
+  assert.deepEqual(caughtUp.conversations.find((c) => c.conversationId === withKit), { conversationId: withKit, refetch: true });
+  assert.deepEqual(caughtUp.friendRequests.map((r) => r.requester_id), [lou.id]);
+
+  // Syncing again from where that left off has nothing new to say.
+  const latest = fromJay.messages[1].id;
+  const again = await back.emitWithAck('sync', { cursors: { [withJay]: latest }, since: caughtUp.syncedAt });
+  assert.deepEqual(again.conversations, []);
+  // Conversations without a cursor are left alone.
+  assert.deepEqual((await back.emitWithAck('sync', { since: first.syncedAt })).conversations, []);
+});
+
+test('sessions can be listed and revoked one at a time, which also ends their sockets', async () => {
+  const mia = await signUp('Mia');
+  const laptop = (await api('POST', '/login', { body: { email: mia.email, password: 'correct horse' } })).body;
+  const listed = await api('GET', '/sessions', { token: mia.token });
+  assert.equal(listed.body.sessions.length, 2);
+  const current = listed.body.sessions.find((s) => s.current);
+  const other = listed.body.sessions.find((s) => !s.current);
+
+  const socket = await openSocket({ token: laptop.token });
+  const revoked = nextEvent(socket, 'sessionRevoked');
+  const disconnected = nextEvent(socket, 'disconnect');
+  assert.equal((await api('DELETE', `/sessions/${other.id}`, { token: mia.token })).status, 200);
+  assert.deepEqual(await revoked, { sessionId: other.id });
+  await disconnected;
+  assert.equal((await api('GET', '/me', { token: laptop.token })).status, 401);
+  assert.equal((await api('POST', '/auth/refresh', { body: { refreshToken: laptop.refreshToken } })).status, 401);
+  assert.deepEqual((await api('GET', '/sessions', { token: mia.token })).body.sessions.map((s) => s.id), [current.id]);
+
+  // Someone else's session id is as good as unknown.
+  assert.equal((await api('DELETE', `/sessions/${current.id}`, { token: alice.token })).status, 404);
+
+  assert.equal((await api('POST', '/logout', { token: mia.token })).status, 200);
+  assert.equal((await api('GET', '/me', { token: mia.token })).status, 401);
+  assert.equal((await api('POST', '/auth/refresh', { body: { refreshToken: mia.refreshToken } })).status, 401);
+});
+
+test('passwords can be reset by mailed link or changed with the current one', async () => {
+  const nia = await signUp('Nia');
+  const mailCount = () => fs.readdirSync(outboxDir).length;
+  const login = (password) => api('POST', '/login', { body: { email: nia.email, password } });
+
+  const before = mailCount();
+  assert.equal((await api('POST', '/auth/forgot-password', { body: { email: 'nobody@example.com' } })).status, 200);
+  assert.equal(mailCount(), before, 'unknown addresses get the same answer and no mail');
+
+  await api('POST', '/auth/forgot-password', { body: { email: nia.email } });
+  const stale = mailedToken(nia.email, 'reset-password');
+  await api('POST', '/auth/forgot-password', { body: { email: nia.email } });
+  const token = mailedToken(nia.email, 'reset-password');
+  assert.equal((await api('POST', '/auth/reset-password', { body: { token: stale, password: 'new horse battery' } })).status, 400);
+  assert.equal((await api('POST', '/auth/reset-password', { body: { token, password: 'short' } })).status, 400);
+
+  assert.equal((await api('POST', '/auth/reset-password', { body: { token, password: 'new horse battery' } })).status, 200);
+  assert.equal((await api('POST', '/auth/reset-password', { body: { token, password: 'another horse' } })).status, 400);
+  assert.equal((await api('GET', '/me', { token: nia.token })).status, 401, 'the reset signed out every session');
+  assert.equal((await login('correct horse')).status, 401);
+  const phone = (await login('new horse battery')).body;
+  const laptop = (await login('new horse battery')).body;
+
+  const wrong = await api('POST', '/auth/change-password', { token: phone.token, body: { currentPassword: 'nope', newPassword: 'third horse' } });
+  assert.equal(wrong.status, 403);
+  const changed = await api('POST', '/auth/change-password', {
+    token: phone.token,
+    body: { currentPassword: 'new horse battery', newPassword: 'third horse' },
+  });
+  assert.equal(changed.status, 200);
+  // Only the other devices are signed out.
+  assert.equal((await api('GET', '/me', { token: phone.token })).status, 200);
+  assert.equal((await api('GET', '/me', { token: laptop.token })).status, 401);
+  assert.equal((await login('third horse')).status, 200);
+});
+
+test('an unverified account can neither send friend requests nor be found until it is verified', async () => {
+  const signup = await api('POST', '/signup', { body: { name: 'Otto', email: 'otto@example.com', password: 'correct horse' } });
+  const otto = { ...signup.body.user, token: signup.body.token };
+
+  const request = await api('POST', '/friends/request', { token: otto.token, body: { receiverEmail: alice.email } });
+  assert.deepEqual([request.status, request.body.code], [403, 'EMAIL_NOT_VERIFIED']);
+  assert.deepEqual((await api('GET', '/users/search?q=otto', { token: alice.token })).body.users, []);
+  assert.equal((await api('POST', '/friends/request', { token: alice.token, body: { receiverEmail: otto.email } })).status, 404);
+
+  assert.equal((await api('POST', '/auth/resend-verification', { token: otto.token })).status, 200);
+  const token = mailedToken(otto.email);
+  const socket = await openSocket(otto);
+  const updated = nextEvent(socket, 'accountUpdate');
+  assert.equal((await api('POST', '/auth/verify-email', { body: { token } })).status, 200);
+  assert.deepEqual(await updated, { email_verified: true });
+  assert.equal((await api('POST', '/auth/verify-email', { body: { token } })).status, 400, 'links are single use');
+  assert.equal((await api('POST', '/auth/resend-verification', { token: otto.token })).status, 409);
+
+  assert.equal((await api('GET', '/me', { token: otto.token })).body.email_verified, true);
+  assert.deepEqual((await api('GET', '/users/search?q=otto', { token: alice.token })).body.users.map((u) => u.id), [otto.id]);
+});
+
+test('signups are rate limited per IP and repeated failed logins lock the account', async () => {
+  const config = loadConfig({
+    UPLOAD_DIR: path.join(tmpDir, 'limited-uploads'),
+    MAIL_OUTBOX_DIR: path.join(tmpDir, 'limited-mail'),
+    RATE_LIMIT_SIGNUP: '2/1h',
+    LOGIN_LOCKOUT_THRESHOLD: '3',
+  });
+  const limited = createApp({ store: createStore({ driver: 'memory' }), config });
+  await new Promise((resolve) => limited.server.listen(0, resolve));
+  const post = async (url, body) => {
+    const res = await fetch(`http://localhost:${limited.server.address().port}${url}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, retryAfter: res.headers.get('retry-after'), body: await res.json() };
+  };
+  const signup = (name) => post('/signup', { name, email: `${name}@example.com`, password: 'correct horse' });
+  const login = (name, password) => post('/login', { email: `${name}@example.com`, password });
+
+  try {
+    assert.equal((await signup('pam')).status, 200);
+    assert.equal((await signup('ray')).status, 200);
+    const third = await signup('sol');
+    assert.equal(third.status, 429);
+    assert.ok(Number(third.retryAfter) > 0);
+    assert.equal(third.body.retryAfter, Number(third.retryAfter));
+
+    // A successful login starts the count of failures over.
+    await login('ray', 'nope');
+    await login('ray', 'nope');
+    assert.equal((await login('ray', 'correct horse')).status, 200);
+    await login('ray', 'nope');
+    assert.equal((await login('ray', 'correct horse')).status, 200);
+
+    for (let i = 0; i < 3; i += 1) assert.equal((await login('pam', 'nope')).status, 401);
+    const locked = await login('pam', 'correct horse');
+    assert.equal(locked.status, 429);
+    assert.ok(locked.body.retryAfter > 0);
+    // Addresses without an account lock the same way, so a lockout reveals nothing.
+    for (let i = 0; i < 3; i += 1) await login('nobody', 'nope');
+    assert.equal((await login('nobody', 'nope')).status, 429);
+    assert.equal((await login('ray', 'correct horse')).status, 200);
+  } finally {
+    await new Promise((resolve) => limited.io.close(resolve));
+  }
+});
+
+test('blocking drops pending requests but leaves rejected ones rejected', async () => {
+  const tia = await signUp('Tia');
+  const uli = await signUp('Uli');
+  const val = await signUp('Val');
+  const request = (from, to) => api('POST', '/friends/request', { token: from.token, body: { receiverEmail: to.email } });
+  const outgoing = async (user) =>
+    (await api('GET', '/friends/requests/outgoing', { token: user.token })).body.requests.map((r) => [r.receiver_id, r.status]);
+  const incoming = async (user) => (await api('GET', '/friends/requests', { token: user.token })).body.requests.map((r) => r.requester_id);
+
+  await request(uli, tia);
+  const [fromUli] = (await api('GET', '/friends/requests', { token: tia.token })).body.requests;
+  await api('POST', '/friends/respond', { token: tia.token, body: { requestId: fromUli.id, action: 'reject' } });
+  await request(val, tia);
+
+  await api('POST', '/blocks', { token: tia.token, body: { userId: uli.id } });
+  await api('POST', '/blocks', { token: tia.token, body: { userId: val.id } });
+  assert.deepEqual(await outgoing(uli), [[tia.id, 'rejected']]);
+  assert.deepEqual(await outgoing(val), []);
+  assert.deepEqual(await incoming(tia), []);
+
+  // While blocked, the blocked side cannot tell Tia exists and Tia has to unblock first.
+  const fromBlocked = await request(uli, tia);
+  assert.deepEqual([fromBlocked.status, fromBlocked.body.error], [404, 'User not found']);
+  const toBlocked = await request(tia, uli);
+  assert.deepEqual([toBlocked.status, toBlocked.body.error], [409, 'Unblock this user first']);
+
+  // Unblocking does not turn the rejection back into a request.
+  await api('DELETE', `/blocks/${uli.id}`, { token: tia.token });
+  await api('DELETE', `/blocks/${val.id}`, { token: tia.token });
+  const again = await request(uli, tia);
+  assert.deepEqual([again.status, again.body.error], [409, 'This user declined your request']);
+  assert.deepEqual(await incoming(tia), []);
+  // The dropped pending request can simply be sent again.
+  assert.equal((await request(val, tia)).status, 200);
+  assert.deepEqual(await incoming(tia), [val.id]);
+  assert.equal((await api('DELETE', '/blocks/uli', { token: tia.token })).status, 400);
+});
+
+test('outgoing requests list their status and can be withdrawn or cleared', async () => {
+  const wyn = await signUp('Wyn');
+  const xan = await signUp('Xan');
+  const yul = await signUp('Yul');
+  const zed = await signUp('Zed');
+  const request = (from, to) => api('POST', '/friends/request', { token: from.token, body: { receiverEmail: to.email } });
+  const outgoing = async () => (await api('GET', '/friends/requests/outgoing', { token: wyn.token })).body.requests;
+  const respond = async (user, action) => {
+    const [incoming] = (await api('GET', '/friends/requests', { token: user.token })).body.requests;
+    await api('POST', '/friends/respond', { token: user.token, body: { requestId: incoming.id, action } });
+    return incoming.id;
+  };
+
+  await request(wyn, xan);
+  await request(wyn, yul);
+  await request(wyn, zed);
+  await respond(yul, 'reject');
+  const accepted = await respond(zed, 'accept');
+  // Newest first, and accepted requests have moved to the friend list.
+  const listed = await outgoing();
+  assert.deepEqual(listed.map((r) => [r.receiver_id, r.name, r.status]), [[yul.id, 'Yul', 'rejected'], [xan.id, 'Xan', 'pending']]);
+  const [toYul, toXan] = listed;
+
+  const xanSocket = await openSocket(xan);
+  const told = nextEvent(xanSocket, 'friendUpdate');
+  assert.equal((await api('DELETE', `/friends/requests/${toXan.id}`, { token: wyn.token })).status, 200);
+  await told;
+  assert.deepEqual((await api('GET', '/friends/requests', { token: xan.token })).body.requests, []);
+  assert.equal((await api('DELETE', `/friends/requests/${toXan.id}`, { token: wyn.token })).status, 404);
+
+  // Only the sender can withdraw, and an accepted request is a friendship, not something to cancel.
+  assert.equal((await api('DELETE', `/friends/requests/${toYul.id}`, { token: yul.token })).status, 404);
+  assert.equal((await api('DELETE', `/friends/requests/${accepted}`, { token: wyn.token })).status, 404);
+  assert.equal((await api('GET', '/conversations', { token: wyn.token })).body.conversations[0].other_user_id, zed.id);
+
+  // Clearing a rejection only hides it from the sender; the receiver's answer still stands.
+  assert.equal((await api('DELETE', `/friends/requests/${toYul.id}`, { token: wyn.token })).status, 200);
+  assert.deepEqual(await outgoing(), []);
+  assert.equal((await api('DELETE', `/friends/requests/${toYul.id}`, { token: wyn.token })).status, 404);
+  const again = await request(wyn, yul);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, 'This user declined your request');
+  assert.deepEqual((await api('GET', '/friends/requests', { token: yul.token })).body.requests, []);
+  assert.equal((await api('DELETE', '/friends/requests/first', { token: wyn.token })).status, 400);
+});
+
+test('an avatar is stored in every size or not at all', async (t) => {
+  const ada = await signUp('Ada');
+  const avatarsDir = path.join(tmpDir, 'uploads', 'avatars', String(ada.id));
+  const png = await sharp({ create: { width: 300, height: 200, channels: 3, background: '#b20' } }).png().toBuffer();
+  const setAvatar = async () => {
+    const form = new FormData();
+    form.append('avatar', new Blob([png], { type: 'image/png' }), 'me.png');
+    const res = await fetch(`${baseUrl}/me`, { method: 'PATCH', headers: { Authorization: `Bearer ${ada.token}` }, body: form });
+    return { status: res.status, body: await res.json().catch(() => null) };
+  };
+
+  const first = await setAvatar();
+  assert.equal(first.status, 200);
+  const avatarId = first.body.user.avatar_id;
+  assert.deepEqual(fs.readdirSync(avatarsDir).sort(), [`${avatarId}-256.webp`, `${avatarId}-64.webp`]);
+
+  // Writing the second size fails: the first is removed again and the old avatar stays.
+  const writeFile = fs.promises.writeFile;
+  let writes = 0;
+  t.mock.method(fs.promises, 'writeFile', (...args) => (++writes === 2 ? Promise.reject(new Error('disk full')) : writeFile(...args)));
+  assert.notEqual((await setAvatar()).status, 200);
+  t.mock.restoreAll();
+  assert.equal(writes, 2);
+  assert.deepEqual(fs.readdirSync(avatarsDir).sort(), [`${avatarId}-256.webp`, `${avatarId}-64.webp`]);
+  assert.equal((await api('GET', '/me', { token: ada.token })).body.avatar_id, avatarId);
+});
+
+test('data exports build a downloadable archive in the background', async () => {
+  const started = await api('POST', '/me/exports', { token: alice.token });
+  assert.equal(started.status, 202);
+
+  let job = started.body.export;
+  for (let i = 0; i < 50 && !['ready', 'failed'].includes(job.status); i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    job = (await api('GET', '/me/exports', { token: alice.token })).body.exports[0];
+  }
+  assert.equal(job.status, 'ready');
+  assert.equal(job.progress, 100);
+
+  const download = await fetch(baseUrl + job.download_url);
+  assert.equal(download.status, 200);
+  assert.equal(download.headers.get('content-type'), 'application/zip');
+  // Entry names are stored uncompressed in the zip's central directory.
+  const archive = Buffer.from(await download.arrayBuffer());
+  assert.equal(job.size, archive.length);
+  ['profile.json', 'friends.json', 'friend_requests.json', 'index.html', `conversations/${conversationId}.json`].forEach((name) => {
+    assert.ok(archive.includes(name), `${name} is in the archive`);
+  });
+
+  const forged = await fetch(`${baseUrl}/exports/${job.id}/download?token=${alice.token}`);
+  assert.equal(forged.status, 403);
+});
+
+test('exports left pending by a stopped server are built by the next one, and a failed one stays failed', async () => {
+  const ora = await signUp('Ora');
+  // Nothing in this process is building it, as if the server that accepted it had gone away.
+  const left = await instance.store.createDataExport(ora.id);
+  const restarted = createApp({
+    store: instance.store,
+    config: loadConfig({ UPLOAD_DIR: path.join(tmpDir, 'uploads'), MAIL_OUTBOX_DIR: outboxDir }),
+  });
+
+  let job = null;
+  for (let i = 0; i < 50 && job?.status !== 'ready'; i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    job = (await api('GET', '/me/exports', { token: ora.token })).body.exports[0];
+  }
+  assert.deepEqual([job.id, job.status], [left.id, 'ready']);
+  assert.equal((await fetch(baseUrl + job.download_url)).status, 200);
+  await new Promise((resolve) => restarted.server.listen(0, resolve));
+  await new Promise((resolve) => restarted.io.close(resolve));
+
+  // A run only writes to a job that is still running, so one the sweep gave up on is not brought back.
+  await instance.store.updateDataExport(left.id, { status: 'failed' });
+  assert.equal(await instance.store.updateDataExport(left.id, { status: 'ready' }, 'running'), null);
+  assert.equal((await instance.store.findDataExport(left.id)).status, 'failed');
+});
+
+test('profiles, email changes and account deletion', async () => {
+  const updated = await api('PATCH', '/me', { token: alice.token, body: { name: 'Alice A', statusText: 'on holiday' } });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.user.status_text, 'on holiday');
+
+  const seenByBob = await api('GET', '/conversations', { token: bob.token });
+  assert.deepEqual(
+    seenByBob.body.conversations.map((c) => [c.other_user_name, c.other_user_status_text]),
+    [['Alice A', 'on holiday']]
+  );
+
+  const change = await api('POST', '/me/email', { token: alice.token, body: { newEmail: 'alice@example.org', password: 'correct horse' } });
+  assert.equal(change.status, 200);
+  const confirmed = await api('POST', '/auth/confirm-email-change', {
+    body: { token: mailedToken('alice@example.org', 'confirm-email') },
+  });
+  assert.equal(confirmed.body.email, 'alice@example.org');
+  const login = await api('POST', '/login', { body: { email: 'alice@example.org', password: 'correct horse' } });
+  assert.equal(login.status, 200);
+
+  const refused = await api('DELETE', '/me', { token: bob.token, body: { password: 'nope' } });
+  assert.equal(refused.status, 403);
+  const deleted = await api('DELETE', '/me', { token: bob.token, body: { password: 'correct horse' } });
+  assert.equal(deleted.status, 200);
+  const gone = await api('GET', '/conversations', { token: alice.token });
+  assert.deepEqual(gone.body.conversations, []);
+});
@@ -0,0 +1,157 @@
+// The migration runner against a fake pg that keeps schema_migrations and a list of tables in memory and
+// undoes a transaction's changes on ROLLBACK: `npm run test:server`.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMigrations, migrateUp, migrateDown, migrationStatus, createMigration } = require('../migrate');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-migrate-'));
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function fakePool() {
+  let state = { applied: [], tables: [] };
+  let snapshot = null;
+  const log = [];
+
+  async function query(text, params = []) {
+    const sql = text.trim();
+    log.push(sql);
+    if (/^SELECT pg_advisory_(un)?lock/.test(sql) || sql.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) return { rows: [] };
+    if (sql === 'BEGIN') {
+      snapshot = structuredClone(state);
+      return { rows: [] };
+    }
+    if (sql === 'COMMIT') {
+      snapshot = null;
+      return { rows: [] };
+    }
+    if (sql === 'ROLLBACK') {
+      state = snapshot;
+      snapshot = null;
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT version, name, applied_at FROM schema_migrations')) {
+      return { rows: [...state.applied].sort((a, b) => a.version - b.version) };
+    }
+    if (sql.startsWith('INSERT INTO schema_migrations')) {
+      state.applied.push({ version: params[0], name: params[1], applied_at: new Date() });
+      return { rows: [] };
+    }
+    if (sql.startsWith('DELETE FROM schema_migrations')) {
+      state.applied = state.applied.filter((r) => r.version !== params[0]);
+      return { rows: [] };
+    }
+    // What the test migrations themselves run.
+    const create = /^CREATE TABLE (\w+)$/.exec(sql);
+    if (create) {
+      if (state.tables.includes(create[1])) throw new Error(`relation "${create[1]}" already exists`);
+      state.tables.push(create[1]);
+      return { rows: [] };
+    }
+    const drop = /^DROP TABLE (\w+)$/.exec(sql);
+    if (drop) {
+      state.tables = state.tables.filter((t) => t !== drop[1]);
+      return { rows: [] };
+    }
+    if (sql === 'FAIL') throw new Error('boom');
+    return { rows: [] };
+  }
+
+  return {
+    log,
+    state: () => state,
+    async connect() {
+      return { query, release() {} };
+    },
+  };
+}
+
+// Each migration creates one table on the way up and drops it on the way down; `extra` runs after the create.
+function writeMigrations(name, specs) {
+  const dir = path.join(tmpDir, name);
+  fs.mkdirSync(dir);
+  specs.forEach(([file, table, extra = '']) => {
+    fs.writeFileSync(
+      path.join(dir, file),
+      `module.exports = {\n` +
+        `  async up(db) { await db.query('CREATE TABLE ${table}'); ${extra} },\n` +
+        `  async down(db) { await db.query('DROP TABLE ${table}'); },\n` +
+        `};\n`
+    );
+  });
+  return dir;
+}
+
+const quiet = () => {};
+
+test('pending migrations are applied in version order, once', async () => {
+  const dir = writeMigrations('ordered', [['002_rooms.js', 'rooms'], ['001_users.js', 'users'], ['010_pins.js', 'pins'], ['notes.txt', 'x']]);
+  const pool = fakePool();
+
+  const upToTwo = await migrateUp(pool, { dir, to: 2, log: quiet });
+  assert.deepEqual(upToTwo.map((m) => m.file), ['001_users.js', '002_rooms.js']);
+  const rest = await migrateUp(pool, { dir, log: quiet });
+  assert.deepEqual(rest.map((m) => m.file), ['010_pins.js']);
+  assert.deepEqual(await migrateUp(pool, { dir, log: quiet }), []);
+
+  assert.deepEqual(pool.state().tables, ['users', 'rooms', 'pins']);
+  assert.deepEqual(pool.state().applied.map((r) => [r.version, r.name]), [[1, 'users'], [2, 'rooms'], [10, 'pins']]);
+  assert.ok(pool.log.every((sql, i) => sql !== 'BEGIN' || pool.log[i + 1].startsWith('CREATE TABLE')), 'each migration runs in its own transaction');
+});
+
+test('a failing migration is rolled back on its own and stops the run', async () => {
+  const dir = writeMigrations('failing', [['001_users.js', 'users'], ['002_rooms.js', 'rooms', "await db.query('FAIL');"], ['003_pins.js', 'pins']]);
+  const pool = fakePool();
+
+  await assert.rejects(migrateUp(pool, { dir, log: quiet }), /^Error: Migration 002_rooms\.js \(up\) failed: boom$/);
+  assert.deepEqual(pool.state().tables, ['users']);
+  assert.deepEqual(pool.state().applied.map((r) => r.version), [1]);
+  assert.equal(pool.log.at(-2), 'ROLLBACK');
+  assert.match(pool.log.at(-1), /^SELECT pg_advisory_unlock/, 'the lock is released after a failure');
+});
+
+test('rollbacks revert the newest migrations first and status reports what is applied', async () => {
+  const dir = writeMigrations('rollback', [['001_users.js', 'users'], ['002_rooms.js', 'rooms'], ['003_pins.js', 'pins']]);
+  const pool = fakePool();
+  await migrateUp(pool, { dir, log: quiet });
+
+  const reverted = await migrateDown(pool, { dir, steps: 2, log: quiet });
+  assert.deepEqual(reverted.map((m) => m.file), ['003_pins.js', '002_rooms.js']);
+  assert.deepEqual(pool.state().tables, ['users']);
+  const status = await migrationStatus(pool, { dir });
+  assert.deepEqual(status.map((m) => [m.version, m.name, !!m.applied_at]), [[1, 'users', true], [2, 'rooms', false], [3, 'pins', false]]);
+
+  // A migration recorded in the database whose file was deleted is listed, but cannot be rolled back.
+  fs.rmSync(path.join(dir, '001_users.js'));
+  const orphaned = await migrationStatus(pool, { dir });
+  assert.deepEqual(orphaned.map((m) => [m.version, !!m.missing]), [[1, true], [2, false], [3, false]]);
+  await assert.rejects(migrateDown(pool, { dir, log: quiet }), /Cannot roll back 1_users: its file is gone/);
+  assert.deepEqual(await migrateDown(fakePool(), { dir, log: quiet }), []);
+});
+
+test('migration files are numbered after the last one and checked when loaded', () => {
+  const dir = writeMigrations('create', [['001_users.js', 'users'], ['007_rooms.js', 'rooms']]);
+  const file = createMigration('Add read markers!', dir);
+  assert.equal(path.basename(file), '008_add_read_markers.js');
+  assert.deepEqual(loadMigrations(dir).map((m) => m.version), [1, 7, 8]);
+  assert.throws(() => createMigration('  ', dir), /A migration name is required/);
+
+  fs.writeFileSync(path.join(dir, '007_pins.js'), 'module.exports = { async up() {}, async down() {} };\n');
+  assert.throws(() => loadMigrations(dir), /Duplicate migration version 7/);
+  const broken = path.join(tmpDir, 'broken');
+  fs.mkdirSync(broken);
+  fs.writeFileSync(path.join(broken, '001_half.js'), 'module.exports = { async up() {} };\n');
+  assert.throws(() => loadMigrations(broken), /Migration 001_half\.js must export up\(\) and down\(\)/);
+});
+
+test('every shipped migration applies and rolls back', async () => {
+  const shipped = loadMigrations();
+  assert.deepEqual(shipped.map((m) => m.version), shipped.map((_, i) => i + 1));
+  const pool = fakePool();
+  assert.equal((await migrateUp(pool, { log: quiet })).length, shipped.length);
+  assert.equal((await migrateDown(pool, { steps: shipped.length, log: quiet })).length, shipped.length);
+  assert.deepEqual(pool.state().applied, []);
+});
@@ -0,0 +1,114 @@
+// Two socket.io servers sharing the postgres adapter, with just enough of pg faked in memory to carry
+// LISTEN/NOTIFY and the socket_io_payloads table between them: `npm run test:server`.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { createPostgresAdapter } = require('../socketAdapter/postgres');
+
+// One "database" shared by every fake pool: listening clients, notifications sent so far and stored payloads.
+const db = { listeners: new Set(), notifications: [], payloads: new Map(), nextId: 1 };
+
+function fakePool() {
+  async function query(text, params = []) {
+    if (text.startsWith('SELECT pg_notify')) {
+      const [channel, payload] = params;
+      db.notifications.push(payload);
+      setImmediate(() => db.listeners.forEach((client) => client.channels.has(channel) && client.emit('notification', { channel, payload })));
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.startsWith('INSERT INTO socket_io_payloads')) {
+      const id = String(db.nextId++);
+      db.payloads.set(id, { payload: params[0], createdAt: Date.now() });
+      return { rows: [{ id }], rowCount: 1 };
+    }
+    if (text.startsWith('SELECT payload FROM socket_io_payloads')) {
+      const row = db.payloads.get(String(params[0]));
+      return { rows: row ? [{ payload: row.payload }] : [], rowCount: row ? 1 : 0 };
+    }
+    if (text.startsWith('DELETE FROM socket_io_payloads')) {
+      const cutoff = Date.now() - params[0] * 1000;
+      db.payloads.forEach((row, id) => row.createdAt < cutoff && db.payloads.delete(id));
+      return { rows: [], rowCount: 0 };
+    }
+    throw new Error(`unexpected query: ${text}`);
+  }
+
+  return {
+    query,
+    async connect() {
+      const client = new EventEmitter();
+      client.channels = new Set();
+      client.query = async (text, params) => {
+        const listen = /^(UN)?LISTEN (\w+)$/.exec(text);
+        if (!listen) return query(text, params);
+        if (listen[1]) client.channels.delete(listen[2]);
+        else client.channels.add(listen[2]);
+        return { rows: [], rowCount: 0 };
+      };
+      client.release = () => db.listeners.delete(client);
+      db.listeners.add(client);
+      return client;
+    },
+  };
+}
+
+const instances = [];
+const clients = [];
+
+async function startInstance() {
+  const server = http.createServer();
+  const io = new Server(server, { adapter: createPostgresAdapter({ pool: fakePool() }) });
+  io.on('connection', (socket) => socket.join(socket.handshake.auth.room));
+  await new Promise((resolve) => server.listen(0, resolve));
+  instances.push(io);
+  return { io, url: `http://localhost:${server.address().port}` };
+}
+
+function joinRoom(url, room) {
+  const socket = connect(url, { auth: { room }, transports: ['websocket'], reconnection: false });
+  clients.push(socket);
+  return new Promise((resolve, reject) => {
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+}
+
+const nextEvent = (socket, name) => new Promise((resolve) => socket.once(name, resolve));
+
+let first;
+let second;
+
+before(async () => {
+  first = await startInstance();
+  second = await startInstance();
+});
+
+after(async () => {
+  clients.forEach((socket) => socket.disconnect());
+  await Promise.all(instances.map((io) => new Promise((resolve) => io.close(resolve))));
+});
+
+test('a room broadcast reaches sockets connected to the other instance', async () => {
+  const remote = await joinRoom(second.url, 'conversation:1');
+  const received = nextEvent(remote, 'message');
+  first.io.to('conversation:1').emit('message', { content: 'hello from the first instance' });
+  assert.deepEqual(await received, { content: 'hello from the first instance' });
+});
+
+test('payloads over the NOTIFY limit go by reference and old ones are cleaned up', async () => {
+  db.payloads.set('stale', { payload: '{}', createdAt: Date.now() - 5 * 60 * 1000 });
+  const remote = await joinRoom(second.url, 'conversation:2');
+  const received = nextEvent(remote, 'message');
+  const content = 'x'.repeat(9000);
+  first.io.to('conversation:2').emit('message', { content });
+
+  assert.equal((await received).content, content);
+  // Heartbeats share the channel, so look for the notification that carried a reference.
+  const sent = db.notifications.map((payload) => JSON.parse(payload)).filter((n) => n.ref).pop();
+  assert.deepEqual(Object.keys(sent).sort(), ['node', 'ref'], 'only a reference was notified');
+  assert.ok(db.payloads.has(String(sent.ref)), 'the fresh payload is kept for other readers');
+  assert.equal(db.payloads.has('stale'), false);
+});
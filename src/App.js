@@ -3,6 +3,10 @@ import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import Login from './pages/loginpage';
 import Signup from './pages/signuppage';
 import ChatPage from './pages/chatpage';
+import ForgotPassword from './pages/forgotpasswordpage';
+import ResetPassword from './pages/resetpasswordpage';
+import VerifyEmail from './pages/verifyemailpage';
+import ConfirmEmail from './pages/confirmemailpage';
 import ProtectedRoute from './utils/ProtectedRoute';
 
 function App() {
@@ -13,6 +17,10 @@ function App() {
         <Route path="/" element={<Navigate to="/signup" />} />
         <Route path="/login" element={<Login />} />
         <Route path="/signup" element={<Signup />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/confirm-email" element={<ConfirmEmail />} />
       </Routes>
     </BrowserRouter>
   );
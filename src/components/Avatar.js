@@ -0,0 +1,38 @@
+import React, { useState } from "react";
+import { avatarUrl } from "../utils/upload";
+
+const initialsOf = (name) =>
+  String(name || "")
+    .trim()
+    .split(/\s+/)
+    .slice(0, 2)
+    .map((word) => word[0])
+    .join("")
+    .toUpperCase() || "?";
+
+// `user` needs id, name and avatar_id. Without a picture, or when it fails to load, the initials are shown.
+export default function Avatar({ user, size = 32, className = "" }) {
+  const [failedId, setFailedId] = useState(null);
+  const avatarId = user?.avatar_id;
+  const style = { width: size, height: size };
+
+  if (avatarId && failedId !== avatarId) {
+    return (
+      <img
+        src={avatarUrl(user.id, avatarId, size > 64 ? "large" : "small")}
+        alt=""
+        onError={() => setFailedId(avatarId)}
+        className={`rounded-full object-cover shrink-0 ${className}`}
+        style={style}
+      />
+    );
+  }
+  return (
+    <span
+      className={`rounded-full bg-[#123] text-[#00FF99] font-semibold flex items-center justify-center shrink-0 select-none ${className}`}
+      style={{ ...style, fontSize: Math.round(size * 0.4) }}
+    >
+      {initialsOf(user?.name)}
+    </span>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useState } from "react";
+import { authFetch } from "../utils/auth";
+import { API_URL } from "../utils/api";
+
+export default function ChangePasswordPanel({ onClose }) {
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [done, setDone] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (newPassword !== confirm) {
+      setError("Passwords do not match");
+      return;
+    }
+    setSaving(true);
+    try {
+      const res = await authFetch(`${API_URL}/auth/change-password`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ currentPassword, newPassword }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Could not change password");
+      setDone(true);
+    } catch (err) {
+      setError(err.message || "Could not change password");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <div className="relative w-full max-w-sm bg-[#071017] border border-gray-800 rounded-xl p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-semibold">Change password</div>
+          <button onClick={onClose} className="text-gray-300">
+            ✕
+          </button>
+        </div>
+        {done ? (
+          <div className="text-sm space-y-3">
+            <p>Password changed. Your other devices have been signed out.</p>
+            <button onClick={onClose} className="w-full px-3 py-2 bg-[#0b2] text-black rounded">
+              Done
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-2 text-sm">
+            <input
+              type="password"
+              required
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              placeholder="Current password"
+              className="w-full p-2 bg-[#061018] border border-[#123] rounded"
+            />
+            <input
+              type="password"
+              required
+              minLength={8}
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              placeholder="New password (8+ characters)"
+              className="w-full p-2 bg-[#061018] border border-[#123] rounded"
+            />
+            <input
+              type="password"
+              required
+              value={confirm}
+              onChange={(e) => setConfirm(e.target.value)}
+              placeholder="Confirm new password"
+              className="w-full p-2 bg-[#061018] border border-[#123] rounded"
+            />
+            {error && <div className="text-red-400">{error}</div>}
+            <button type="submit" disabled={saving} className="w-full px-3 py-2 bg-[#0b2] text-black rounded disabled:opacity-60">
+              {saving ? "Saving..." : "Change password"}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
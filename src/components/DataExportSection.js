@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from "react";
+import { authFetch } from "../utils/auth";
+import { API_URL } from "../utils/api";
+import { formatBytes } from "../utils/upload";
+
+const STATUS_TEXT = {
+  pending: "Waiting to start...",
+  running: "Preparing your archive...",
+  failed: "The export failed. You can try again.",
+  expired: "The download link has expired.",
+};
+
+// Lists the user's latest export and follows its progress over the socket while it is being built.
+export default function DataExportSection({ socket }) {
+  const [latest, setLatest] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    authFetch(`${API_URL}/me/exports`, { headers: { Accept: "application/json" } })
+      .then((res) => (res.ok ? res.json() : { exports: [] }))
+      .then((data) => setLatest(data.exports?.[0] || null))
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+    const onUpdate = (job) => setLatest((prev) => (!prev || job.id >= prev.id ? job : prev));
+    socket.on("dataExportUpdate", onUpdate);
+    return () => socket.off("dataExportUpdate", onUpdate);
+  }, [socket]);
+
+  const startExport = async () => {
+    setError("");
+    setStarting(true);
+    try {
+      const res = await authFetch(`${API_URL}/me/exports`, { method: "POST", headers: { Accept: "application/json" } });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Could not start the export");
+      setLatest(data.export);
+    } catch (err) {
+      setError(err.message || "Could not start the export");
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const inProgress = latest && ["pending", "running"].includes(latest.status);
+
+  return (
+    <div className="space-y-2 text-sm border-t border-gray-800 pt-4">
+      <div className="font-semibold">Your data</div>
+      <p className="text-xs text-gray-400">
+        Download your profile, friends, friend requests and all your conversations as JSON and HTML. Attached files are listed but not included.
+      </p>
+      {latest && (
+        <div className="space-y-1">
+          {inProgress && (
+            <div className="h-2 bg-[#061018] rounded overflow-hidden">
+              <div className="h-full bg-[#00FF99] transition-all" style={{ width: `${latest.progress}%` }} />
+            </div>
+          )}
+          {latest.status === "ready" ? (
+            <div className="text-xs">
+              <a href={`${API_URL}${latest.download_url}`} className="text-[#00FF99] underline">
+                Download archive
+              </a>{" "}
+              <span className="text-gray-400">
+                ({formatBytes(latest.size)}, link expires {new Date(latest.expires_at).toLocaleString()})
+              </span>
+            </div>
+          ) : (
+            <div className={`text-xs ${latest.status === "failed" ? "text-red-400" : "text-gray-400"}`}>
+              {STATUS_TEXT[latest.status]}
+              {inProgress ? ` ${latest.progress}%` : ""}
+            </div>
+          )}
+        </div>
+      )}
+      {error && <div className="text-red-400">{error}</div>}
+      <button onClick={startExport} disabled={starting || inProgress} className="w-full px-3 py-2 bg-[#061018] rounded disabled:opacity-60">
+        {starting ? "Starting..." : latest?.status === "ready" ? "Export again" : "Export my data"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import React, { useState } from "react";
+import { authFetch } from "../utils/auth";
+import { API_URL } from "../utils/api";
+
+const PAGE_SIZE = 20;
+
+// The server wraps matches in <mark> tags; render them as elements without ever injecting HTML.
+function Snippet({ text }) {
+  const parts = (text || "").split(/(<mark>.*?<\/mark>)/g);
+  return (
+    <span>
+      {parts.map((part, i) =>
+        part.startsWith("<mark>") ? (
+          <mark key={i} className="bg-[#00FF99]/30 text-[#E6EDF3] rounded px-0.5">
+            {part.slice(6, -7)}
+          </mark>
+        ) : (
+          <React.Fragment key={i}>{part}</React.Fragment>
+        )
+      )}
+    </span>
+  );
+}
+
+export default function MessageSearchPanel({ conversations, currentUser, onOpenResult, onClose }) {
+  const [query, setQuery] = useState("");
+  const [conversationId, setConversationId] = useState("");
+  const [senderId, setSenderId] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [results, setResults] = useState([]);
+  const [nextOffset, setNextOffset] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [searched, setSearched] = useState(false);
+
+  const senders = [
+    { id: currentUser.id, name: "Me" },
+    ...conversations.filter((c) => !c.is_group).map((c) => ({ id: c.id, name: c.name })),
+  ];
+
+  const runSearch = async (offset = 0) => {
+    const q = query.trim();
+    if (!q) return;
+    setLoading(true);
+    setError("");
+    try {
+      const params = new URLSearchParams({ q, limit: String(PAGE_SIZE), offset: String(offset) });
+      if (conversationId) params.set("conversationId", conversationId);
+      if (senderId) params.set("senderId", senderId);
+      if (from) params.set("from", new Date(`${from}T00:00:00`).toISOString());
+      if (to) params.set("to", new Date(`${to}T23:59:59.999`).toISOString());
+
+      const res = await authFetch(`${API_URL}/messages/search?${params.toString()}`, {
+        headers: { Accept: "application/json" },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Search failed");
+      setResults((prev) => (offset === 0 ? data.results : [...prev, ...data.results]));
+      setNextOffset(data.nextOffset);
+      setSearched(true);
+    } catch (e) {
+      setError(e.message || "Search failed");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(0);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <div className="relative h-full w-full max-w-md bg-[#071017] border-l border-gray-800 flex flex-col">
+        <div className="p-4 border-b border-gray-800 flex items-center justify-between">
+          <div className="text-lg font-semibold">Search messages</div>
+          <button onClick={onClose} className="text-gray-300">
+            ✕
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-4 border-b border-gray-800 space-y-2 text-sm">
+          <input
+            value={query}
+            autoFocus
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search your messages..."
+            className="w-full p-2 bg-[#061018] border border-[#123] rounded"
+          />
+          <div className="flex gap-2">
+            <select
+              value={conversationId}
+              onChange={(e) => setConversationId(e.target.value)}
+              className="flex-1 p-2 bg-[#061018] border border-[#123] rounded"
+            >
+              <option value="">All chats</option>
+              {conversations.map((c) => (
+                <option key={c.conversation_id} value={c.conversation_id}>
+                  {c.name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={senderId}
+              onChange={(e) => setSenderId(e.target.value)}
+              className="flex-1 p-2 bg-[#061018] border border-[#123] rounded"
+            >
+              <option value="">Anyone</option>
+              {senders.map((u) => (
+                <option key={u.id} value={u.id}>
+                  {u.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex gap-2 items-center text-xs text-gray-400">
+            <label className="flex-1">
+              From
+              <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="w-full p-2 bg-[#061018] border border-[#123] rounded text-[#E6EDF3]" />
+            </label>
+            <label className="flex-1">
+              To
+              <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="w-full p-2 bg-[#061018] border border-[#123] rounded text-[#E6EDF3]" />
+            </label>
+          </div>
+          <button type="submit" disabled={loading || !query.trim()} className="w-full px-3 py-2 bg-[#0b2] text-black rounded disabled:opacity-60">
+            {loading && results.length === 0 ? "Searching..." : "Search"}
+          </button>
+        </form>
+
+        <div className="flex-1 overflow-y-auto themed-scroll p-2">
+          {error && <div className="text-center text-sm text-red-400 p-2">{error}</div>}
+          {searched && results.length === 0 && !error && <div className="text-center text-xs text-gray-500 p-4">No matches</div>}
+          <ul>
+            {results.map((r) => (
+              <li key={r.id}>
+                <button onClick={() => onOpenResult(r)} className="w-full text-left p-2 rounded hover:bg-[#07171b]">
+                  <div className="flex justify-between text-xs text-gray-400">
+                    <span>
+                      <span className="text-[#00FF99]">{r.conversation_name}</span> · {r.sender_id === currentUser.id ? "You" : r.sender_name}
+                    </span>
+                    <span>{new Date(r.created_at).toLocaleDateString()}</span>
+                  </div>
+                  <div className="text-sm mt-1">
+                    <Snippet text={r.snippet} />
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+          {nextOffset !== null && (
+            <button onClick={() => runSearch(nextOffset)} disabled={loading} className="w-full mt-2 px-3 py-2 bg-[#061018] rounded text-sm">
+              {loading ? "Loading..." : "Load more"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from "react";
+import { authFetch } from "../utils/auth";
+import { API_URL } from "../utils/api";
+import Avatar from "./Avatar";
+import DataExportSection from "./DataExportSection";
+
+const inputClass = "w-full p-2 bg-[#061018] border border-[#123] rounded";
+
+export default function ProfilePanel({ currentUser, socket, onClose, onSaved, onDeleted }) {
+  const [name, setName] = useState(currentUser.name || "");
+  const [statusText, setStatusText] = useState(currentUser.status_text || "");
+  const [bio, setBio] = useState(currentUser.bio || "");
+  const [avatarFile, setAvatarFile] = useState(null);
+  const [avatarPreview, setAvatarPreview] = useState(null);
+  const [removeAvatar, setRemoveAvatar] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+
+  const [newEmail, setNewEmail] = useState("");
+  const [emailPassword, setEmailPassword] = useState("");
+  const [emailError, setEmailError] = useState("");
+  const [pendingEmail, setPendingEmail] = useState("");
+  const [sendingEmail, setSendingEmail] = useState(false);
+
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [deletePassword, setDeletePassword] = useState("");
+  const [deleteError, setDeleteError] = useState("");
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    if (!avatarFile) return setAvatarPreview(null);
+    const url = URL.createObjectURL(avatarFile);
+    setAvatarPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [avatarFile]);
+
+  const pickAvatar = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setAvatarFile(file);
+    setRemoveAvatar(false);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError("");
+    setSaved(false);
+    setSaving(true);
+    try {
+      // Multipart so the picture can ride along; the browser sets the boundary header itself.
+      const form = new FormData();
+      form.append("name", name);
+      form.append("statusText", statusText);
+      form.append("bio", bio);
+      if (avatarFile) form.append("avatar", avatarFile);
+      else if (removeAvatar) form.append("removeAvatar", "true");
+      const res = await authFetch(`${API_URL}/me`, { method: "PATCH", headers: { Accept: "application/json" }, body: form });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Could not save profile");
+      setAvatarFile(null);
+      setRemoveAvatar(false);
+      setSaved(true);
+      onSaved(data.user);
+    } catch (err) {
+      setError(err.message || "Could not save profile");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleChangeEmail = async (e) => {
+    e.preventDefault();
+    setEmailError("");
+    setSendingEmail(true);
+    try {
+      const res = await authFetch(`${API_URL}/me/email`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "application/json" },
+        body: JSON.stringify({ newEmail, password: emailPassword }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Could not change email");
+      setPendingEmail(data.pendingEmail || newEmail);
+      setNewEmail("");
+      setEmailPassword("");
+    } catch (err) {
+      setEmailError(err.message || "Could not change email");
+    } finally {
+      setSendingEmail(false);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setDeleteError("");
+    setDeleting(true);
+    try {
+      const res = await authFetch(`${API_URL}/me`, {
+        method: "DELETE",
+        headers: { "Content-Type": "application/json", Accept: "application/json" },
+        body: JSON.stringify({ password: deletePassword }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Could not delete account");
+      onDeleted();
+    } catch (err) {
+      setDeleteError(err.message || "Could not delete account");
+      setDeleting(false);
+    }
+  };
+
+  const shownAvatar = removeAvatar ? { ...currentUser, name, avatar_id: null } : { ...currentUser, name };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <div className="relative w-full max-w-md max-h-[90vh] overflow-y-auto themed-scroll bg-[#071017] border border-gray-800 rounded-xl p-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-semibold">Profile & account</div>
+          <button onClick={onClose} className="text-gray-300">
+            ✕
+          </button>
+        </div>
+
+        <form onSubmit={handleSave} className="space-y-2 text-sm">
+          <div className="flex items-center gap-3">
+            {avatarPreview ? (
+              <img src={avatarPreview} alt="" className="w-16 h-16 rounded-full object-cover" />
+            ) : (
+              <Avatar user={shownAvatar} size={64} />
+            )}
+            <div className="flex flex-col gap-1">
+              <label className="px-3 py-1 bg-[#061018] rounded cursor-pointer text-center">
+                Choose picture
+                <input type="file" accept="image/*" onChange={pickAvatar} className="hidden" />
+              </label>
+              {(avatarFile || (currentUser.avatar_id && !removeAvatar)) && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setAvatarFile(null);
+                    setRemoveAvatar(!!currentUser.avatar_id);
+                  }}
+                  className="px-3 py-1 bg-[#061018] rounded text-red-300"
+                >
+                  Remove picture
+                </button>
+              )}
+            </div>
+          </div>
+          <input required maxLength={60} value={name} onChange={(e) => setName(e.target.value)} placeholder="Display name" className={inputClass} />
+          <input maxLength={100} value={statusText} onChange={(e) => setStatusText(e.target.value)} placeholder="Status" className={inputClass} />
+          <textarea maxLength={500} rows={3} value={bio} onChange={(e) => setBio(e.target.value)} placeholder="About you" className={inputClass} />
+          {error && <div className="text-red-400">{error}</div>}
+          {saved && <div className="text-[#00FF99]">Profile saved.</div>}
+          <button type="submit" disabled={saving} className="w-full px-3 py-2 bg-[#0b2] text-black rounded disabled:opacity-60">
+            {saving ? "Saving..." : "Save profile"}
+          </button>
+        </form>
+
+        <form onSubmit={handleChangeEmail} className="space-y-2 text-sm border-t border-gray-800 pt-4">
+          <div className="font-semibold">Email address</div>
+          <div className="text-xs text-gray-400">Currently {currentUser.email}</div>
+          {pendingEmail && (
+            <div className="text-xs text-[#00FF99]">We sent a link to {pendingEmail}. Your address changes once you open it.</div>
+          )}
+          <input type="email" required value={newEmail} onChange={(e) => setNewEmail(e.target.value)} placeholder="New email address" className={inputClass} />
+          <input
+            type="password"
+            required
+            value={emailPassword}
+            onChange={(e) => setEmailPassword(e.target.value)}
+            placeholder="Current password"
+            className={inputClass}
+          />
+          {emailError && <div className="text-red-400">{emailError}</div>}
+          <button type="submit" disabled={sendingEmail} className="w-full px-3 py-2 bg-[#061018] rounded disabled:opacity-60">
+            {sendingEmail ? "Sending..." : "Send confirmation link"}
+          </button>
+        </form>
+
+        <DataExportSection socket={socket} />
+
+        <div className="space-y-2 text-sm border-t border-gray-800 pt-4">
+          <div className="font-semibold text-red-300">Delete account</div>
+          {confirmingDelete ? (
+            <form onSubmit={handleDelete} className="space-y-2">
+              <p className="text-xs text-gray-400">
+                This removes your profile, friends, direct chats and every message you sent. It cannot be undone.
+              </p>
+              <input
+                type="password"
+                required
+                value={deletePassword}
+                onChange={(e) => setDeletePassword(e.target.value)}
+                placeholder="Current password"
+                className={inputClass}
+              />
+              {deleteError && <div className="text-red-400">{deleteError}</div>}
+              <div className="flex gap-2">
+                <button type="button" onClick={() => setConfirmingDelete(false)} className="flex-1 px-3 py-2 bg-[#061018] rounded">
+                  Cancel
+                </button>
+                <button type="submit" disabled={deleting} className="flex-1 px-3 py-2 bg-red-600 text-white rounded disabled:opacity-60">
+                  {deleting ? "Deleting..." : "Delete permanently"}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button onClick={() => setConfirmingDelete(true)} className="w-full px-3 py-2 bg-[#061018] rounded text-red-300">
+              Delete my account...
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
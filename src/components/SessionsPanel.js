@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from "react";
+import { authFetch } from "../utils/auth";
+import { API_URL } from "../utils/api";
+
+// A rough, readable device label; the raw user agent is kept as the tooltip.
+function describeAgent(userAgent) {
+  const ua = userAgent || "";
+  const browser = /Edg\//.test(ua) ? "Edge" : /Firefox\//.test(ua) ? "Firefox" : /Chrome\//.test(ua) ? "Chrome" : /Safari\//.test(ua) ? "Safari" : "Browser";
+  const os = /Windows/.test(ua) ? "Windows" : /Android/.test(ua) ? "Android" : /iPhone|iPad/.test(ua) ? "iOS" : /Mac OS X/.test(ua) ? "macOS" : /Linux/.test(ua) ? "Linux" : "";
+  return os ? `${browser} on ${os}` : browser;
+}
+
+export default function SessionsPanel({ onClose }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const loadSessions = async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const res = await authFetch(`${API_URL}/sessions`, { headers: { Accept: "application/json" } });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Could not load sessions");
+      setSessions(data.sessions || []);
+    } catch (e) {
+      setError(e.message || "Could not load sessions");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const revoke = async (session) => {
+    const res = await authFetch(`${API_URL}/sessions/${session.id}`, { method: "DELETE" });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      setError(data?.error || "Could not sign out that session");
+      return;
+    }
+    setSessions((prev) => prev.filter((s) => s.id !== session.id));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <div className="relative w-full max-w-md bg-[#071017] border border-gray-800 rounded-xl p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-semibold">Active sessions</div>
+          <button onClick={onClose} className="text-gray-300">
+            ✕
+          </button>
+        </div>
+        {error && <div className="text-sm text-red-400">{error}</div>}
+        {loading ? (
+          <div className="text-xs text-gray-500">Loading...</div>
+        ) : (
+          <ul className="space-y-2 max-h-80 overflow-y-auto themed-scroll">
+            {sessions.map((s) => (
+              <li key={s.id} className="flex items-center justify-between gap-2 p-2 bg-[#061018] rounded text-sm">
+                <div className="min-w-0">
+                  <div className="truncate" title={s.user_agent || ""}>
+                    {describeAgent(s.user_agent)}
+                    {s.current && <span className="ml-2 text-xs text-[#00FF99]">this device</span>}
+                  </div>
+                  <div className="text-xs text-gray-400">
+                    {s.ip || "unknown IP"} · last active {new Date(s.last_used_at).toLocaleString()}
+                  </div>
+                </div>
+                {!s.current && (
+                  <button onClick={() => revoke(s)} className="px-2 py-1 text-xs bg-[#2b0f12] text-red-300 rounded">
+                    Sign out
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
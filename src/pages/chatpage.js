@@ -1,18 +1,40 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useLayoutEffect, useRef } from "react";
 import { io } from "socket.io-client";
 import { useNavigate } from "react-router-dom";
-import { getToken, removeToken, authHeader, getUser, setUser, removeUser } from "../utils/auth";
-
-let API_URL = (process.env.REACT_APP_API_URL || "").trim();
-if (!API_URL) {
-  const origin = window.location.origin;
-  if (/^(http:\/\/|https:\/\/)localhost:3000$/.test(origin) || /^(http:\/\/|https:\/\/)127\.0\.0\.1:3000$/.test(origin)) {
-    API_URL = "http://localhost:5000";
-  } else {
-    API_URL = origin;
-  }
-}
-let SOCKET_URL = (process.env.REACT_APP_SOCKET_URL || "").trim() || API_URL;
+import { getToken, getUser, setUser, authFetch, refreshSession, clearSession } from "../utils/auth";
+import { API_URL, SOCKET_URL } from "../utils/api";
+import MessageSearchPanel from "../components/MessageSearchPanel";
+import SessionsPanel from "../components/SessionsPanel";
+import ChangePasswordPanel from "../components/ChangePasswordPanel";
+import ProfilePanel from "../components/ProfilePanel";
+import Avatar from "../components/Avatar";
+import { uploadAttachment, attachmentUrl, formatBytes } from "../utils/upload";
+import { loadOutbox, putOutboxMessage, removeOutboxMessage } from "../utils/outbox";
+
+const byLastActivity = (a, b) => new Date(b.lastActivityAt || 0) - new Date(a.lastActivityAt || 0);
+
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+
+const TYPING_THROTTLE_MS = 2500;
+const TYPING_IDLE_MS = 3000;
+const TYPING_EXPIRY_MS = 8000;
+
+const SEND_ACK_TIMEOUT_MS = 10000;
+const SYNC_TIMEOUT_MS = 15000;
+
+// Sent with every message so a retry is recognised by the server instead of stored twice.
+const newClientId = () =>
+  window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+// The ack and the room echo both deliver the saved row; whichever comes first replaces the optimistic bubble.
+const mergeMessage = (list, msg) => {
+  const index = list.findIndex((m) => String(m.id) === String(msg.id) || (msg.client_id && m.client_id === msg.client_id));
+  if (index === -1) return [...list, msg];
+  if (!String(list[index].id).startsWith("tmp-")) return list;
+  const updated = [...list];
+  updated[index] = msg;
+  return updated;
+};
 
 export default function ChatPage() {
   const navigate = useNavigate();
@@ -23,15 +45,47 @@ export default function ChatPage() {
   const [searchQuery, setSearchQuery] = useState("");
   const [searchResults, setSearchResults] = useState([]);
   const [friendRequests, setFriendRequests] = useState([]);
+  const [sentRequests, setSentRequests] = useState([]);
   const [friends, setFriends] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [groupMembers, setGroupMembers] = useState([]);
+  const [showNewGroup, setShowNewGroup] = useState(false);
+  const [newGroupTitle, setNewGroupTitle] = useState("");
+  const [newGroupMemberIds, setNewGroupMemberIds] = useState([]);
+  const [showGroupInfo, setShowGroupInfo] = useState(false);
+  const [groupTitleDraft, setGroupTitleDraft] = useState("");
   const [activeChat, setActiveChat] = useState(null);
   const [messages, setMessages] = useState([]);
+  const [outbox, setOutbox] = useState([]);
+  const [outboxReady, setOutboxReady] = useState(false);
   const [loadingMessages, setLoadingMessages] = useState(false);
+  const [hasMoreMessages, setHasMoreMessages] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
   const [newMessage, setNewMessage] = useState("");
+  const [pendingUploads, setPendingUploads] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editDraft, setEditDraft] = useState("");
   const [sendingFriendEmail, setSendingFriendEmail] = useState(null);
   const [showSidebar, setShowSidebar] = useState(false);
+  const [typingUsers, setTypingUsers] = useState({});
+  const [presence, setPresence] = useState({});
+  const [now, setNow] = useState(Date.now());
+  const [showMessageSearch, setShowMessageSearch] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
+  const [showChangePassword, setShowChangePassword] = useState(false);
+  const [showProfile, setShowProfile] = useState(false);
+  const [verificationNotice, setVerificationNotice] = useState("");
+  const [blockedUsers, setBlockedUsers] = useState([]);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [pageVisible, setPageVisible] = useState(document.visibilityState === "visible");
 
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const scrollRestoreRef = useRef(null);
+  const scrollToMessageRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   const activeChatRef = useRef(activeChat);
   useEffect(() => {
@@ -39,33 +93,193 @@ export default function ChatPage() {
   }, [activeChat]);
 
   const joinedConvosRef = useRef(new Set());
+  const lastReadSentRef = useRef({});
+  const typingExpiryRef = useRef({});
+  const typingOutRef = useRef({ conversationId: null, lastSentAt: 0, idleTimer: null });
+  const outboxRef = useRef([]);
+  // conversationId -> newest message id this client has seen; sent on reconnect so the server can replay the gap.
+  const lastSeenIdsRef = useRef({});
+  const syncedAtRef = useRef(null);
+  const flushingRef = useRef(false);
+  const flushOutboxRef = useRef(null);
+
+  const setUserTyping = (conversationId, userId, typing) => {
+    setTypingUsers((prev) => {
+      const current = prev[conversationId] || [];
+      const next = typing ? (current.includes(userId) ? current : [...current, userId]) : current.filter((id) => id !== userId);
+      if (next === current) return prev;
+      return { ...prev, [conversationId]: next };
+    });
+  };
+
+  // Re-render relative "last seen" labels once a minute.
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    const onVisibility = () => setPageVisible(document.visibilityState === "visible");
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => document.removeEventListener("visibilitychange", onVisibility);
+  }, []);
+
+  // Tell the server how far the open conversation has been read; only while the tab is actually visible.
+  useEffect(() => {
+    if (!socket || !socketConnected || !pageVisible || !activeChat?.conversation_id || !currentUser) return;
+    const latestIncoming = [...messages]
+      .reverse()
+      .find((m) => m.sender_id !== currentUser.id && !String(m.id).startsWith("tmp-"));
+    if (!latestIncoming) return;
+    const convId = activeChat.conversation_id;
+    if (Number(lastReadSentRef.current[convId] || 0) >= Number(latestIncoming.id)) return;
+    lastReadSentRef.current[convId] = latestIncoming.id;
+    socket.emit("markRead", { conversationId: convId, messageId: latestIncoming.id });
+  }, [messages, activeChat, socket, socketConnected, pageVisible, currentUser]);
+
+  useEffect(() => {
+    outboxRef.current = outbox;
+  }, [outbox]);
+
+  useEffect(() => {
+    if (!currentUser?.id) return;
+    let cancelled = false;
+    loadOutbox(currentUser.id).then((items) => {
+      if (cancelled) return;
+      setOutbox(items.map((item) => ({ ...item, sendState: "queued" })));
+      setOutboxReady(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser?.id]);
+
+  // Called through a ref (set where flushOutbox is defined) so only a (re)connect triggers a flush, not every render.
+  useEffect(() => {
+    if (socketConnected && outboxReady) flushOutboxRef.current();
+  }, [socketConnected, outboxReady]);
 
   const scrollToBottom = () => {
     if (messagesEndRef.current) {
       messagesEndRef.current.scrollIntoView({ behavior: "smooth", block: "end" });
     }
   };
-  useEffect(scrollToBottom, [messages]);
+
+  // When older history is prepended keep the viewport anchored to what the user was reading,
+  // otherwise follow new messages to the bottom.
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    const restore = scrollRestoreRef.current;
+    const target = scrollToMessageRef.current;
+    if (target) {
+      const el = document.getElementById(`msg-${target}`);
+      if (el) {
+        el.scrollIntoView({ block: "center" });
+        scrollToMessageRef.current = null;
+        return;
+      }
+    }
+    if (restore && container) {
+      container.scrollTop = container.scrollHeight - restore.fromBottom;
+      scrollRestoreRef.current = null;
+      return;
+    }
+    scrollToBottom();
+  }, [messages]);
+
+  const fetchMessagesPage = async (conversationId, params = {}) => {
+    const qs = new URLSearchParams({ limit: "50", ...params }).toString();
+    const res = await authFetch(`${API_URL}/conversations/${conversationId}/messages?${qs}`, {
+      headers: { Accept: "application/json" },
+    });
+    if (!res.ok) throw new Error("fetch messages failed");
+    const data = await res.json();
+    const normalized = (data.messages || data).map((m) => ({
+      ...m,
+      timestamp: m.timestamp || m.created_at || new Date().toISOString(),
+    }));
+    normalized.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    normalized.forEach((m) => noteSeen(conversationId, m.id));
+    return { messages: normalized, hasMore: data.hasMore === true };
+  };
+
+  const noteSeen = (conversationId, messageId) => {
+    if (!conversationId || !/^\d+$/.test(String(messageId ?? ""))) return;
+    const seen = lastSeenIdsRef.current;
+    if (Number(seen[conversationId] || 0) < Number(messageId)) seen[conversationId] = String(messageId);
+  };
 
   const refreshMessagesForActive = async (friendParam) => {
     const friend = friendParam || activeChatRef.current;
     if (!friend?.conversation_id) return;
     try {
-      const res = await fetch(`${API_URL}/conversations/${friend.conversation_id}/messages`, {
-        headers: { ...authHeader(), Accept: "application/json" },
-      });
-      const data = await res.json();
-      let normalized = (data.messages || data).map((m) => ({
-        ...m,
-        timestamp: m.timestamp || m.created_at || new Date().toISOString(),
-      }));
-      normalized.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-      setMessages(normalized);
+      const page = await fetchMessagesPage(friend.conversation_id);
+      setMessages(page.messages);
+      setHasMoreMessages(page.hasMore);
+      return page;
     } catch {
       setMessages([]);
+      setHasMoreMessages(false);
+      return { messages: [], hasMore: false };
+    }
+  };
+
+  // Pages further back until the message is loaded, then scrolls to it and flashes it.
+  const revealMessage = async (conversationId, messageId, loadedPage) => {
+    let loaded = loadedPage?.messages || [];
+    let more = loadedPage?.hasMore === true;
+    const isLoaded = () => loaded.some((m) => String(m.id) === String(messageId));
+
+    try {
+      while (!isLoaded() && more) {
+        const oldest = loaded.find((m) => !String(m.id).startsWith("tmp-"));
+        if (!oldest) break;
+        const page = await fetchMessagesPage(conversationId, { before: String(oldest.id), limit: "200" });
+        if (activeChatRef.current?.conversation_id !== conversationId) return;
+        const seen = new Set(loaded.map((m) => m.id));
+        loaded = [...page.messages.filter((m) => !seen.has(m.id)), ...loaded];
+        more = page.hasMore;
+      }
+    } catch (e) {
+      console.warn("Loading history failed:", e?.message || e);
+    }
+
+    if (!isLoaded()) return;
+    scrollToMessageRef.current = messageId;
+    setMessages(loaded);
+    setHasMoreMessages(more);
+    setHighlightedMessageId(messageId);
+    setTimeout(() => setHighlightedMessageId((current) => (current === messageId ? null : current)), 2500);
+  };
+
+  const loadOlderMessages = async () => {
+    const chat = activeChatRef.current;
+    if (!chat?.conversation_id || loadingOlder || !hasMoreMessages) return;
+    const oldest = messages.find((m) => !String(m.id).startsWith("tmp-"));
+    if (!oldest) return;
+
+    setLoadingOlder(true);
+    try {
+      const page = await fetchMessagesPage(chat.conversation_id, { before: String(oldest.id) });
+      if (activeChatRef.current?.conversation_id !== chat.conversation_id) return;
+      const container = messagesContainerRef.current;
+      if (container) scrollRestoreRef.current = { fromBottom: container.scrollHeight - container.scrollTop };
+      setMessages((prev) => {
+        const seen = new Set(prev.map((m) => m.id));
+        return [...page.messages.filter((m) => !seen.has(m.id)), ...prev];
+      });
+      setHasMoreMessages(page.hasMore);
+    } catch (e) {
+      console.warn("Loading older messages failed:", e?.message || e);
+    } finally {
+      setLoadingOlder(false);
     }
   };
 
+  const handleMessagesScroll = (e) => {
+    if (e.currentTarget.scrollTop < 80) loadOlderMessages();
+  };
+
   useEffect(() => {
     const token = getToken();
     if (!token) return navigate("/login", { replace: true });
@@ -73,7 +287,7 @@ export default function ChatPage() {
     const cached = getUser();
     if (cached) setCurrentUser(cached);
 
-    fetch(`${API_URL}/me`, { headers: { ...authHeader(), Accept: "application/json" } })
+    authFetch(`${API_URL}/me`, { headers: { Accept: "application/json" } })
       .then((res) => {
         if (!res.ok) throw new Error("unauthenticated");
         return res.json();
@@ -81,12 +295,14 @@ export default function ChatPage() {
       .then((user) => {
         setCurrentUser(user);
         try { setUser(user); } catch {}
-        connectSocket(user, token);
-        loadFriends(token);
-        loadRequests(token);
+        // The /me call may have refreshed the access token.
+        connectSocket(user, getToken());
+        loadFriends(getToken());
+        loadRequests(getToken());
+        loadBlocks();
       })
       .catch(() => {
-        removeToken();
+        clearSession();
         navigate("/login", { replace: true });
       });
 
@@ -107,82 +323,280 @@ export default function ChatPage() {
       setSocket(null);
     }
 
+    // Read the token on every (re)connect: it is rotated every few minutes.
     const s = io(SOCKET_URL, {
-      auth: { token },
+      auth: (cb) => cb({ token: getToken() }),
       reconnectionAttempts: 10,
       reconnectionDelay: 1000,
     });
 
+    const endSession = () => {
+      s.off();
+      s.disconnect();
+      clearSession();
+      navigate("/login", { replace: true });
+    };
+
+    // The server rejects expired access tokens and drops sockets of revoked sessions; a successful
+    // refresh means the session is still alive and the socket can come straight back.
+    const reauthenticate = async () => {
+      if (await refreshSession()) s.connect();
+      else endSession();
+    };
+
     s.on("connect", () => {
       console.log("Socket connected:", s.id);
       setSocketConnected(true);
 
       joinedConvosRef.current.forEach((cid) => s.emit("join", { conversationId: cid }));
+      syncMissed(s);
     });
 
-    s.on("disconnect", () => setSocketConnected(false));
-    s.on("connect_error", (err) => console.warn("Socket connect error:", err?.message || err));
+    s.on("disconnect", (reason) => {
+      setSocketConnected(false);
+      if (reason === "io server disconnect") reauthenticate();
+    });
+    s.on("connect_error", (err) => {
+      console.warn("Socket connect error:", err?.message || err);
+      if (String(err?.message || "").startsWith("auth error")) reauthenticate();
+    });
+    s.on("sessionRevoked", endSession);
+
+    s.on("accountUpdate", (changes) => {
+      setCurrentUser((prev) => {
+        if (!prev) return prev;
+        const next = { ...prev, ...changes };
+        try { setUser(next); } catch {}
+        return next;
+      });
+    });
+
+    // A friend edited their profile: patch the list and the open chat header without refetching.
+    s.on("profileUpdate", (profile) => {
+      const patch = { name: profile.name, bio: profile.bio, status_text: profile.status_text, avatar_id: profile.avatar_id };
+      setFriends((prev) => prev.map((f) => (f.id === profile.id ? { ...f, ...patch } : f)));
+      setActiveChat((prev) => (prev && !prev.is_group && prev.id === profile.id ? { ...prev, ...patch } : prev));
+    });
 
     const incomingHandler = (msg) => {
       const normalized = {
         ...msg,
         timestamp: msg.timestamp || msg.created_at || new Date().toISOString(),
       };
-      if (normalized.deleted === true || normalized.content === "Message deleted") return;
-
       const convoId = normalized.conversation_id ?? normalized.conversationId ?? normalized.conversation;
+      clearTimeout(typingExpiryRef.current[`${convoId}:${normalized.sender_id}`]);
+      setUserTyping(convoId, normalized.sender_id, false);
+
+      noteSeen(convoId, normalized.id);
+      const isActive = activeChatRef.current && convoId === activeChatRef.current.conversation_id;
+      const fromOther = normalized.sender_id !== user.id;
+      updateConversationItem(convoId, (item) => ({
+        ...item,
+        lastMessage: { id: normalized.id, sender_id: normalized.sender_id, content: normalized.content, deleted: !!normalized.deleted },
+        lastActivityAt: normalized.timestamp,
+        unread: isActive || !fromOther ? item.unread : (item.unread || 0) + 1,
+      }));
 
-      if (activeChatRef.current && convoId === activeChatRef.current.conversation_id) {
-        setMessages((prev) => {
-          const index = prev.findIndex(
-            (m) => m.id?.startsWith("tmp-") && m.content === normalized.content
-          );
-
-          if (index !== -1) {
-            const updated = [...prev];
-            updated[index] = { ...normalized };
-            return updated;
-          } else {
-            return [...prev, normalized];
-          }
-        });
-      } else {
-      }
+      if (isActive) setMessages((prev) => mergeMessage(prev, normalized));
     };
 
     s.on("message", incomingHandler);
     s.on("receiveMessage", incomingHandler);
 
+    s.on("conversationRead", ({ conversationId } = {}) => {
+      updateConversationItem(conversationId, (item) => ({ ...item, unread: 0 }));
+    });
+
+    s.on("presence", ({ userId, online, lastSeenAt } = {}) => {
+      if (!userId) return;
+      setPresence((prev) => ({ ...prev, [userId]: { online: !!online, lastSeenAt: lastSeenAt || prev[userId]?.lastSeenAt || null } }));
+    });
+
+    s.on("typing", ({ conversationId, userId, typing } = {}) => {
+      if (!conversationId || userId === user.id) return;
+      const key = `${conversationId}:${userId}`;
+      clearTimeout(typingExpiryRef.current[key]);
+      if (typing) {
+        // Fallback in case the matching stop event never arrives.
+        typingExpiryRef.current[key] = setTimeout(() => setUserTyping(conversationId, userId, false), TYPING_EXPIRY_MS);
+      }
+      setUserTyping(conversationId, userId, !!typing);
+    });
+
+    s.on("receipts", (payload) => {
+      if (!activeChatRef.current || payload?.conversationId !== activeChatRef.current.conversation_id) return;
+      const statuses = new Map((payload.updates || []).map((u) => [String(u.messageId), u.status]));
+      setMessages((prev) =>
+        prev.map((m) => (m.sender_id === user.id && statuses.has(String(m.id)) ? { ...m, status: statuses.get(String(m.id)) } : m))
+      );
+    });
+
+    s.on("reactionUpdate", ({ conversationId, messageId, reactions } = {}) => {
+      if (!activeChatRef.current || conversationId !== activeChatRef.current.conversation_id) return;
+      setMessages((prev) => prev.map((m) => (String(m.id) === String(messageId) ? { ...m, reactions: reactions || [] } : m)));
+    });
+
+    s.on("messageUpdated", (msg) => {
+      updateConversationItem(msg.conversation_id, (item) =>
+        String(item.lastMessage?.id) === String(msg.id)
+          ? { ...item, lastMessage: { ...item.lastMessage, content: msg.content, deleted: !!msg.deleted } }
+          : item
+      );
+      if (!activeChatRef.current || msg.conversation_id !== activeChatRef.current.conversation_id) return;
+      applyMessageUpdate(msg);
+    });
+
     s.on("friendUpdate", () => {
       const t = getToken();
       if (t) {
         loadFriends(t);
         loadRequests(t);
+        loadBlocks();
+      }
+    });
+
+    s.on("groupUpdate", (payload) => {
+      loadFriends(getToken());
+      const active = activeChatRef.current;
+      if (!active?.is_group || active.conversation_id !== payload?.conversationId) return;
+
+      const leftOrRemoved =
+        (payload.action === "memberRemoved" || payload.action === "memberLeft") && payload.userId === user.id;
+      if (leftOrRemoved) {
+        joinedConvosRef.current.delete(payload.conversationId);
+        setActiveChat(null);
+        setMessages([]);
+        setShowGroupInfo(false);
+        return;
       }
+      if (payload.action === "renamed") setActiveChat((prev) => (prev ? { ...prev, name: payload.title } : prev));
+      loadGroupMembers(payload.conversationId);
     });
 
     setSocket(s);
   };
 
+  // Runs on every connect. The first sync only records the server's clock; after a reconnect it fills in
+  // messages, edits and friend requests that were broadcast while this socket was down.
+  const syncMissed = async (s) => {
+    const firstSync = syncedAtRef.current === null;
+    let result;
+    try {
+      result = await s.timeout(SYNC_TIMEOUT_MS).emitWithAck("sync", { cursors: { ...lastSeenIdsRef.current }, since: syncedAtRef.current });
+    } catch (e) {
+      return;
+    }
+    if (!result || result.error) return;
+    syncedAtRef.current = result.syncedAt;
+
+    const active = activeChatRef.current;
+    (result.conversations || []).forEach((c) => {
+      const isActive = active && String(active.conversation_id) === String(c.conversationId);
+      if (c.refetch) {
+        // Too far behind to replay: reload the open chat and forget the stale cursor for the rest.
+        delete lastSeenIdsRef.current[c.conversationId];
+        if (isActive) refreshMessagesForActive(active);
+        return;
+      }
+      const missed = (c.messages || []).map((m) => ({ ...m, timestamp: m.created_at }));
+      missed.forEach((m) => noteSeen(c.conversationId, m.id));
+      if (!isActive) return;
+      setMessages((prev) => missed.reduce(mergeMessage, prev));
+      (c.updated || []).forEach(applyMessageUpdate);
+    });
+
+    if (Array.isArray(result.friendRequests)) setFriendRequests(result.friendRequests);
+    // Previews, unread counts, conversations created and sent requests answered during the outage come from fresh lists.
+    if (!firstSync) {
+      loadFriends(getToken());
+      loadRequests(getToken());
+    }
+  };
+
   const loadFriends = (token) => {
-    fetch(`${API_URL}/conversations`, { headers: { ...authHeader(), Accept: "application/json" } })
+    authFetch(`${API_URL}/conversations`, { headers: { Accept: "application/json" } })
       .then((r) => (r.ok ? r.json() : []))
       .then((data) => {
         const convs = data.conversations || data;
+        setPresence((prev) => {
+          const next = { ...prev };
+          convs
+            .filter((c) => !c.is_group && c.other_user_id)
+            .forEach((c) => {
+              next[c.other_user_id] = { online: !!c.other_user_online, lastSeenAt: c.other_user_last_seen_at || null };
+            });
+          return next;
+        });
         setFriends(
-          convs.map((c) => ({
-            id: c.other_user_id,
-            name: c.other_user_name,
-            email: c.other_user_email,
-            conversation_id: c.id,
-          }))
+          convs
+            .filter((c) => !c.is_group)
+            .map((c) => ({
+              id: c.other_user_id,
+              name: c.other_user_name,
+              email: c.other_user_email,
+              bio: c.other_user_bio || "",
+              status_text: c.other_user_status_text || "",
+              avatar_id: c.other_user_avatar_id || null,
+              conversation_id: c.id,
+              lastMessage: c.last_message,
+              lastActivityAt: c.last_activity_at,
+              unread: c.unread_count || 0,
+              frozen: !!c.frozen,
+              blocked_by_me: !!c.blocked_by_me,
+            }))
+            .sort(byLastActivity)
+        );
+        setGroups(
+          convs
+            .filter((c) => c.is_group)
+            .map((c) => ({
+              id: `group-${c.id}`,
+              is_group: true,
+              name: c.title,
+              member_count: c.member_count,
+              role: c.role,
+              conversation_id: c.id,
+              lastMessage: c.last_message,
+              lastActivityAt: c.last_activity_at,
+              unread: c.unread_count || 0,
+            }))
+            .sort(byLastActivity)
         );
       })
-      .catch(() => setFriends([]));
+      .catch(() => {
+        setFriends([]);
+        setGroups([]);
+      });
+  };
+
+  const loadBlocks = () => {
+    authFetch(`${API_URL}/blocks`, { headers: { Accept: "application/json" } })
+      .then((r) => (r.ok ? r.json() : { blocks: [] }))
+      .then((data) => setBlockedUsers(data.blocks || []))
+      .catch(() => setBlockedUsers([]));
+  };
+
+  const updateConversationItem = (conversationId, updater) => {
+    const apply = (list) => {
+      if (!list.some((item) => item.conversation_id === conversationId)) return list;
+      return list.map((item) => (item.conversation_id === conversationId ? updater(item) : item)).sort(byLastActivity);
+    };
+    setFriends(apply);
+    setGroups(apply);
+  };
+
+  const loadGroupMembers = (conversationId) => {
+    authFetch(`${API_URL}/conversations/${conversationId}/members`, { headers: { Accept: "application/json" } })
+      .then((r) => (r.ok ? r.json() : { members: [] }))
+      .then((data) => {
+        if (activeChatRef.current?.conversation_id !== conversationId) return;
+        setGroupMembers(data.members || []);
+      })
+      .catch(() => setGroupMembers([]));
   };
 
   const loadRequests = (token) => {
-    fetch(`${API_URL}/friends/requests`, { headers: { ...authHeader(), Accept: "application/json" } })
+    authFetch(`${API_URL}/friends/requests`, { headers: { Accept: "application/json" } })
       .then((r) => (r.ok ? r.json() : []))
       .then((data) => {
         if (Array.isArray(data)) setFriendRequests(data);
@@ -190,6 +604,10 @@ export default function ChatPage() {
         else setFriendRequests([]);
       })
       .catch(() => setFriendRequests([]));
+    authFetch(`${API_URL}/friends/requests/outgoing`, { headers: { Accept: "application/json" } })
+      .then((r) => (r.ok ? r.json() : { requests: [] }))
+      .then((data) => setSentRequests(data.requests || []))
+      .catch(() => setSentRequests([]));
   };
 
   useEffect(() => {
@@ -206,8 +624,8 @@ export default function ChatPage() {
     const endpoint = `${API_URL}/users/search?q=${encodeURIComponent(query)}`;
 
     const timeout = setTimeout(() => {
-      fetch(endpoint, {
-        headers: { ...authHeader(), Accept: "application/json" },
+      authFetch(endpoint, {
+        headers: { Accept: "application/json" },
         signal: controller.signal,
       })
         .then((res) => (res.ok ? res.json() : []))
@@ -242,16 +660,14 @@ export default function ChatPage() {
     if (!token) return navigate("/login", { replace: true });
 
     const lower = email.toLowerCase();
-    setSearchResults((prev) => prev.map((u) => (u.email.toLowerCase() === lower ? { ...u, requested: true } : u)));
     setSendingFriendEmail(lower);
 
-    fetch(`${API_URL}/friends/request`, {
+    authFetch(`${API_URL}/friends/request`, {
       method: "POST",
-      headers: { "Content-Type": "application/json", ...authHeader() },
+      headers: { "Content-Type": "application/json" },
       body: JSON.stringify({ receiverEmail: email }),
     })
       .then(async (res) => {
-        if (res.status === 409) return { ok: true, already: true };
         if (!res.ok) {
           const err = await res.json().catch(() => ({}));
           throw new Error(err?.error || "Request failed");
@@ -262,16 +678,14 @@ export default function ChatPage() {
         loadRequests(token);
         loadFriends(token);
       })
-      .catch(() => {
-        setSearchResults((prev) => prev.map((u) => (u.email.toLowerCase() === lower ? { ...u, requested: false } : u)));
-      })
+      .catch((e) => alert(e.message))
       .finally(() => setSendingFriendEmail(null));
   };
 
   const respondToFriendRequest = (requestId, action) => {
-    fetch(`${API_URL}/friends/respond`, {
+    authFetch(`${API_URL}/friends/respond`, {
       method: "POST",
-      headers: { "Content-Type": "application/json", ...authHeader() },
+      headers: { "Content-Type": "application/json" },
       body: JSON.stringify({ requestId, action }),
     })
       .then((res) => res.json())
@@ -285,6 +699,15 @@ export default function ChatPage() {
       });
   };
 
+  const handleCancelFriendRequest = async (requestId) => {
+    const res = await authFetch(`${API_URL}/friends/requests/${requestId}`, { method: "DELETE" });
+    if (!res.ok && res.status !== 404) {
+      const data = await res.json().catch(() => ({}));
+      alert(data?.error || "Could not cancel the request");
+    }
+    loadRequests(getToken());
+  };
+
   const handleAcceptFriendRequest = (id) => respondToFriendRequest(id, "accept");
   const handleRejectFriendRequest = (id) => respondToFriendRequest(id, "reject");
 
@@ -296,12 +719,13 @@ export default function ChatPage() {
     if (activeChat?.id === friend.id) {
       setActiveChat(null);
       setMessages([]);
+      setHasMoreMessages(false);
     }
 
     try {
-      const res = await fetch(`${API_URL}/friends/remove`, {
+      const res = await authFetch(`${API_URL}/friends/remove`, {
         method: "POST",
-        headers: { "Content-Type": "application/json", ...authHeader() },
+        headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ friendId: friend.id }),
       });
       if (!res.ok) throw new Error("remove failed");
@@ -313,16 +737,59 @@ export default function ChatPage() {
     }
   };
 
+  const stopTypingOut = () => {
+    const state = typingOutRef.current;
+    clearTimeout(state.idleTimer);
+    if (state.conversationId && socket?.connected) socket.emit("typing:stop", { conversationId: state.conversationId });
+    typingOutRef.current = { conversationId: null, lastSentAt: 0, idleTimer: null };
+  };
+
+  const notifyTyping = () => {
+    const conversationId = activeChat?.conversation_id;
+    if (!conversationId || !socket?.connected) return;
+    const state = typingOutRef.current;
+    if (state.conversationId !== conversationId) stopTypingOut();
+
+    const now = Date.now();
+    const current = typingOutRef.current;
+    if (now - current.lastSentAt > TYPING_THROTTLE_MS) {
+      socket.emit("typing:start", { conversationId });
+      current.lastSentAt = now;
+    }
+    current.conversationId = conversationId;
+    clearTimeout(current.idleTimer);
+    current.idleTimer = setTimeout(stopTypingOut, TYPING_IDLE_MS);
+  };
+
+  const typingLabel = () => {
+    if (!activeChat?.conversation_id) return "";
+    const ids = typingUsers[activeChat.conversation_id] || [];
+    if (ids.length === 0) return "";
+    const names = activeChat.is_group ? ids.map(memberName) : [activeChat.name];
+    if (names.length === 1) return `${names[0]} is typing…`;
+    if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+    return "Several people are typing…";
+  };
+
   const selectFriend = async (friend) => {
+    stopTypingOut();
     setActiveChat(friend);
     setMessages([]);
+    setHasMoreMessages(false);
     setLoadingMessages(true);
     setShowSidebar(false);
+    setShowGroupInfo(false);
+    setGroupMembers([]);
+    setReplyingTo(null);
+    activeChatRef.current = friend;
+    if (friend?.conversation_id) updateConversationItem(friend.conversation_id, (item) => ({ ...item, unread: 0 }));
+    if (friend?.is_group) loadGroupMembers(friend.conversation_id);
 
     if (!friend?.conversation_id) return setLoadingMessages(false);
 
+    let page;
     try {
-      await refreshMessagesForActive(friend);
+      page = await refreshMessagesForActive(friend);
     } finally {
       setLoadingMessages(false);
     }
@@ -331,34 +798,425 @@ export default function ChatPage() {
       socket.emit("join", { conversationId: friend.conversation_id });
       joinedConvosRef.current.add(friend.conversation_id);
     }
+    return page;
   };
 
-  const handleSendMessage = () => {
-    if (!newMessage.trim() || !activeChat?.conversation_id) return;
+  const handleOpenSearchResult = async (result) => {
+    const item = [...friends, ...groups].find((c) => c.conversation_id === result.conversation_id);
+    if (!item) return;
+    setShowMessageSearch(false);
+    const page = await selectFriend(item);
+    await revealMessage(item.conversation_id, result.id, page);
+  };
+
+  const senderName = (userId) => {
+    if (userId === currentUser?.id) return "You";
+    if (activeChat?.is_group) return memberName(userId);
+    return activeChat?.name || "Unknown";
+  };
+
+  const quotePreview = (m) => ({
+    id: m.id,
+    sender_id: m.sender_id,
+    sender_name: senderName(m.sender_id),
+    content: (m.content || "").slice(0, 140),
+    deleted: !!m.deleted,
+    has_attachments: (m.attachments || []).length > 0,
+  });
+
+  const quoteText = (q) => {
+    if (q.deleted) return "message deleted";
+    return q.content || (q.has_attachments ? "📎 Attachment" : "");
+  };
+
+  const startReply = (m) => {
+    setReplyingTo(m);
+    setEditingMessageId(null);
+  };
+
+  const jumpToMessage = (messageId) => {
+    const conversationId = activeChatRef.current?.conversation_id;
+    if (!conversationId) return;
+    revealMessage(conversationId, messageId, { messages, hasMore: hasMoreMessages });
+  };
+
+  const addFiles = (fileList) => {
+    const conversationId = activeChatRef.current?.conversation_id;
+    if (!conversationId) return;
+    Array.from(fileList || []).forEach((file) => {
+      const localId = `up-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      setPendingUploads((prev) => [...prev, { localId, conversationId, name: file.name, size: file.size, progress: 0, status: "uploading" }]);
+      const patch = (changes) => setPendingUploads((prev) => prev.map((u) => (u.localId === localId ? { ...u, ...changes } : u)));
+      uploadAttachment(conversationId, file, (progress) => patch({ progress }))
+        .then((attachment) => patch({ status: "done", progress: 100, attachment }))
+        .catch((e) => patch({ status: "error", error: e.message }));
+    });
+  };
 
-    const payload = { conversationId: activeChat.conversation_id, content: newMessage.trim() };
+  const removePendingUpload = (localId) => setPendingUploads((prev) => prev.filter((u) => u.localId !== localId));
 
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (e.dataTransfer?.files?.length) addFiles(e.dataTransfer.files);
+  };
+
+  const handlePaste = (e) => {
+    const files = e.clipboardData?.files;
+    if (files && files.length > 0) {
+      e.preventDefault();
+      addFiles(files);
+    }
+  };
+
+  // activeChat is a snapshot taken when the chat was opened; block state comes from the live friend list.
+  const activeFriend = activeChat && !activeChat.is_group ? friends.find((f) => f.conversation_id === activeChat.conversation_id) : null;
+  const activeFrozen = !!activeFriend?.frozen;
+
+  // Queued messages are rendered after the loaded history until the server has them.
+  const queuedForChat = outbox.filter(
+    (x) => String(x.conversation_id) === String(activeChat?.conversation_id) && !messages.some((m) => m.client_id === x.client_id)
+  );
+
+  const uploadsForChat = pendingUploads.filter((u) => u.conversationId === activeChat?.conversation_id);
+  const uploadsInFlight = uploadsForChat.some((u) => u.status === "uploading");
+
+  const handleSendMessage = () => {
+    const ready = uploadsForChat.filter((u) => u.status === "done");
+    if ((!newMessage.trim() && ready.length === 0) || !activeChat?.conversation_id || uploadsInFlight) return;
+
+    const clientId = newClientId();
     const optimistic = {
-      id: `tmp-${Date.now()}`,
-      conversation_id: payload.conversationId,
+      id: `tmp-${clientId}`,
+      client_id: clientId,
+      conversation_id: activeChat.conversation_id,
       sender_id: currentUser.id,
-      content: payload.content,
+      content: newMessage.trim(),
+      attachments: ready.map((u) => u.attachment),
+      reply_to: replyingTo ? quotePreview(replyingTo) : null,
       timestamp: new Date().toISOString(),
+      sendState: "pending",
     };
-    setMessages((prev) => [...prev, optimistic]);
+    setReplyingTo(null);
+    setPendingUploads((prev) => prev.filter((u) => u.conversationId !== optimistic.conversation_id || u.status !== "done"));
+    if (socket?.connected) {
+      setMessages((prev) => [...prev, optimistic]);
+      deliverMessage(optimistic);
+    } else {
+      queueMessage(optimistic);
+    }
 
-    if (socket?.connected) socket.emit("sendMessage", payload);
+    setNewMessage("");
+    clearTimeout(typingOutRef.current.idleTimer);
+    typingOutRef.current = { conversationId: null, lastSentAt: 0, idleTimer: null };
+  };
+
+  // Errors flagged `rejected` come from the server refusing the message; anything else is the connection.
+  const postMessage = async (m) => {
+    if (!socket?.connected) throw new Error("not connected");
+    const reply = await socket.timeout(SEND_ACK_TIMEOUT_MS).emitWithAck("sendMessage", {
+      conversationId: m.conversation_id,
+      clientId: m.client_id,
+      content: m.content,
+      attachmentIds: (m.attachments || []).map((a) => a.id),
+      replyToId: m.reply_to?.id || null,
+    });
+    if (reply?.error) throw Object.assign(new Error(reply.error), { rejected: true, retryAfter: reply.retryAfter || 0 });
+    return reply.message;
+  };
+
+  // Resending the same client_id is safe: the server hands back the stored row if the first attempt got through.
+  const deliverMessage = async (m) => {
+    try {
+      const message = await postMessage(m);
+      if (!message || String(activeChatRef.current?.conversation_id) !== String(m.conversation_id)) return;
+      setMessages((prev) => mergeMessage(prev, { ...message, timestamp: message.created_at || m.timestamp }));
+    } catch (err) {
+      const sendError = err.retryAfter ? `${err.message} (try again in ${err.retryAfter}s)` : err.message;
+      setMessages((prev) =>
+        prev.map((x) => (x.client_id === m.client_id && String(x.id).startsWith("tmp-") ? { ...x, sendState: "failed", sendError } : x))
+      );
+    }
+  };
+
+  const retrySend = (m) => {
+    if (!socket?.connected) {
+      setMessages((prev) => prev.filter((x) => x.id !== m.id));
+      queueMessage(m);
+      return;
+    }
+    setMessages((prev) => prev.map((x) => (x.id === m.id ? { ...x, sendState: "pending", sendError: null } : x)));
+    deliverMessage(m);
+  };
+
+  const setQueuedState = (clientId, sendState) =>
+    setOutbox((prev) => prev.map((x) => (x.client_id === clientId ? { ...x, sendState } : x)));
+
+  const dropQueued = (clientId) => {
+    setOutbox((prev) => prev.filter((x) => x.client_id !== clientId));
+    return removeOutboxMessage(clientId);
+  };
+
+  const queueMessage = (m) => {
+    const item = { ...m, owner_id: currentUser.id, sendState: "queued", sendError: null, queued_at: Date.now() };
+    setOutbox((prev) => [...prev, item]);
+    putOutboxMessage(item);
+  };
+
+  const cancelQueued = (m) => dropQueued(m.client_id);
+
+  // Sends queued messages one at a time, oldest first, and stops at the first connection problem
+  // so nothing overtakes a message that is still waiting.
+  const flushOutbox = async () => {
+    if (flushingRef.current) return;
+    flushingRef.current = true;
+    try {
+      for (const { client_id: clientId } of [...outboxRef.current]) {
+        // Re-read each entry: it may have been edited or cancelled while earlier ones were sending.
+        const item = outboxRef.current.find((x) => x.client_id === clientId);
+        if (!item) continue;
+        if (!socket?.connected) break;
+        setQueuedState(clientId, "sending");
+        try {
+          const message = await postMessage(item);
+          await dropQueued(clientId);
+          if (message && String(activeChatRef.current?.conversation_id) === String(item.conversation_id)) {
+            setMessages((prev) => mergeMessage(prev, { ...message, timestamp: message.created_at || item.timestamp }));
+          }
+        } catch (err) {
+          if (!err.rejected || err.retryAfter) {
+            setQueuedState(clientId, "queued");
+            // Throttled: try the rest of the queue again once the server allows it.
+            if (err.retryAfter) setTimeout(flushOutbox, err.retryAfter * 1000);
+            break;
+          }
+          // Sending it again unchanged will not help; it becomes an ordinary failed message with Retry/Discard.
+          await dropQueued(clientId);
+          if (String(activeChatRef.current?.conversation_id) === String(item.conversation_id)) {
+            setMessages((prev) => [...prev, { ...item, sendState: "failed", sendError: err.message }]);
+          }
+        }
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+  };
+  flushOutboxRef.current = flushOutbox;
+
+  const discardFailed = (m) => setMessages((prev) => prev.filter((x) => x.id !== m.id));
+
+  const applyMessageUpdate = (msg) => {
+    if (!msg) return;
+    setMessages((prev) =>
+      prev.map((m) => {
+        if (m.id === msg.id) return { ...m, ...msg, timestamp: m.timestamp };
+        // Quotes of an edited or deleted message follow the original.
+        if (m.reply_to && String(m.reply_to.id) === String(msg.id)) {
+          return { ...m, reply_to: { ...m.reply_to, content: msg.deleted ? null : (msg.content || "").slice(0, 140), deleted: !!msg.deleted } };
+        }
+        return m;
+      })
+    );
+    setReplyingTo((current) => (current && current.id === msg.id && msg.deleted ? null : current));
+  };
+
+  const startEditing = (m) => {
+    setEditingMessageId(m.id);
+    setEditDraft(m.content || "");
+  };
+
+  const cancelEditing = () => {
+    setEditingMessageId(null);
+    setEditDraft("");
+  };
+
+  const handleSaveEdit = (m) => {
+    const content = editDraft.trim();
+    if (!content || content === m.content) return cancelEditing();
+
+    if (m.sendState === "queued") {
+      const item = outbox.find((x) => x.client_id === m.client_id);
+      if (item) {
+        setOutbox((prev) => prev.map((x) => (x.client_id === m.client_id ? { ...x, content } : x)));
+        putOutboxMessage({ ...item, content });
+      }
+      return cancelEditing();
+    }
+
+    if (socket?.connected) socket.emit("editMessage", { messageId: m.id, content });
     else {
-      fetch(`${API_URL}/conversations/${payload.conversationId}/messages`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json", ...authHeader() },
-        body: JSON.stringify({ content: payload.content }),
-      }).then(() => refreshMessagesForActive(activeChat));
+      authFetch(`${API_URL}/conversations/${m.conversation_id}/messages/${m.id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ content }),
+      })
+        .then((res) => (res.ok ? res.json() : null))
+        .then((data) => applyMessageUpdate(data?.message));
     }
+    cancelEditing();
+  };
 
-    setNewMessage("");
+  const handleDeleteMessage = (m) => {
+    if (!window.confirm("Delete this message for everyone?")) return;
+
+    if (socket?.connected) socket.emit("deleteMessage", { messageId: m.id });
+    else {
+      authFetch(`${API_URL}/conversations/${m.conversation_id}/messages/${m.id}`, {
+        method: "DELETE",
+      })
+        .then((res) => (res.ok ? res.json() : null))
+        .then((data) => applyMessageUpdate(data?.message));
+    }
   };
 
+  const renderAttachments = (m) =>
+    (m.attachments || []).length > 0 && (
+      <div className="flex flex-col gap-2 mb-1">
+        {m.attachments.map((a) =>
+          a.has_thumbnail ? (
+            <a key={a.id} href={attachmentUrl(a)} target="_blank" rel="noreferrer">
+              <img src={attachmentUrl(a, "thumbnail")} alt={a.filename} className="rounded max-h-60 max-w-full" loading="lazy" />
+            </a>
+          ) : (
+            <a
+              key={a.id}
+              href={attachmentUrl(a)}
+              target="_blank"
+              rel="noreferrer"
+              className="flex items-center gap-2 p-2 rounded bg-black/20 hover:bg-black/30"
+            >
+              <span>📎</span>
+              <span className="truncate">{a.filename}</span>
+              <span className="text-xs text-gray-400">{formatBytes(a.size)}</span>
+            </a>
+          )
+        )}
+      </div>
+    );
+
+  const toggleReaction = (m, emoji) => {
+    const mine = (m.reactions || []).some((r) => r.emoji === emoji && r.users.some((u) => u.id === currentUser.id));
+
+    if (socket?.connected) {
+      socket.emit(mine ? "removeReaction" : "addReaction", { messageId: m.id, emoji });
+      return;
+    }
+    const base = `${API_URL}/conversations/${m.conversation_id}/messages/${m.id}/reactions`;
+    authFetch(mine ? `${base}/${encodeURIComponent(emoji)}` : base, {
+      method: mine ? "DELETE" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: mine ? undefined : JSON.stringify({ emoji }),
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (data?.reactions) setMessages((prev) => prev.map((x) => (x.id === m.id ? { ...x, reactions: data.reactions } : x)));
+      });
+  };
+
+  const renderReactionMenu = (m, isMine) => (
+    <div
+      className={`absolute -top-4 ${isMine ? "right-2" : "left-2"} hidden group-hover:flex gap-1 px-2 py-1 rounded-full bg-[#071017] border border-gray-700 shadow z-10`}
+    >
+      {QUICK_REACTIONS.map((emoji) => (
+        <button key={emoji} onClick={() => toggleReaction(m, emoji)} className="hover:scale-125 transition-transform">
+          {emoji}
+        </button>
+      ))}
+    </div>
+  );
+
+  const renderReactionChips = (m) =>
+    (m.reactions || []).length > 0 && (
+      <div className="flex flex-wrap gap-1 mt-1">
+        {m.reactions.map((r) => {
+          const mine = r.users.some((u) => u.id === currentUser.id);
+          return (
+            <button
+              key={r.emoji}
+              onClick={() => toggleReaction(m, r.emoji)}
+              title={r.users.map((u) => (u.id === currentUser.id ? "You" : u.name)).join(", ")}
+              className={`px-1.5 py-0.5 rounded-full text-xs border ${
+                mine ? "border-[#00FF99] bg-[#00FF99]/20" : "border-gray-700 bg-black/20"
+              }`}
+            >
+              {r.emoji} {r.count}
+            </button>
+          );
+        })}
+      </div>
+    );
+
+  const renderTicks = (m) => {
+    if (m.sendState === "queued") {
+      return (
+        <span className="flex items-center gap-2 text-yellow-200" title="Will be sent when you reconnect">
+          Queued
+          {editingMessageId !== m.id && (
+            <>
+              <button onClick={() => startEditing(m)} className="hover:text-white">
+                Edit
+              </button>
+              <button onClick={() => cancelQueued(m)} className="hover:text-red-300">
+                Cancel
+              </button>
+            </>
+          )}
+        </span>
+      );
+    }
+    if (m.sendState === "failed") {
+      return (
+        <span className="flex items-center gap-2 text-red-300" title={m.sendError || "Not sent"}>
+          Not sent
+          <button onClick={() => retrySend(m)} className="underline hover:text-white">
+            Retry
+          </button>
+          <button onClick={() => discardFailed(m)} className="hover:text-white">
+            Discard
+          </button>
+        </span>
+      );
+    }
+    if (String(m.id).startsWith("tmp-")) return <span title="Sending">🕓</span>;
+    if (m.status === "read") return <span className="text-sky-300" title="Read">✓✓</span>;
+    if (m.status === "delivered") return <span title="Delivered">✓✓</span>;
+    return <span title="Sent">✓</span>;
+  };
+
+  const formatLastSeen = (iso) => {
+    if (!iso) return "offline";
+    const minutes = Math.floor((now - new Date(iso).getTime()) / 60000);
+    if (minutes < 1) return "last seen just now";
+    if (minutes < 60) return `last seen ${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `last seen ${hours} h ago`;
+    return `last seen ${new Date(iso).toLocaleDateString()}`;
+  };
+
+  const presenceLabel = (userId) => (presence[userId]?.online ? "online" : formatLastSeen(presence[userId]?.lastSeenAt));
+
+  const previewText = (item, fallback) => {
+    const last = item.lastMessage;
+    if (!last) return fallback;
+    if (last.deleted) return "message deleted";
+    const prefix = last.sender_id === currentUser?.id ? "You: " : "";
+    return `${prefix}${last.content || "📎 Attachment"}`;
+  };
+
+  const renderUnreadBadge = (item) =>
+    item.unread > 0 ? (
+      <span className="ml-2 min-w-[1.25rem] px-1.5 py-0.5 rounded-full bg-[#00FF99] text-black text-xs text-center">
+        {item.unread > 99 ? "99+" : item.unread}
+      </span>
+    ) : null;
+
+  const renderPresenceDot = (userId) => (
+    <span
+      className={`inline-block w-2.5 h-2.5 rounded-full mr-2 ${presence[userId]?.online ? "bg-green-400" : "bg-gray-600"}`}
+      title={presenceLabel(userId)}
+    />
+  );
+
   const formatTime = (iso) => new Date(iso).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
   const groupMessagesByDate = (msgs) =>
     msgs.reduce((g, m) => {
@@ -368,13 +1226,247 @@ export default function ChatPage() {
       return g;
     }, {});
 
-  const handleLogout = () => {
-    removeToken();
-    try { removeUser(); } catch {}
+  const toggleNewGroupMember = (userId) => {
+    setNewGroupMemberIds((prev) => (prev.includes(userId) ? prev.filter((id) => id !== userId) : [...prev, userId]));
+  };
+
+  const closeNewGroup = () => {
+    setShowNewGroup(false);
+    setNewGroupTitle("");
+    setNewGroupMemberIds([]);
+  };
+
+  const handleCreateGroup = async () => {
+    const title = newGroupTitle.trim();
+    if (!title || newGroupMemberIds.length === 0) return;
+    try {
+      const res = await authFetch(`${API_URL}/groups`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ title, memberIds: newGroupMemberIds }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Create group failed");
+      closeNewGroup();
+      loadFriends(getToken());
+      const conv = data.conversation;
+      selectFriend({
+        id: `group-${conv.id}`,
+        is_group: true,
+        name: conv.title,
+        member_count: conv.members?.length,
+        role: "owner",
+        conversation_id: conv.id,
+      });
+    } catch (e) {
+      alert(e.message || "Create group failed");
+    }
+  };
+
+  const groupRequest = async (path, method, body) => {
+    const res = await authFetch(`${API_URL}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data?.error || "Request failed");
+    return data;
+  };
+
+  const handleRenameGroup = async () => {
+    const title = groupTitleDraft.trim();
+    if (!title || !activeChat?.is_group) return;
+    try {
+      await groupRequest(`/groups/${activeChat.conversation_id}`, "PATCH", { title });
+      setActiveChat((prev) => (prev ? { ...prev, name: title } : prev));
+      setGroupTitleDraft("");
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  const handleAddGroupMember = async (userId) => {
+    if (!activeChat?.is_group || !userId) return;
+    try {
+      const data = await groupRequest(`/groups/${activeChat.conversation_id}/members`, "POST", { userIds: [Number(userId)] });
+      setGroupMembers(data.members || []);
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  const handleRemoveGroupMember = async (userId) => {
+    if (!activeChat?.is_group) return;
+    try {
+      const data = await groupRequest(`/groups/${activeChat.conversation_id}/members/${userId}`, "DELETE");
+      setGroupMembers(data.members || []);
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  const handleLeaveGroup = async () => {
+    if (!activeChat?.is_group) return;
+    const conversationId = activeChat.conversation_id;
+    try {
+      await groupRequest(`/groups/${conversationId}/leave`, "POST");
+      joinedConvosRef.current.delete(conversationId);
+      setActiveChat(null);
+      setMessages([]);
+      setShowGroupInfo(false);
+      loadFriends(getToken());
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  const handleBlockUser = async (user) => {
+    if (!user?.id || !window.confirm(`Block ${user.name}? They won't be able to message you or send you friend requests.`)) return;
+    const res = await authFetch(`${API_URL}/blocks`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ userId: user.id }),
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      return alert(data?.error || "Block failed");
+    }
+    loadBlocks();
+    loadFriends(getToken());
+    loadRequests(getToken());
+  };
+
+  const handleUnblockUser = async (userId) => {
+    const res = await authFetch(`${API_URL}/blocks/${userId}`, { method: "DELETE" });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      return alert(data?.error || "Unblock failed");
+    }
+    loadBlocks();
+    loadFriends(getToken());
+  };
+
+  const memberName = (userId) => groupMembers.find((m) => m.id === userId)?.name || "Unknown";
+
+  const renderGroupsSection = () => (
+    <div className="p-3 border-b border-gray-800">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-sm text-[#00FF99] font-semibold">Groups</div>
+        <button
+          onClick={() => setShowNewGroup(true)}
+          className="px-2 py-1 rounded bg-[#0b2] text-black text-xs"
+          disabled={friends.length === 0}
+          title={friends.length === 0 ? "Add friends to start a group" : "New group"}
+        >
+          New group
+        </button>
+      </div>
+      {groups.length > 0 ? (
+        <ul>
+          {groups.map((g) => (
+            <li
+              key={g.id}
+              onClick={() => selectFriend(g)}
+              className={`p-2 rounded cursor-pointer hover:bg-[#07171b] ${
+                activeChat?.id === g.id ? "bg-[#07171b] border-l-4 border-[#00FF99]" : ""
+              }`}
+            >
+              <div className="font-medium flex items-center justify-between">
+                <span>{g.name}</span>
+                {renderUnreadBadge(g)}
+              </div>
+              <div className="text-xs text-gray-400 truncate">{previewText(g, `${g.member_count} members`)}</div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="text-xs text-gray-500">No groups yet</div>
+      )}
+    </div>
+  );
+
+  // Rejected requests stay listed until dismissed, so the sender knows where they stand.
+  const renderSentRequestsSection = () =>
+    sentRequests.length > 0 && (
+      <div className="p-3 border-b border-gray-800">
+        <div className="text-sm text-[#00FF99] mb-2 font-semibold">Sent requests</div>
+        <ul>
+          {sentRequests.map((req) => (
+            <li key={req.id} className="flex items-center justify-between p-2 hover:bg-[#07171b] rounded">
+              <div className="min-w-0">
+                <div className="font-medium truncate">{req.name}</div>
+                <div className="text-xs text-gray-400 truncate">
+                  {req.email} · {req.status === "rejected" ? "declined" : "pending"}
+                </div>
+              </div>
+              <button onClick={() => handleCancelFriendRequest(req.id)} className="ml-3 px-2 py-1 bg-[#061018] rounded text-xs">
+                {req.status === "rejected" ? "Dismiss" : "Cancel"}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+
+  const renderBlockedSection = () => (
+    <div className="p-3 border-b border-gray-800">
+      <div className="text-sm text-[#00FF99] font-semibold mb-2">Blocked users</div>
+      {blockedUsers.length > 0 ? (
+        <ul>
+          {blockedUsers.map((b) => (
+            <li key={b.id} className="flex items-center justify-between p-2 rounded hover:bg-[#07171b]">
+              <div className="min-w-0">
+                <div className="font-medium truncate">{b.name}</div>
+                <div className="text-xs text-gray-400 truncate">{b.email}</div>
+              </div>
+              <button onClick={() => handleUnblockUser(b.id)} className="ml-3 px-2 py-1 bg-[#061018] rounded text-xs">
+                Unblock
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="text-xs text-gray-500">No one is blocked</div>
+      )}
+    </div>
+  );
+
+  const resendVerification = async () => {
+    setVerificationNotice("Sending...");
+    try {
+      const res = await authFetch(`${API_URL}/auth/resend-verification`, { method: "POST" });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Could not send the email");
+      setVerificationNotice(`Sent to ${currentUser.email}`);
+    } catch (e) {
+      setVerificationNotice(e.message || "Could not send the email");
+    }
+  };
+
+  const handleLogout = async () => {
+    socket?.off();
     socket?.disconnect();
+    try {
+      await authFetch(`${API_URL}/logout`, { method: "POST" });
+    } catch (e) {}
+    clearSession();
     navigate("/login", { replace: true });
   };
 
+  const handleProfileSaved = (user) => {
+    setCurrentUser(user);
+    try { setUser(user); } catch {}
+  };
+
+  // The server has already revoked every session, so there is nothing to log out of.
+  const handleAccountDeleted = () => {
+    socket?.off();
+    socket?.disconnect();
+    clearSession();
+    navigate("/signup", { replace: true });
+  };
+
   if (!currentUser)
     return (
       <div className="flex items-center justify-center h-screen text-gray-400 bg-[#0D1117]">
@@ -394,8 +1486,13 @@ export default function ChatPage() {
       
       <aside className="hidden md:flex w-1/4 flex-col bg-[#071017] border-r border-gray-800 themed-scroll">
         <div className="p-4 border-b border-gray-800">
-          <div className="text-lg font-semibold">{currentUser.name}</div>
-          <div className="text-xs text-gray-400">{currentUser.email}</div>
+          <button onClick={() => setShowProfile(true)} className="flex items-center gap-3 text-left w-full" title="Edit profile">
+            <Avatar user={currentUser} size={40} />
+            <div className="min-w-0">
+              <div className="text-lg font-semibold">{currentUser.name}</div>
+              <div className="text-xs text-gray-400 truncate">{currentUser.status_text || currentUser.email}</div>
+            </div>
+          </button>
           <div className="mt-3">
             <input
               value={searchQuery}
@@ -413,15 +1510,18 @@ export default function ChatPage() {
               {searchResults.map((u) => {
                 const isFriend = friends.some((f) => f.email === u.email);
                 const alreadyRequested =
-                  u.requested === true || friendRequests.some((req) => req.email === u.email);
+                  sentRequests.some((req) => req.email === u.email && req.status === "pending") || friendRequests.some((req) => req.email === u.email);
                 const isMe = currentUser && u.email.toLowerCase() === currentUser.email.toLowerCase();
                 const pendingThis = sendingFriendEmail && sendingFriendEmail === u.email.toLowerCase();
 
                 return (
                   <li key={u.id} className="flex items-center justify-between p-2 hover:bg-[#07171b] rounded">
-                    <div>
-                      <div className="font-medium">{u.name}</div>
-                      <div className="text-xs text-gray-400">{u.email}</div>
+                    <div className="flex items-center gap-2 min-w-0">
+                      <Avatar user={u} size={32} />
+                      <div className="min-w-0">
+                        <div className="font-medium">{u.name}</div>
+                        <div className="text-xs text-gray-400 truncate">{u.status_text || u.email}</div>
+                      </div>
                     </div>
 
                     {isMe ? (
@@ -470,6 +1570,10 @@ export default function ChatPage() {
           )}
         </div>
 
+        {renderSentRequestsSection()}
+        {renderGroupsSection()}
+        {renderBlockedSection()}
+
         <div className="p-3 flex-1 overflow-y-auto themed-scroll">
           <div className="text-sm text-[#00FF99] font-semibold mb-2">Friends</div>
           {friends.length > 0 ? (
@@ -481,9 +1585,16 @@ export default function ChatPage() {
                     activeChat?.id === f.id ? "bg-[#07171b] border-l-4 border-[#00FF99]" : ""
                   }`}
                 >
-                  <div className="flex-1 cursor-pointer" onClick={() => selectFriend(f)}>
-                    <div className="font-medium">{f.name}</div>
-                    <div className="text-xs text-gray-400">{f.email}</div>
+                  <div className="flex-1 min-w-0 cursor-pointer flex items-center gap-2" onClick={() => selectFriend(f)}>
+                    <Avatar user={f} size={36} />
+                    <div className="min-w-0 flex-1">
+                      <div className="font-medium flex items-center">
+                        {renderPresenceDot(f.id)}
+                        {f.name}
+                        {renderUnreadBadge(f)}
+                      </div>
+                      <div className="text-xs text-gray-400 truncate">{previewText(f, f.status_text || f.email)}</div>
+                    </div>
                   </div>
                   <button
                     onClick={() => handleRemoveFriend(f)}
@@ -510,8 +1621,13 @@ export default function ChatPage() {
               <button onClick={() => setShowSidebar(false)} className="text-gray-300">✕</button>
             </div>
             <div className="p-4 border-b border-gray-800">
-              <div className="text-lg font-semibold">{currentUser.name}</div>
-              <div className="text-xs text-gray-400">{currentUser.email}</div>
+              <button onClick={() => setShowProfile(true)} className="flex items-center gap-3 text-left w-full" title="Edit profile">
+                <Avatar user={currentUser} size={40} />
+                <div className="min-w-0">
+                  <div className="text-lg font-semibold">{currentUser.name}</div>
+                  <div className="text-xs text-gray-400 truncate">{currentUser.status_text || currentUser.email}</div>
+                </div>
+              </button>
               <div className="mt-3">
                 <input
                   value={searchQuery}
@@ -528,14 +1644,17 @@ export default function ChatPage() {
                   {searchResults.map((u) => {
                     const isFriend = friends.some((f) => f.email === u.email);
                     const alreadyRequested =
-                      u.requested === true || friendRequests.some((req) => req.email === u.email);
+                      sentRequests.some((req) => req.email === u.email && req.status === "pending") || friendRequests.some((req) => req.email === u.email);
                     const isMe = currentUser && u.email.toLowerCase() === currentUser.email.toLowerCase();
                     const pendingThis = sendingFriendEmail && sendingFriendEmail === u.email.toLowerCase();
                     return (
                       <li key={u.id} className="flex items-center justify-between p-2 hover:bg-[#07171b] rounded">
-                        <div>
-                          <div className="font-medium">{u.name}</div>
-                          <div className="text-xs text-gray-400">{u.email}</div>
+                        <div className="flex items-center gap-2 min-w-0">
+                          <Avatar user={u} size={32} />
+                          <div className="min-w-0">
+                            <div className="font-medium">{u.name}</div>
+                            <div className="text-xs text-gray-400 truncate">{u.status_text || u.email}</div>
+                          </div>
                         </div>
                         {isMe ? (
                           <span className="text-xs text-gray-500">You</span>
@@ -581,6 +1700,9 @@ export default function ChatPage() {
                 <div className="text-xs text-gray-500">No requests</div>
               )}
             </div>
+            {renderSentRequestsSection()}
+            {renderGroupsSection()}
+            {renderBlockedSection()}
             <div className="p-3">
               <div className="text-sm text-[#00FF99] font-semibold mb-2">Friends</div>
               {friends.length > 0 ? (
@@ -592,9 +1714,16 @@ export default function ChatPage() {
                         activeChat?.id === f.id ? "bg-[#07171b] border-l-4 border-[#00FF99]" : ""
                       }`}
                     >
-                      <div className="flex-1 cursor-pointer" onClick={() => selectFriend(f)}>
-                        <div className="font-medium">{f.name}</div>
-                        <div className="text-xs text-gray-400">{f.email}</div>
+                      <div className="flex-1 min-w-0 cursor-pointer flex items-center gap-2" onClick={() => selectFriend(f)}>
+                        <Avatar user={f} size={36} />
+                        <div className="min-w-0 flex-1">
+                          <div className="font-medium flex items-center">
+                            {renderPresenceDot(f.id)}
+                            {f.name}
+                            {renderUnreadBadge(f)}
+                          </div>
+                          <div className="text-xs text-gray-400 truncate">{previewText(f, f.status_text || f.email)}</div>
+                        </div>
                       </div>
                       <button
                         onClick={() => handleRemoveFriend(f)}
@@ -614,46 +1743,243 @@ export default function ChatPage() {
         </div>
       )}
 
-      <div className="flex-1 flex flex-col">
+      <div
+        className={`flex-1 flex flex-col ${dragActive ? "ring-2 ring-inset ring-[#00FF99]" : ""}`}
+        onDragOver={(e) => {
+          if (!activeChat?.conversation_id || !e.dataTransfer?.types?.includes("Files")) return;
+          e.preventDefault();
+          setDragActive(true);
+        }}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false);
+        }}
+        onDrop={handleDrop}
+      >
+        {currentUser.email_verified === false && (
+          <div className="px-4 py-2 bg-[#2b2410] text-yellow-200 text-sm flex items-center justify-between gap-2">
+            <span>Confirm your email address to send friend requests and appear in search.</span>
+            <span className="flex items-center gap-2 text-xs">
+              {verificationNotice && <span className="text-gray-300">{verificationNotice}</span>}
+              <button onClick={resendVerification} className="px-2 py-1 bg-[#061018] rounded">
+                Resend email
+              </button>
+            </span>
+          </div>
+        )}
         <header className="p-4 border-b border-gray-800 flex items-center justify-between bg-[#041018]">
           <div className="flex items-center gap-3">
             <button className="md:hidden px-2 py-1 bg-[#061018] rounded" onClick={() => setShowSidebar(true)}>
               ☰
             </button>
-            <div>
+            {activeChat && !activeChat.is_group && <Avatar user={activeChat} size={40} />}
+            <div title={activeChat && !activeChat.is_group ? activeChat.bio || "" : undefined}>
               <div className="text-lg font-semibold">{activeChat ? activeChat.name : "Select a friend"}</div>
-              <div className="text-xs text-gray-400">{activeChat ? activeChat.email : ""}</div>
+              {typingLabel() ? (
+                <div className="text-xs text-[#00FF99] italic">{typingLabel()}</div>
+              ) : (
+                <div className="text-xs text-gray-400 truncate max-w-xs">
+                  {activeChat?.is_group
+                    ? groupMembers.map((m) => m.name).join(", ")
+                    : activeChat
+                    ? `${presenceLabel(activeChat.id)} · ${activeChat.status_text || activeChat.email}`
+                    : ""}
+                </div>
+              )}
             </div>
+            {activeChat?.is_group && (
+              <button onClick={() => setShowGroupInfo((v) => !v)} className="px-2 py-1 bg-[#061018] rounded text-xs">
+                {showGroupInfo ? "Hide info" : "Group info"}
+              </button>
+            )}
+            {activeChat && !activeChat.is_group && (
+              <button
+                onClick={() => (activeFriend?.blocked_by_me ? handleUnblockUser(activeChat.id) : handleBlockUser(activeChat))}
+                className="px-2 py-1 bg-[#061018] rounded text-xs"
+              >
+                {activeFriend?.blocked_by_me ? "Unblock" : "Block"}
+              </button>
+            )}
           </div>
 
           <div className="flex items-center gap-4">
+            <button onClick={() => setShowMessageSearch(true)} className="px-3 py-1 bg-[#061018] rounded">
+              Search
+            </button>
             <div className="flex items-center gap-2 text-xs text-gray-300">
               <span className={`w-3 h-3 rounded-full ${socketConnected ? "bg-green-400" : "bg-red-500"}`} />
               <span>{socketConnected ? "Connected" : "Disconnected"}</span>
             </div>
+            <button onClick={() => setShowProfile(true)} className="px-3 py-1 bg-[#061018] rounded">
+              Profile
+            </button>
+            <button onClick={() => setShowSessions(true)} className="px-3 py-1 bg-[#061018] rounded">
+              Sessions
+            </button>
+            <button onClick={() => setShowChangePassword(true)} className="px-3 py-1 bg-[#061018] rounded">
+              Password
+            </button>
             <button onClick={handleLogout} className="px-3 py-1 bg-[#061018] rounded">
               Logout
             </button>
           </div>
         </header>
 
+        {activeChat?.is_group && showGroupInfo && (
+          <section className="p-4 border-b border-gray-800 bg-[#071017] text-sm space-y-3">
+            <div className="flex gap-2">
+              <input
+                value={groupTitleDraft}
+                onChange={(e) => setGroupTitleDraft(e.target.value)}
+                placeholder={`Rename "${activeChat.name}"`}
+                className="flex-1 p-2 bg-[#061018] border border-[#123] rounded text-sm"
+              />
+              <button onClick={handleRenameGroup} className="px-3 py-1 bg-[#0b2] text-black rounded">
+                Rename
+              </button>
+            </div>
+            <ul>
+              {groupMembers.map((m) => {
+                const canRemove = m.id !== currentUser.id && groupMembers.some((x) => x.id === currentUser.id && x.role === "owner");
+                return (
+                  <li key={m.id} className="flex items-center justify-between p-2 rounded hover:bg-[#07171b]">
+                    <div>
+                      <div className="font-medium">
+                        {m.name} {m.id === currentUser.id && <span className="text-xs text-gray-500">(you)</span>}
+                      </div>
+                      <div className="text-xs text-gray-400">
+                        {m.email}
+                        {m.role === "owner" ? " · owner" : ""}
+                      </div>
+                    </div>
+                    {canRemove && (
+                      <button onClick={() => handleRemoveGroupMember(m.id)} className="px-2 py-1 bg-red-600 text-white rounded text-xs">
+                        Remove
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+            <div className="flex items-center justify-between gap-2">
+              <select
+                value=""
+                onChange={(e) => handleAddGroupMember(e.target.value)}
+                className="flex-1 p-2 bg-[#061018] border border-[#123] rounded text-sm"
+              >
+                <option value="">Add a friend to this group...</option>
+                {friends
+                  .filter((f) => !groupMembers.some((m) => m.id === f.id))
+                  .map((f) => (
+                    <option key={f.id} value={f.id}>
+                      {f.name}
+                    </option>
+                  ))}
+              </select>
+              <button onClick={handleLeaveGroup} className="px-3 py-1 bg-red-600 text-white rounded">
+                Leave group
+              </button>
+            </div>
+          </section>
+        )}
+
         {activeChat ? (
           <>
-            <main className="flex-1 overflow-y-auto themed-scroll p-4 bg-[#06131a]">
+            <main
+              ref={messagesContainerRef}
+              onScroll={handleMessagesScroll}
+              className="flex-1 overflow-y-auto themed-scroll p-4 bg-[#06131a]"
+            >
               {loadingMessages ? (
                 <div className="flex items-center justify-center h-full text-gray-400">Loading messages...</div>
               ) : (
                 <>
-                  {Object.entries(groupMessagesByDate(messages)).map(([date, msgs]) => (
+                  {loadingOlder && <div className="text-center text-xs text-gray-400 my-2">Loading older messages...</div>}
+                  {!hasMoreMessages && messages.length > 0 && (
+                    <div className="text-center text-xs text-gray-500 my-2">Beginning of conversation</div>
+                  )}
+                  {Object.entries(groupMessagesByDate([...messages, ...queuedForChat])).map(([date, msgs]) => (
                     <div key={date}>
                       <div className="text-center text-xs text-gray-400 my-4">{date}</div>
                       {msgs.map((m) => {
                         const isMine = m.sender_id === currentUser.id;
+                        const isEditing = editingMessageId === m.id;
+                        const canModify = isMine && !m.deleted && !String(m.id).startsWith("tmp-");
                         return (
-                          <div key={m.id || Math.random()} className={`flex mb-4 ${isMine ? "justify-end" : "justify-start"}`}>
-                            <div className={`p-3 rounded-xl max-w-md ${isMine ? "bg-[#1f8b5a] text-white" : "bg-[#0e1619] text-[#E6EDF3]"}`}>
-                              <div>{m.content}</div>
-                              <div className="text-xs text-gray-400 mt-1">{formatTime(m.timestamp)}</div>
+                          <div
+                            key={m.id || Math.random()}
+                            id={`msg-${m.id}`}
+                            className={`flex mb-4 ${isMine ? "justify-end" : "justify-start"}`}
+                          >
+                            <div
+                              className={`group relative p-3 rounded-xl max-w-md transition-shadow ${
+                                isMine ? "bg-[#1f8b5a] text-white" : "bg-[#0e1619] text-[#E6EDF3]"
+                              } ${m.sendState === "queued" ? "opacity-70 border border-dashed border-white/40" : ""} ${String(highlightedMessageId) === String(m.id) ? "ring-2 ring-[#00FF99]" : ""}`}
+                            >
+                              {!m.deleted && !String(m.id).startsWith("tmp-") && renderReactionMenu(m, isMine)}
+                              {activeChat.is_group && !isMine && (
+                                <div className="text-xs font-semibold text-[#00FF99] mb-1">{memberName(m.sender_id)}</div>
+                              )}
+                              {m.reply_to && !m.deleted && (
+                                <button
+                                  onClick={() => jumpToMessage(m.reply_to.id)}
+                                  className="block w-full text-left mb-2 pl-2 border-l-4 border-[#00FF99] bg-black/20 rounded text-xs py-1 pr-2 hover:bg-black/30"
+                                >
+                                  <div className="font-semibold text-[#00FF99]">
+                                    {m.reply_to.sender_id === currentUser.id ? "You" : m.reply_to.sender_name}
+                                  </div>
+                                  <div className={`truncate ${m.reply_to.deleted ? "italic text-gray-400" : ""}`}>{quoteText(m.reply_to)}</div>
+                                </button>
+                              )}
+                              {m.deleted ? (
+                                <div className="italic text-gray-400">message deleted</div>
+                              ) : isEditing ? (
+                                <div className="flex flex-col gap-2">
+                                  <input
+                                    value={editDraft}
+                                    autoFocus
+                                    onChange={(e) => setEditDraft(e.target.value)}
+                                    onKeyDown={(e) => {
+                                      if (e.key === "Enter") handleSaveEdit(m);
+                                      if (e.key === "Escape") cancelEditing();
+                                    }}
+                                    className="p-1 bg-[#061018] border border-[#123] rounded text-sm text-[#E6EDF3]"
+                                  />
+                                  <div className="flex justify-end gap-2 text-xs">
+                                    <button onClick={cancelEditing} className="px-2 py-0.5 bg-[#061018] rounded">
+                                      Cancel
+                                    </button>
+                                    <button onClick={() => handleSaveEdit(m)} className="px-2 py-0.5 bg-[#0b2] text-black rounded">
+                                      Save
+                                    </button>
+                                  </div>
+                                </div>
+                              ) : (
+                                <>
+                                  {renderAttachments(m)}
+                                  {m.content && <div>{m.content}</div>}
+                                  {renderReactionChips(m)}
+                                </>
+                              )}
+                              <div className="flex items-center gap-2 text-xs text-gray-400 mt-1">
+                                <span>{formatTime(m.timestamp)}</span>
+                                {m.edited_at && !m.deleted && <span>edited</span>}
+                                {isMine && !m.deleted && renderTicks(m)}
+                                {!m.deleted && !String(m.id).startsWith("tmp-") && !isEditing && (
+                                  <button onClick={() => startReply(m)} className="hover:text-white">
+                                    Reply
+                                  </button>
+                                )}
+                                {canModify && !isEditing && (
+                                  <>
+                                    <button onClick={() => startEditing(m)} className="hover:text-white">
+                                      Edit
+                                    </button>
+                                    <button onClick={() => handleDeleteMessage(m)} className="hover:text-red-300">
+                                      Delete
+                                    </button>
+                                  </>
+                                )}
+                              </div>
                             </div>
                           </div>
                         );
@@ -665,23 +1991,163 @@ export default function ChatPage() {
               )}
             </main>
 
+            {activeFrozen ? (
+              <footer className="p-4 border-t border-gray-800 bg-[#041018] text-sm text-gray-400 text-center">
+                {activeFriend?.blocked_by_me ? (
+                  <>
+                    You blocked {activeChat.name}.{" "}
+                    <button onClick={() => handleUnblockUser(activeChat.id)} className="text-[#00FF99] hover:underline">
+                      Unblock
+                    </button>{" "}
+                    to send messages.
+                  </>
+                ) : (
+                  "You can no longer send messages in this conversation."
+                )}
+              </footer>
+            ) : (
             <footer className="p-4 border-t border-gray-800 flex flex-col gap-2 bg-[#041018]">
+              {uploadsForChat.length > 0 && (
+                <ul className="flex flex-wrap gap-2">
+                  {uploadsForChat.map((u) => (
+                    <li key={u.localId} className="w-48 p-2 rounded bg-[#061018] border border-[#123] text-xs">
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="truncate">{u.name}</span>
+                        <button onClick={() => removePendingUpload(u.localId)} className="text-gray-400 hover:text-white" title="Remove">
+                          ✕
+                        </button>
+                      </div>
+                      {u.status === "error" ? (
+                        <div className="text-red-400 mt-1">{u.error}</div>
+                      ) : (
+                        <div className="mt-1 h-1.5 rounded bg-[#123] overflow-hidden">
+                          <div
+                            className={`h-full ${u.status === "done" ? "bg-[#00FF99]" : "bg-[#0b2]"}`}
+                            style={{ width: `${u.progress}%` }}
+                          />
+                        </div>
+                      )}
+                      <div className="text-gray-500 mt-1">{formatBytes(u.size)}</div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                className="hidden"
+                onChange={(e) => {
+                  addFiles(e.target.files);
+                  e.target.value = "";
+                }}
+              />
+              {replyingTo && (
+                <div className="flex items-center justify-between gap-2 pl-2 border-l-4 border-[#00FF99] bg-[#061018] rounded text-xs py-1 pr-2">
+                  <div className="min-w-0">
+                    <div className="font-semibold text-[#00FF99]">Replying to {senderName(replyingTo.sender_id)}</div>
+                    <div className="truncate text-gray-300">{quoteText(quotePreview(replyingTo))}</div>
+                  </div>
+                  <button onClick={() => setReplyingTo(null)} className="text-gray-400 hover:text-white" title="Cancel reply">
+                    ✕
+                  </button>
+                </div>
+              )}
               <input
+                onPaste={handlePaste}
                 value={newMessage}
-                onChange={(e) => setNewMessage(e.target.value)}
-                placeholder="Type a message..."
+                onChange={(e) => {
+                  setNewMessage(e.target.value);
+                  if (e.target.value) notifyTyping();
+                  else stopTypingOut();
+                }}
+                onBlur={stopTypingOut}
+                placeholder={socketConnected ? "Type a message..." : "Offline — messages will be queued"}
                 className="flex-1 p-2 bg-[#061018] border border-[#123] rounded text-sm"
-                onKeyDown={(e) => e.key === "Enter" && handleSendMessage()}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") handleSendMessage();
+                  if (e.key === "Escape") setReplyingTo(null);
+                }}
               />
-              <button onClick={handleSendMessage} className="px-4 py-2 bg-[#0b2] text-black rounded">
-                Send
-              </button>
+              <div className="flex gap-2">
+                <button onClick={() => fileInputRef.current?.click()} className="px-3 py-2 bg-[#061018] rounded" title="Attach files">
+                  📎
+                </button>
+                <button
+                  onClick={handleSendMessage}
+                  disabled={uploadsInFlight}
+                  className="flex-1 px-4 py-2 bg-[#0b2] text-black rounded disabled:opacity-60"
+                >
+                  {uploadsInFlight ? "Uploading..." : "Send"}
+                </button>
+              </div>
             </footer>
+            )}
           </>
         ) : (
           <div className="flex-1 flex items-center justify-center text-gray-400">Select a friend to chat</div>
         )}
       </div>
+
+      {showMessageSearch && (
+        <MessageSearchPanel
+          conversations={[...friends, ...groups]}
+          currentUser={currentUser}
+          onOpenResult={handleOpenSearchResult}
+          onClose={() => setShowMessageSearch(false)}
+        />
+      )}
+
+      {showSessions && <SessionsPanel onClose={() => setShowSessions(false)} />}
+      {showChangePassword && <ChangePasswordPanel onClose={() => setShowChangePassword(false)} />}
+      {showProfile && (
+        <ProfilePanel
+          currentUser={currentUser}
+          socket={socket}
+          onClose={() => setShowProfile(false)}
+          onSaved={handleProfileSaved}
+          onDeleted={handleAccountDeleted}
+        />
+      )}
+
+      {showNewGroup && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center">
+          <div className="absolute inset-0 bg-black/60" onClick={closeNewGroup} />
+          <div className="relative w-full max-w-sm bg-[#071017] border border-gray-800 rounded-xl p-4 space-y-3">
+            <div className="text-lg font-semibold">New group</div>
+            <input
+              value={newGroupTitle}
+              onChange={(e) => setNewGroupTitle(e.target.value)}
+              placeholder="Group name"
+              className="w-full p-2 bg-[#061018] border border-[#123] rounded text-sm"
+            />
+            <div className="text-xs text-gray-400">Members</div>
+            <ul className="max-h-60 overflow-y-auto themed-scroll">
+              {friends.map((f) => (
+                <li key={f.id}>
+                  <label className="flex items-center gap-2 p-2 rounded hover:bg-[#07171b] cursor-pointer">
+                    <input type="checkbox" checked={newGroupMemberIds.includes(f.id)} onChange={() => toggleNewGroupMember(f.id)} />
+                    <span>{f.name}</span>
+                    <span className="text-xs text-gray-400">{f.email}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+            <div className="flex justify-end gap-2">
+              <button onClick={closeNewGroup} className="px-3 py-1 bg-[#061018] rounded">
+                Cancel
+              </button>
+              <button
+                onClick={handleCreateGroup}
+                disabled={!newGroupTitle.trim() || newGroupMemberIds.length === 0}
+                className="px-3 py-1 bg-[#0b2] text-black rounded disabled:opacity-60"
+              >
+                Create
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,61 @@
+import React, { useEffect, useRef, useState } from "react";
+import { MailCheck } from "lucide-react";
+import { useSearchParams } from "react-router-dom";
+import { getToken, getUser, setUser } from "../utils/auth";
+
+export default function ConfirmEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const [status, setStatus] = useState(token ? "verifying" : "invalid");
+  const [error, setError] = useState("");
+  const [newEmail, setNewEmail] = useState("");
+  // Tokens are single use; StrictMode's double effect run must not spend it twice.
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+    fetch("/auth/confirm-email-change", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json" },
+      body: JSON.stringify({ token }),
+    })
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data?.error || "Could not confirm the new address");
+        const cached = getUser();
+        if (cached) setUser({ ...cached, email: data.email, email_verified: true });
+        setNewEmail(data.email);
+        setStatus("verified");
+      })
+      .catch((err) => {
+        setError(err.message || "Could not confirm the new address");
+        setStatus("failed");
+      });
+  }, [token]);
+
+  const next = getToken() ? "/chatpage" : "/login";
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[#0D1117] px-6">
+      <div className="w-full max-w-md bg-[#161B22]/80 backdrop-blur-lg border border-[#238636]/40 rounded-2xl shadow-lg p-8 text-center">
+        <MailCheck size={36} className="text-[#00FF99] mb-4 mx-auto" />
+        <h1 className="text-2xl font-bold text-[#E6EDF3]">Confirm new email</h1>
+        <p className="mt-4 text-[#8B949E]">
+          {status === "verifying" && "Checking your link..."}
+          {status === "verified" && `Your account now uses ${newEmail}.`}
+          {status === "failed" && error}
+          {status === "invalid" && "This link is incomplete."}
+        </p>
+        {status !== "verifying" && (
+          <a
+            href={next}
+            className="mt-6 inline-block w-full rounded-xl bg-[#238636] px-4 py-3 text-[#E6EDF3] font-medium hover:bg-[#00FF99] hover:text-[#0D1117] transition-all duration-300"
+          >
+            {next === "/chatpage" ? "Go to chats" : "Log in"}
+          </a>
+        )}
+      </div>
+    </div>
+  );
+}
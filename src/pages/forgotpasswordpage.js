@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import { KeyRound } from "lucide-react";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [sent, setSent] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+    try {
+      const res = await fetch("/auth/forgot-password", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "application/json" },
+        body: JSON.stringify({ email }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data?.error || "Could not send the reset email");
+        return;
+      }
+      setSent(true);
+    } catch (err) {
+      console.error("Forgot password error:", err);
+      setError("Network error");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[#0D1117] px-6">
+      <div className="w-full max-w-md bg-[#161B22]/80 backdrop-blur-lg border border-[#238636]/40 rounded-2xl shadow-lg p-8">
+        <div className="flex flex-col items-center">
+          <KeyRound size={36} className="text-[#00FF99] mb-4" />
+          <h1 className="text-2xl font-bold text-[#E6EDF3] text-center">Forgot your password?</h1>
+          <p className="mt-2 text-center text-[#8B949E]">We'll email you a link to choose a new one</p>
+        </div>
+
+        {sent ? (
+          <p className="mt-8 text-center text-[#E6EDF3]">
+            If an account exists for <span className="text-[#00FF99]">{email}</span>, a reset link is on its way. It expires in one hour.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="mt-8 space-y-5">
+            <div>
+              <label className="block text-sm font-medium text-[#E6EDF3]">Email</label>
+              <input
+                name="email"
+                type="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="mt-2 w-full rounded-xl border border-[#238636]/40 bg-[#0D1117] px-4 py-2.5 text-[#E6EDF3] placeholder-[#8B949E] focus:outline-none focus:ring-2 focus:ring-[#00FF99]/50 transition"
+                placeholder="you@example.com"
+              />
+            </div>
+
+            {error && <div className="text-center text-sm text-red-400">{error}</div>}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full inline-flex items-center justify-center rounded-xl bg-[#238636] px-4 py-3 text-[#E6EDF3] font-medium shadow-sm hover:bg-[#00FF99] hover:text-[#0D1117] focus:outline-none focus:ring-2 focus:ring-[#00FF99]/50 focus:ring-offset-2 transition-all duration-300 disabled:opacity-60"
+            >
+              {loading ? "Sending..." : "Send reset link"}
+            </button>
+          </form>
+        )}
+
+        <p className="text-center text-sm text-[#8B949E] mt-4">
+          Remembered it?{" "}
+          <a href="/login" className="text-[#00FF99] font-medium hover:underline hover:text-[#00FF99]/80 transition-colors duration-300">
+            Log in
+          </a>
+        </p>
+      </div>
+    </div>
+  );
+}
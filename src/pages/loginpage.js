@@ -2,7 +2,7 @@ import React, { useState } from "react";
 import { motion } from "framer-motion";
 import { Lock } from "lucide-react";
 import { useNavigate } from "react-router-dom";
-import { setToken, setUser } from "../utils/auth"; 
+import { setToken, setRefreshToken, setUser } from "../utils/auth"; 
 
 export default function Login() {
   const navigate = useNavigate();
@@ -38,6 +38,7 @@ export default function Login() {
 
       console.log('Token from server:', data.token);
       setToken(data.token);
+      setRefreshToken(data.refreshToken);
       if (data.user) setUser(data.user);
 
       navigate("/chatpage", { replace: true });
@@ -118,6 +119,12 @@ export default function Login() {
               />
             </div>
 
+            <div className="text-right -mt-3">
+              <a href="/forgot-password" className="text-sm text-[#8B949E] hover:text-[#00FF99] transition-colors duration-300">
+                Forgot password?
+              </a>
+            </div>
+
             {error && <div className="text-center text-sm text-red-400">{error}</div>}
 
             <button
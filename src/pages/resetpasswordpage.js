@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { KeyRound } from "lucide-react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+
+export default function ResetPassword() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [done, setDone] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    if (password !== confirm) {
+      setError("Passwords do not match");
+      return;
+    }
+    setLoading(true);
+    try {
+      const res = await fetch("/auth/reset-password", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "application/json" },
+        body: JSON.stringify({ token, password }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data?.error || "Could not reset the password");
+        return;
+      }
+      setDone(true);
+    } catch (err) {
+      console.error("Reset password error:", err);
+      setError("Network error");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const inputClass =
+    "mt-2 w-full rounded-xl border border-[#238636]/40 bg-[#0D1117] px-4 py-2.5 text-[#E6EDF3] placeholder-[#8B949E] focus:outline-none focus:ring-2 focus:ring-[#00FF99]/50 transition";
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[#0D1117] px-6">
+      <div className="w-full max-w-md bg-[#161B22]/80 backdrop-blur-lg border border-[#238636]/40 rounded-2xl shadow-lg p-8">
+        <div className="flex flex-col items-center">
+          <KeyRound size={36} className="text-[#00FF99] mb-4" />
+          <h1 className="text-2xl font-bold text-[#E6EDF3] text-center">Choose a new password</h1>
+        </div>
+
+        {!token ? (
+          <p className="mt-8 text-center text-red-400">
+            This link is incomplete.{" "}
+            <a href="/forgot-password" className="text-[#00FF99] hover:underline">
+              Request a new one
+            </a>
+            .
+          </p>
+        ) : done ? (
+          <div className="mt-8 space-y-4 text-center text-[#E6EDF3]">
+            <p>Your password has been changed. All devices were signed out.</p>
+            <button
+              onClick={() => navigate("/login", { replace: true })}
+              className="w-full rounded-xl bg-[#238636] px-4 py-3 text-[#E6EDF3] font-medium hover:bg-[#00FF99] hover:text-[#0D1117] transition-all duration-300"
+            >
+              Log in
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="mt-8 space-y-5">
+            <div>
+              <label className="block text-sm font-medium text-[#E6EDF3]">New password</label>
+              <input type="password" required minLength={8} value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} placeholder="At least 8 characters" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-[#E6EDF3]">Confirm password</label>
+              <input type="password" required value={confirm} onChange={(e) => setConfirm(e.target.value)} className={inputClass} placeholder="••••••••" />
+            </div>
+
+            {error && (
+              <div className="text-center text-sm text-red-400">
+                {error}{" "}
+                <a href="/forgot-password" className="text-[#00FF99] hover:underline">
+                  Request a new link
+                </a>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full inline-flex items-center justify-center rounded-xl bg-[#238636] px-4 py-3 text-[#E6EDF3] font-medium shadow-sm hover:bg-[#00FF99] hover:text-[#0D1117] focus:outline-none focus:ring-2 focus:ring-[#00FF99]/50 focus:ring-offset-2 transition-all duration-300 disabled:opacity-60"
+            >
+              {loading ? "Saving..." : "Set password"}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
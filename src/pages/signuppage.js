@@ -2,7 +2,7 @@ import React, { useState } from "react";
 import { motion } from "framer-motion";
 import { UserPlus } from "lucide-react";
 import { useNavigate } from "react-router-dom";
-import { setToken, setUser } from "../utils/auth"; 
+import { setToken, setRefreshToken, setUser } from "../utils/auth"; 
 
 export default function Signup() {
   const navigate = useNavigate();
@@ -38,6 +38,7 @@ export default function Signup() {
       }
 
       setToken(data.token);
+      setRefreshToken(data.refreshToken);
       if (data.user) setUser(data.user);
 
       navigate("/chatpage", { replace: true });
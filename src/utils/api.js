@@ -0,0 +1,12 @@
+let API_URL = (process.env.REACT_APP_API_URL || "").trim();
+if (!API_URL) {
+  const origin = window.location.origin;
+  if (/^(http:\/\/|https:\/\/)localhost:3000$/.test(origin) || /^(http:\/\/|https:\/\/)127\.0\.0\.1:3000$/.test(origin)) {
+    API_URL = "http://localhost:5000";
+  } else {
+    API_URL = origin;
+  }
+}
+let SOCKET_URL = (process.env.REACT_APP_SOCKET_URL || "").trim() || API_URL;
+
+export { API_URL, SOCKET_URL };
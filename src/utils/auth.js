@@ -1,5 +1,8 @@
+import { API_URL } from './api';
+
 export const TOKEN_KEY = 'chat_token';
 export const USER_KEY = 'chat_user';
+export const REFRESH_TOKEN_KEY = 'chat_refresh_token';
 
 export function setToken(token) {
   if (!token) return;
@@ -39,3 +42,55 @@ export function authHeader() {
   const t = getToken();
   return t ? { Authorization: `Bearer ${t}` } : {};
 }
+
+export function setRefreshToken(token) {
+  if (!token) return;
+  localStorage.setItem(REFRESH_TOKEN_KEY, token);
+}
+
+export function getRefreshToken() {
+  return localStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+export function clearSession() {
+  removeToken();
+  removeUser();
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+}
+
+// Refresh tokens rotate on every use, so concurrent callers must share one request.
+let refreshing = null;
+
+export function refreshSession() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const refreshToken = getRefreshToken();
+      if (!refreshToken) return false;
+      try {
+        const res = await fetch(`${API_URL}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+          body: JSON.stringify({ refreshToken }),
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok || !data.token) return false;
+        setToken(data.token);
+        setRefreshToken(data.refreshToken);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+// fetch with the access token attached; an expired token is refreshed once and the request replayed.
+export async function authFetch(url, options = {}) {
+  const send = () => fetch(url, { ...options, headers: { ...(options.headers || {}), ...authHeader() } });
+  const res = await send();
+  if (res.status !== 401 || !(await refreshSession())) return res;
+  return send();
+}
@@ -0,0 +1,57 @@
+// Messages written while the socket is down wait here, in IndexedDB so they survive a reload.
+// Without IndexedDB (private windows, old browsers) every call quietly degrades to a no-op.
+const DB_NAME = "chat_outbox";
+const STORE = "messages";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!window.indexedDB) return Promise.reject(new Error("IndexedDB unavailable"));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = window.indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: "client_id" });
+        store.createIndex("owner_id", "owner_id");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Oldest first, which is also the order they must be sent in.
+export async function loadOutbox(ownerId) {
+  try {
+    const items = await run("readonly", (store) => store.index("owner_id").getAll(ownerId));
+    return (items || []).sort((a, b) => a.queued_at - b.queued_at);
+  } catch (e) {
+    return [];
+  }
+}
+
+export async function putOutboxMessage(message) {
+  try {
+    await run("readwrite", (store) => store.put(message));
+  } catch (e) {}
+}
+
+export async function removeOutboxMessage(clientId) {
+  try {
+    await run("readwrite", (store) => store.delete(clientId));
+  } catch (e) {}
+}
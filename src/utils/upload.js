@@ -0,0 +1,57 @@
+import { getToken, authHeader, refreshSession } from "./auth";
+import { API_URL } from "./api";
+
+// fetch cannot report upload progress, so uploads go through XMLHttpRequest.
+export async function uploadAttachment(conversationId, file, onProgress) {
+  try {
+    return await sendUpload(conversationId, file, onProgress);
+  } catch (err) {
+    // Same contract as authFetch: one refresh and one retry when the access token has expired.
+    if (err.status !== 401 || !(await refreshSession())) throw err;
+    return sendUpload(conversationId, file, onProgress);
+  }
+}
+
+function sendUpload(conversationId, file, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", `${API_URL}/conversations/${conversationId}/attachments`);
+    Object.entries(authHeader()).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.setRequestHeader("Accept", "application/json");
+
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable && onProgress) onProgress(Math.round((e.loaded / e.total) * 100));
+    };
+    xhr.onload = () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText || "{}");
+      } catch (e) {}
+      if (xhr.status >= 200 && xhr.status < 300 && data.attachment) resolve(data.attachment);
+      else reject(Object.assign(new Error(data?.error || "Upload failed"), { status: xhr.status }));
+    };
+    xhr.onerror = () => reject(new Error("Network error"));
+
+    const form = new FormData();
+    form.append("file", file);
+    xhr.send(form);
+  });
+}
+
+// <img> and download links cannot send an Authorization header, so the token rides in the query string.
+export function attachmentUrl(attachment, variant) {
+  const suffix = variant === "thumbnail" ? "/thumbnail" : "";
+  return `${API_URL}/attachments/${attachment.id}${suffix}?token=${encodeURIComponent(getToken() || "")}`;
+}
+
+// Avatars authenticate the same way. avatarId changes with every new picture, so a cached copy never goes stale.
+export function avatarUrl(userId, avatarId, size = "small") {
+  return `${API_URL}/users/${userId}/avatar?size=${size}&v=${avatarId}&token=${encodeURIComponent(getToken() || "")}`;
+}
+
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return "";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}